@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { LocalClient } from '../server/cli/LocalClient.js';
+import { ServerClient } from '../server/cli/ServerClient.js';
+import { matchApp } from '../server/services/appMatcher.js';
+import { runInteractive } from '../server/cli/interactive.js';
+
+dotenv.config();
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const USAGE = `Usage: roku-remote [options] <command> [args]
+
+Commands:
+  discover                  Find Roku devices on the network
+  info                      Show device details
+  apps                      List installed apps
+  active                    Show the app in the foreground
+  key <Key> [--repeat n]    Press a key (Home, Up, Select, VolumeUp, Lit_a, ...)
+  type "text"               Type text into the focused field
+  launch <app>              Launch an app by id or (partial) name
+  power on|off|toggle       Turn the device on or off
+  interactive               Drive the device with the arrow keys
+
+Options:
+  -d, --device <device>     IP[:port], serial number or nickname (default: $ROKU_DEVICE)
+  -s, --server <url>        Go through a running server instead of talking to the device
+                            directly (default: $ROKU_REMOTE_SERVER)
+  -t, --token <token>       API token for --server (default: $ROKU_REMOTE_TOKEN)
+  -r, --repeat <n>          Times to press the key (key command)
+      --timeout <ms>        Discovery timeout (default: $DISCOVERY_TIMEOUT or 5000)
+      --json                Print JSON
+  -h, --help                Show this help`;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  device: { type: 'string', short: 'd' },
+  server: { type: 'string', short: 's' },
+  token: { type: 'string', short: 't' },
+  repeat: { type: 'string', short: 'r' },
+  timeout: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Command handlers. Each returns { data, text }: data is printed with
+ * --json, text otherwise.
+ */
+const commands = {
+  async discover(client, { options }) {
+    const timeout = parseInt(options.timeout || process.env.DISCOVERY_TIMEOUT || 5000);
+    const devices = await client.discover(timeout);
+    return {
+      data: devices,
+      text: devices.length
+        ? devices.map(d => `${`${d.ip}:${d.port}`.padEnd(22)} ${d.name}${d.model ? ` (${d.model})` : ''}${d.serial ? `  ${d.serial}` : ''}`).join('\n')
+        : 'No devices found'
+    };
+  },
+
+  async info(client, { ip }) {
+    const info = await client.info(ip);
+    const rows = [
+      ['Name', info.friendlyName],
+      ['Model', [info.friendlyModelName, info.modelNumber && `(${info.modelNumber})`].filter(Boolean).join(' ')],
+      ['Type', info.isTv ? 'Roku TV' : info.isStick ? 'Streaming stick' : 'Streaming player'],
+      ['Serial', info.serial],
+      ['Software', info.softwareVersion],
+      ['Power', info.powerMode],
+      ['Network', [info.networkType, info.networkName].filter(Boolean).join(' · ')]
+    ];
+    return {
+      data: info,
+      text: rows.filter(([, value]) => value).map(([label, value]) => `${label.padEnd(10)}${value}`).join('\n')
+    };
+  },
+
+  async apps(client, { ip }) {
+    const apps = await client.apps(ip);
+    return {
+      data: apps,
+      text: apps.map(app => `${app.id.padEnd(16)} ${app.name}`).join('\n')
+    };
+  },
+
+  async active(client, { ip }) {
+    const app = await client.active(ip);
+    return { data: app, text: app ? `${app.name} (${app.id})` : 'Home screen' };
+  },
+
+  async key(client, { ip, args, options }) {
+    const [key] = args;
+    if (!key) {
+      throw new UsageError('key needs a key name, e.g. roku-remote key Home');
+    }
+    const repeat = options.repeat === undefined ? 1 : Number(options.repeat);
+    if (!Number.isInteger(repeat) || repeat < 1) {
+      throw new UsageError('--repeat must be a positive whole number');
+    }
+    await client.keys(ip, key, repeat);
+    return { data: { key, repeat }, text: repeat > 1 ? `Pressed ${key} ×${repeat}` : `Pressed ${key}` };
+  },
+
+  async type(client, { ip, args }) {
+    const text = args.join(' ');
+    if (!text) {
+      throw new UsageError('type needs some text, e.g. roku-remote type "star trek"');
+    }
+    await client.text(ip, text);
+    return { data: { text }, text: `Typed "${text}"` };
+  },
+
+  async launch(client, { ip, args }) {
+    const query = args.join(' ');
+    if (!query) {
+      throw new UsageError('launch needs an app name or id, e.g. roku-remote launch netflix');
+    }
+
+    const { app, candidates } = matchApp(await client.apps(ip), query);
+    if (!app) {
+      throw new Error(candidates.length
+        ? `"${query}" matches several apps: ${candidates.map(c => `${c.name} (${c.id})`).join(', ')}`
+        : `No app matching "${query}"`);
+    }
+
+    await client.launch(ip, app.id);
+    return { data: app, text: `Launched ${app.name} (${app.id})` };
+  },
+
+  async power(client, { ip, args }) {
+    const [state] = args;
+    if (!['on', 'off', 'toggle'].includes(state)) {
+      throw new UsageError('power needs on, off or toggle');
+    }
+    const result = await client.power(ip, state);
+    const text = result.changed
+      ? `Turned ${result.state}${result.wokeOnLan ? ' (Wake-on-LAN)' : ''}`
+      : `Already ${result.state}`;
+    return { data: result, text };
+  },
+
+  async interactive(client, { ip }) {
+    await runInteractive(client, ip);
+    return { data: null, text: null };
+  }
+};
+commands.remote = commands.interactive;
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values: options, positionals } = parsed;
+  const [name, ...args] = positionals;
+
+  if (options.help || !name) {
+    console.log(USAGE);
+    return;
+  }
+
+  const command = commands[name];
+  if (!command) {
+    throw new UsageError(`Unknown command "${name}"`);
+  }
+
+  const server = options.server || process.env.ROKU_REMOTE_SERVER;
+  const client = server
+    ? new ServerClient({ baseUrl: server, token: options.token || process.env.ROKU_REMOTE_TOKEN })
+    : new LocalClient({ registryPath: join(process.env.DATA_DIR || join(__dirname, '../data'), 'devices.json') });
+
+  let ip = null;
+  if (name !== 'discover') {
+    const device = options.device || process.env.ROKU_DEVICE || process.env.DEFAULT_ROKU_IP;
+    if (!device) {
+      throw new UsageError('No device given. Use --device <ip> or set ROKU_DEVICE.');
+    }
+    ip = await client.resolveDevice(device);
+  }
+
+  const { data, text } = await command(client, { ip, args, options });
+  if (options.json) {
+    console.log(JSON.stringify({ success: true, data }, null, 2));
+  } else if (text) {
+    console.log(text);
+  }
+};
+
+try {
+  await main();
+} catch (error) {
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify({ success: false, error: error.message, code: error.code }, null, 2));
+  } else {
+    console.error(`Error: ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error('Run roku-remote --help for usage.');
+    }
+  }
+  process.exitCode = error instanceof UsageError ? 2 : 1;
+}
@@ -8,6 +8,30 @@ class RokuAPI {
     // Auto-detect base URL if not in same origin
     this.baseUrl = baseUrl || this._detectBaseUrl();
     this.currentDevice = null;
+    this.token = localStorage.getItem('roku_api_token');
+    // Called when the server rejects our credential
+    this.onUnauthorized = null;
+  }
+
+  /**
+   * Store (or clear, with null) the API token sent with every request
+   */
+  setToken(token) {
+    this.token = token;
+    if (token) {
+      localStorage.setItem('roku_api_token', token);
+    } else {
+      localStorage.removeItem('roku_api_token');
+    }
+  }
+
+  /**
+   * Add the token as ?access_token= for requests that can't set headers
+   * (EventSource, <img src>)
+   */
+  _withToken(url) {
+    if (!this.token) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(this.token)}`;
   }
 
   _detectBaseUrl() {
@@ -24,19 +48,24 @@ class RokuAPI {
   async request(endpoint, options = {}) {
     const url = `${this.baseUrl}/api${endpoint}`;
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(this.token && { Authorization: `Bearer ${this.token}` }),
         ...options.headers
-      },
-      ...options
+      }
     };
 
     try {
       const response = await fetch(url, config);
       const data = await response.json();
 
+      if (response.status === 401 && this.onUnauthorized) {
+        this.onUnauthorized();
+      }
+
       if (!data.success && data.error) {
-        throw new Error(data.error);
+        throw Object.assign(new Error(data.error), { code: data.code, status: response.status });
       }
 
       return data;
@@ -46,12 +75,84 @@ class RokuAPI {
     }
   }
 
+  /**
+   * Whether auth is enabled and whether we're signed in
+   */
+  async getAuthStatus() {
+    return this.request('/auth/status');
+  }
+
+  /**
+   * Sign in with the admin password; stores the issued token
+   */
+  async login(password, name) {
+    const response = await this.request('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ password, name })
+    });
+    this.setToken(response.token);
+    return response.client;
+  }
+
+  /**
+   * Redeem a pairing PIN or QR code; stores the issued token
+   */
+  async pair({ pin, code, name }) {
+    const response = await this.request('/auth/pair', {
+      method: 'POST',
+      body: JSON.stringify({ pin, code, name })
+    });
+    this.setToken(response.token);
+    return response.client;
+  }
+
+  /**
+   * Start pairing another client. Returns { id, pin, expiresAt, url, qrSvg }.
+   */
+  async createPairing() {
+    const response = await this.request('/auth/pairings', { method: 'POST' });
+    return response.pairing;
+  }
+
+  /**
+   * Cancel a pending pairing
+   */
+  async cancelPairing(id) {
+    return this.request(`/auth/pairings/${id}`, { method: 'DELETE' });
+  }
+
+  /**
+   * List issued API tokens
+   */
+  async listTokens() {
+    const response = await this.request('/auth/tokens');
+    return response.tokens;
+  }
+
+  /**
+   * Revoke an API token
+   */
+  async revokeToken(id) {
+    return this.request(`/auth/tokens/${id}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Sign out: revoke our own token and forget it
+   */
+  async logout() {
+    try {
+      await this.request('/auth/session', { method: 'DELETE' });
+    } finally {
+      this.setToken(null);
+    }
+  }
+
   /**
    * Discover Roku devices on network
    */
-  async discoverDevices(timeout = 5000) {
+  async discoverDevices(timeout = 5000, merge = false) {
     try {
-      const response = await this.request(`/devices/discover?timeout=${timeout}`);
+      const response = await this.request(`/devices/discover?timeout=${timeout}${merge ? '&merge=1' : ''}`);
       return response.devices || [];
     } catch (error) {
       console.error('Discovery error:', error);
@@ -59,12 +160,52 @@ class RokuAPI {
     }
   }
 
+  /**
+   * List devices saved in the server-side registry
+   */
+  async listDevices() {
+    const response = await this.request('/devices');
+    return response.devices || [];
+  }
+
+  /**
+   * Register a device by IP (with optional nickname and room)
+   */
+  async addDevice(device) {
+    const response = await this.request('/devices', {
+      method: 'POST',
+      body: JSON.stringify(device)
+    });
+    return response.device;
+  }
+
+  /**
+   * Update a registered device (nickname, room, ip)
+   */
+  async updateDevice(serial, patch) {
+    const response = await this.request(`/devices/${encodeURIComponent(serial)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(patch)
+    });
+    return response.device;
+  }
+
+  /**
+   * Remove a device from the registry
+   */
+  async removeDevice(serial) {
+    return this.request(`/devices/${encodeURIComponent(serial)}`, {
+      method: 'DELETE'
+    });
+  }
+
   /**
    * Connect to a Roku device
    */
   async connectDevice(ip) {
     try {
-      const response = await this.request(`/device/${ip}/info`);
+      // Skip the server's device-info cache so power state is current
+      const response = await this.request(`/device/${ip}/info?fresh=1`);
       if (response.success && response.data) {
         this.currentDevice = { ip, ...response.data };
         return this.currentDevice;
@@ -77,21 +218,51 @@ class RokuAPI {
   }
 
   /**
-   * Get device information
+   * Get device information (fresh bypasses the server's cache)
    */
-  async getDeviceInfo(ip) {
-    const response = await this.request(`/device/${ip}/info`);
+  async getDeviceInfo(ip, fresh = false) {
+    const response = await this.request(`/device/${ip}/info${fresh ? '?fresh=1' : ''}`);
     return response.data;
   }
 
   /**
-   * Get list of installed apps
+   * Get list of installed apps, with the device's app preferences applied.
+   * fresh bypasses the server's app list cache.
    */
-  async getApps(ip) {
-    const response = await this.request(`/device/${ip}/apps`);
+  async getApps(ip, includeHidden = false, fresh = false) {
+    const query = new URLSearchParams({ ...(includeHidden && { all: '1' }), ...(fresh && { fresh: '1' }) }).toString();
+    const response = await this.request(`/device/${ip}/apps${query ? `?${query}` : ''}`);
     return response.data || [];
   }
 
+  /**
+   * Get per-device app preferences (favorites, order, hiddenApps, hiddenTypes)
+   */
+  async getAppPreferences(ip) {
+    const response = await this.request(`/device/${ip}/app-preferences`);
+    return response.data;
+  }
+
+  /**
+   * Update per-device app preferences
+   */
+  async setAppPreferences(ip, preferences) {
+    const response = await this.request(`/device/${ip}/app-preferences`, {
+      method: 'PUT',
+      body: JSON.stringify(preferences)
+    });
+    return response.data;
+  }
+
+  /**
+   * URL of an app's icon (proxied and cached by the server).
+   * Passing the app version makes the URL cacheable forever.
+   */
+  getAppIconUrl(ip, appId, version = null) {
+    const query = version ? `?v=${encodeURIComponent(version)}` : '';
+    return this._withToken(`${this.baseUrl}/api/device/${ip}/apps/${encodeURIComponent(appId)}/icon${query}`);
+  }
+
   /**
    * Get currently active app
    */
@@ -116,25 +287,354 @@ class RokuAPI {
   }
 
   /**
-   * Send text to device
+   * Press and hold a key (send again to renew the hold)
+   */
+  async keydown(ip, key) {
+    return this.request(`/device/${ip}/keydown`, {
+      method: 'POST',
+      body: JSON.stringify({ key })
+    });
+  }
+
+  /**
+   * Release a held key
+   */
+  async keyup(ip, key) {
+    return this.request(`/device/${ip}/keyup`, {
+      method: 'POST',
+      body: JSON.stringify({ key })
+    });
+  }
+
+  /**
+   * Run an ordered key sequence on the server. Returns the job.
+   * Steps: { key, repeat, delay }, { keydown }, { keyup }, { text }, { launch }, { wait }
    */
-  async sendText(ip, text) {
+  async sendKeys(ip, steps) {
+    const response = await this.request(`/device/${ip}/keys`, {
+      method: 'POST',
+      body: JSON.stringify({ steps })
+    });
+    return response.job;
+  }
+
+  /**
+   * List saved macros
+   */
+  async listMacros() {
+    const response = await this.request('/macros');
+    return response.macros || [];
+  }
+
+  /**
+   * Create a macro ({ name, description, steps })
+   */
+  async createMacro(macro) {
+    const response = await this.request('/macros', {
+      method: 'POST',
+      body: JSON.stringify(macro)
+    });
+    return response.macro;
+  }
+
+  /**
+   * Update a macro
+   */
+  async updateMacro(id, patch) {
+    const response = await this.request(`/macros/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(patch)
+    });
+    return response.macro;
+  }
+
+  /**
+   * Delete a macro
+   */
+  async deleteMacro(id) {
+    return this.request(`/macros/${id}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Run a macro on a device. Returns the job.
+   */
+  async runMacro(id, ip) {
+    const response = await this.request(`/macros/${id}/run?device=${encodeURIComponent(ip)}`, {
+      method: 'POST'
+    });
+    return response.job;
+  }
+
+  /**
+   * List scheduled actions
+   */
+  async listSchedules() {
+    const response = await this.request('/schedules');
+    return response.schedules || [];
+  }
+
+  /**
+   * Create a schedule ({ name, device, trigger, action })
+   */
+  async createSchedule(schedule) {
+    const response = await this.request('/schedules', {
+      method: 'POST',
+      body: JSON.stringify(schedule)
+    });
+    return response.schedule;
+  }
+
+  /**
+   * Update a schedule
+   */
+  async updateSchedule(id, patch) {
+    const response = await this.request(`/schedules/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(patch)
+    });
+    return response.schedule;
+  }
+
+  /**
+   * Delete a schedule
+   */
+  async deleteSchedule(id) {
+    return this.request(`/schedules/${id}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Run a schedule's action immediately
+   */
+  async runSchedule(id) {
+    const response = await this.request(`/schedules/${id}/run`, { method: 'POST' });
+    return response.schedule;
+  }
+
+  /**
+   * Power off a device after the given number of minutes
+   */
+  async setSleepTimer(device, minutes) {
+    const response = await this.request('/schedules/sleep', {
+      method: 'POST',
+      body: JSON.stringify({ device, minutes })
+    });
+    return response.schedule;
+  }
+
+  /**
+   * Get progress of a job
+   */
+  async getJob(id) {
+    const response = await this.request(`/jobs/${id}`);
+    return response.job;
+  }
+
+  /**
+   * Cancel a running job
+   */
+  async cancelJob(id) {
+    const response = await this.request(`/jobs/${id}`, { method: 'DELETE' });
+    return response.job;
+  }
+
+  /**
+   * Send text to device (\b and \n are sent as Backspace and Enter;
+   * delay is the pause between characters in ms)
+   */
+  async sendText(ip, text, delay) {
     return this.request(`/device/${ip}/text`, {
       method: 'POST',
-      body: JSON.stringify({ text })
+      body: JSON.stringify({ text, delay })
     });
   }
 
   /**
-   * Launch an app
+   * Launch an app, optionally deep linking ({ contentId, mediaType, params })
    */
-  async launchApp(ip, appId) {
+  async launchApp(ip, appId, deepLink = {}) {
     return this.request(`/device/${ip}/launch`, {
       method: 'POST',
-      body: JSON.stringify({ appId })
+      body: JSON.stringify({ appId, ...deepLink })
     });
   }
 
+  /**
+   * Send an ECP input event to the running app
+   */
+  async sendInput(ip, params) {
+    return this.request(`/device/${ip}/input`, {
+      method: 'POST',
+      body: JSON.stringify(params)
+    });
+  }
+
+  /**
+   * Get a Roku TV's antenna channel lineup
+   */
+  async getTvChannels(ip) {
+    const response = await this.request(`/device/${ip}/tv/channels`);
+    return response.data;
+  }
+
+  /**
+   * Get the tuned antenna channel and current program
+   */
+  async getActiveTvChannel(ip) {
+    const response = await this.request(`/device/${ip}/tv/active-channel`);
+    return response.data;
+  }
+
+  /**
+   * Tune a Roku TV to an antenna channel (e.g. "5.1")
+   */
+  async tuneChannel(ip, number) {
+    return this.request(`/device/${ip}/tv/channel`, {
+      method: 'POST',
+      body: JSON.stringify({ number })
+    });
+  }
+
+  /**
+   * Switch a Roku TV's input (tvinput.* app id or Input* key)
+   */
+  async selectTvInput(ip, input) {
+    return this.request(`/device/${ip}/tv/input`, {
+      method: 'POST',
+      body: JSON.stringify({ input })
+    });
+  }
+
+  /**
+   * Turn a device on or off, or toggle it. Wakes it with Wake-on-LAN if unreachable.
+   */
+  async setPower(ip, state, mac) {
+    const response = await this.request(`/device/${ip}/power`, {
+      method: 'POST',
+      body: JSON.stringify({ state, mac })
+    });
+    return response.data;
+  }
+
+  /**
+   * List device groups
+   */
+  async listGroups() {
+    const response = await this.request('/groups');
+    return response.groups;
+  }
+
+  /**
+   * Create a device group ({ name, devices })
+   */
+  async createGroup(group) {
+    const response = await this.request('/groups', {
+      method: 'POST',
+      body: JSON.stringify(group)
+    });
+    return response.group;
+  }
+
+  /**
+   * Update a device group
+   */
+  async updateGroup(id, patch) {
+    const response = await this.request(`/groups/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(patch)
+    });
+    return response.group;
+  }
+
+  /**
+   * Delete a device group
+   */
+  async deleteGroup(id) {
+    return this.request(`/groups/${id}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Send a command (keypress, launch, power) to a saved group.
+   * Returns { succeeded, failed, results } with one result per device.
+   */
+  async sendGroupCommand(groupId, command, body) {
+    return this.request(`/groups/${groupId}/${command}`, {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
+  }
+
+  /**
+   * Send a command (keypress, launch, power) to a list of devices
+   */
+  async broadcast(devices, command, body) {
+    return this.request(`/broadcast/${command}`, {
+      method: 'POST',
+      body: JSON.stringify({ ...body, devices })
+    });
+  }
+
+  /**
+   * Open universal search ({ keyword, title, type, season, providerIds, launch, matchAny })
+   */
+  async search(ip, query) {
+    return this.request(`/device/${ip}/search`, {
+      method: 'POST',
+      body: JSON.stringify(query)
+    });
+  }
+
+  /**
+   * List content bookmarks
+   */
+  async listBookmarks() {
+    const response = await this.request('/bookmarks');
+    return response.bookmarks;
+  }
+
+  /**
+   * Create a bookmark ({ name, appId, contentId, mediaType, params })
+   */
+  async createBookmark(bookmark) {
+    const response = await this.request('/bookmarks', {
+      method: 'POST',
+      body: JSON.stringify(bookmark)
+    });
+    return response.bookmark;
+  }
+
+  /**
+   * Delete a bookmark
+   */
+  async deleteBookmark(id) {
+    return this.request(`/bookmarks/${id}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Launch a bookmark on a device
+   */
+  async launchBookmark(id, ip) {
+    const response = await this.request(`/bookmarks/${id}/launch?device=${encodeURIComponent(ip)}`, {
+      method: 'POST'
+    });
+    return response.bookmark;
+  }
+
+  /**
+   * Subscribe to live device state pushed by the server.
+   * onState receives the full state once, onChange receives diffs.
+   * Returns an unsubscribe function.
+   */
+  subscribe(ip, { onState, onChange, onError } = {}) {
+    const source = new EventSource(this._withToken(`${this.baseUrl}/api/device/${ip}/events`));
+
+    source.addEventListener('state', (e) => onState && onState(JSON.parse(e.data)));
+    source.addEventListener('change', (e) => onChange && onChange(JSON.parse(e.data)));
+    // EventSource reconnects on its own; just report the interruption
+    source.onerror = (error) => onError && onError(error);
+
+    return () => source.close();
+  }
+
   /**
    * Get media player state
    */
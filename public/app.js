@@ -6,10 +6,37 @@
 class RokuRemoteApp {
   constructor() {
     this.currentDevice = null;
-    this.autoRefreshInterval = null;
+    this.currentIp = null;
+    this.currentSerial = null;
+    this.devices = [];
+    this.unsubscribe = null;
+    this.activeApp = null;
+    this.mediaState = null;
+    this.mediaFetchedAt = 0;
+    this.progressInterval = null;
+    this.heldKey = null;
+    this.macros = [];
+    this.bookmarks = [];
+    this.tvChannels = [];
+    this.tvActiveChannel = null;
+    this.recording = null;
+    this.editingMacroId = null;
+    this.liveKeyboard = false;
+    this.liveTextValue = '';
+    this.liveTextQueue = Promise.resolve();
+    this.apps = [];
+    this.appPreferences = null;
+    this.customizingApps = false;
+    this.draggedAppId = null;
+    this.groups = [];
+    this.multiSelect = false;
+    this.multiTargets = new Set();
+    this.auth = null;
+    this.pairing = null;
+    this.pairingTimer = null;
     this.initializeElements();
     this.attachEventListeners();
-    this.loadSavedDevice();
+    this.init();
   }
 
   /**
@@ -19,8 +46,38 @@ class RokuRemoteApp {
     this.elements = {
       app: document.getElementById('app'),
       discoverBtn: document.getElementById('discoverBtn'),
-      ipInput: document.getElementById('ipInput'),
+      deviceSelect: document.getElementById('deviceSelect'),
       connectBtn: document.getElementById('connectBtn'),
+      manageDevicesBtn: document.getElementById('manageDevicesBtn'),
+      multiSelectBtn: document.getElementById('multiSelectBtn'),
+      accessBtn: document.getElementById('accessBtn'),
+      authModal: document.getElementById('authModal'),
+      signInForm: document.getElementById('signInForm'),
+      clientNameInput: document.getElementById('clientNameInput'),
+      passwordInput: document.getElementById('passwordInput'),
+      pinForm: document.getElementById('pinForm'),
+      pinInput: document.getElementById('pinInput'),
+      accessModal: document.getElementById('accessModal'),
+      closeAccessBtn: document.getElementById('closeAccessBtn'),
+      startPairingBtn: document.getElementById('startPairingBtn'),
+      pairingPanel: document.getElementById('pairingPanel'),
+      pairingQr: document.getElementById('pairingQr'),
+      pairingPin: document.getElementById('pairingPin'),
+      pairingExpiry: document.getElementById('pairingExpiry'),
+      tokensList: document.getElementById('tokensList'),
+      signOutBtn: document.getElementById('signOutBtn'),
+      multiSelectBar: document.getElementById('multiSelectBar'),
+      groupSelect: document.getElementById('groupSelect'),
+      saveGroupBtn: document.getElementById('saveGroupBtn'),
+      deleteGroupBtn: document.getElementById('deleteGroupBtn'),
+      multiDevicesList: document.getElementById('multiDevicesList'),
+      devicesModal: document.getElementById('devicesModal'),
+      closeDevicesBtn: document.getElementById('closeDevicesBtn'),
+      registeredDevicesList: document.getElementById('registeredDevicesList'),
+      addDeviceForm: document.getElementById('addDeviceForm'),
+      ipInput: document.getElementById('ipInput'),
+      nicknameInput: document.getElementById('nicknameInput'),
+      roomInput: document.getElementById('roomInput'),
       discoveryModal: document.getElementById('discoveryModal'),
       closeDiscoveryBtn: document.getElementById('closeDiscoveryBtn'),
       devicesList: document.getElementById('devicesList'),
@@ -31,9 +88,56 @@ class RokuRemoteApp {
       deviceName: document.getElementById('deviceName'),
       deviceIp: document.getElementById('deviceIp'),
       activeAppName: document.getElementById('activeAppName'),
+      deviceDetails: document.getElementById('deviceDetails'),
+      nowPlaying: document.getElementById('nowPlaying'),
+      nowPlayingIcon: document.getElementById('nowPlayingIcon'),
+      nowPlayingApp: document.getElementById('nowPlayingApp'),
+      nowPlayingState: document.getElementById('nowPlayingState'),
+      nowPlayingProgress: document.getElementById('nowPlayingProgress'),
+      nowPlayingElapsed: document.getElementById('nowPlayingElapsed'),
+      nowPlayingRemaining: document.getElementById('nowPlayingRemaining'),
       textInput: document.getElementById('textInput'),
       sendTextBtn: document.getElementById('sendTextBtn'),
-      appsList: document.getElementById('appsList')
+      liveKeyboardToggle: document.getElementById('liveKeyboardToggle'),
+      appsList: document.getElementById('appsList'),
+      appSearchInput: document.getElementById('appSearchInput'),
+      appTypeFilter: document.getElementById('appTypeFilter'),
+      customizeAppsBtn: document.getElementById('customizeAppsBtn'),
+      refreshAppsBtn: document.getElementById('refreshAppsBtn'),
+      hiddenTypesBar: document.getElementById('hiddenTypesBar'),
+      favoritesBar: document.getElementById('favoritesBar'),
+      recordMacroBtn: document.getElementById('recordMacroBtn'),
+      macrosList: document.getElementById('macrosList'),
+      macroModal: document.getElementById('macroModal'),
+      closeMacroBtn: document.getElementById('closeMacroBtn'),
+      macroForm: document.getElementById('macroForm'),
+      macroNameInput: document.getElementById('macroNameInput'),
+      macroStepsInput: document.getElementById('macroStepsInput'),
+      tvActiveChannel: document.getElementById('tvActiveChannel'),
+      tvInputs: document.getElementById('tvInputs'),
+      tvChannelsList: document.getElementById('tvChannelsList'),
+      searchForm: document.getElementById('searchForm'),
+      searchKeywordInput: document.getElementById('searchKeywordInput'),
+      searchTypeSelect: document.getElementById('searchTypeSelect'),
+      searchSeasonInput: document.getElementById('searchSeasonInput'),
+      searchProviderSelect: document.getElementById('searchProviderSelect'),
+      searchLaunchToggle: document.getElementById('searchLaunchToggle'),
+      bookmarksList: document.getElementById('bookmarksList'),
+      bookmarkForm: document.getElementById('bookmarkForm'),
+      bookmarkNameInput: document.getElementById('bookmarkNameInput'),
+      bookmarkAppSelect: document.getElementById('bookmarkAppSelect'),
+      bookmarkContentIdInput: document.getElementById('bookmarkContentIdInput'),
+      bookmarkMediaTypeSelect: document.getElementById('bookmarkMediaTypeSelect'),
+      schedulesList: document.getElementById('schedulesList'),
+      scheduleForm: document.getElementById('scheduleForm'),
+      scheduleNameInput: document.getElementById('scheduleNameInput'),
+      scheduleTriggerType: document.getElementById('scheduleTriggerType'),
+      scheduleCronInput: document.getElementById('scheduleCronInput'),
+      scheduleAtInput: document.getElementById('scheduleAtInput'),
+      scheduleActionType: document.getElementById('scheduleActionType'),
+      scheduleActionValue: document.getElementById('scheduleActionValue'),
+      sleepMinutes: document.getElementById('sleepMinutes'),
+      sleepTimerBtn: document.getElementById('sleepTimerBtn')
     };
   }
 
@@ -44,8 +148,58 @@ class RokuRemoteApp {
     // Connection buttons
     this.elements.discoverBtn.addEventListener('click', () => this.discover());
     this.elements.connectBtn.addEventListener('click', () => this.connect());
-    this.elements.ipInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') this.connect();
+    this.elements.deviceSelect.addEventListener('change', () => this.connect());
+
+    // Device manager modal
+    this.elements.manageDevicesBtn.addEventListener('click', () => this.openDeviceManager());
+
+    // Sign-in and access management
+    this.elements.signInForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.signIn();
+    });
+    this.elements.pinForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.pairWithPin();
+    });
+    this.elements.accessBtn.addEventListener('click', () => this.openAccess());
+    this.elements.closeAccessBtn.addEventListener('click', () => this.closeAccess());
+    this.elements.accessModal.addEventListener('click', (e) => {
+      if (e.target === this.elements.accessModal) this.closeAccess();
+    });
+    this.elements.startPairingBtn.addEventListener('click', () => this.startPairing());
+    this.elements.tokensList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action="revoke"]');
+      const item = button?.closest('[data-token-id]');
+      if (item) this.revokeToken(item.dataset.tokenId, item.dataset.current === 'true');
+    });
+    this.elements.signOutBtn.addEventListener('click', () => this.signOut());
+
+    // Multi-device mode
+    this.elements.multiSelectBtn.addEventListener('click', () => this.toggleMultiSelect());
+    this.elements.groupSelect.addEventListener('change', () => this.selectGroup(this.elements.groupSelect.value));
+    this.elements.saveGroupBtn.addEventListener('click', () => this.saveGroup());
+    this.elements.deleteGroupBtn.addEventListener('click', () => this.deleteGroup());
+    this.elements.closeDevicesBtn.addEventListener('click', () => this.closeDeviceManager());
+    this.elements.devicesModal.addEventListener('click', (e) => {
+      if (e.target === this.elements.devicesModal) this.closeDeviceManager();
+    });
+    // Device rows are re-rendered, so their controls are handled here
+    this.elements.multiDevicesList.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('input[data-serial]');
+      if (checkbox) this.toggleMultiTarget(checkbox.dataset.serial);
+    });
+    this.elements.registeredDevicesList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      const serial = button?.closest('[data-serial]')?.dataset.serial;
+      if (!serial) return;
+      if (button.dataset.action === 'save') this.saveDevice(serial);
+      if (button.dataset.action === 'wake') this.wakeDevice(serial);
+      if (button.dataset.action === 'remove') this.removeDevice(serial);
+    });
+    this.elements.addDeviceForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addDevice();
     });
 
     // Discovery modal
@@ -53,272 +207,2061 @@ class RokuRemoteApp {
     this.elements.discoveryModal.addEventListener('click', (e) => {
       if (e.target === this.elements.discoveryModal) this.closeDiscovery();
     });
+    this.elements.devicesList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-ip]');
+      if (button) this.selectDevice(button.dataset.serial, button.dataset.ip);
+    });
 
     // Text input
     this.elements.sendTextBtn.addEventListener('click', () => this.sendText());
-    this.elements.textInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') this.sendText();
+    this.elements.textInput.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      if (this.liveKeyboard) {
+        this.sendLiveText('\n');
+        this.elements.textInput.value = '';
+        this.liveTextValue = '';
+      } else {
+        this.sendText();
+      }
+    });
+    this.elements.textInput.addEventListener('input', () => {
+      if (this.liveKeyboard) this.forwardLiveInput();
+    });
+    this.elements.liveKeyboardToggle.addEventListener('change', () => this.setLiveKeyboard(this.elements.liveKeyboardToggle.checked));
+
+    // App launcher filters
+    this.elements.appSearchInput.addEventListener('input', () => this.renderApps());
+    this.elements.appTypeFilter.addEventListener('change', () => this.renderApps());
+    this.elements.appSearchInput.addEventListener('keydown', (e) => {
+      // Enter launches the single remaining match
+      if (e.key !== 'Enter') return;
+      const matches = this.filteredApps();
+      if (matches.length === 1) this.launchApp(matches[0].id);
+    });
+
+    this.elements.customizeAppsBtn.addEventListener('click', () => this.toggleCustomizeApps());
+    this.elements.refreshAppsBtn.addEventListener('click', () => this.refreshApps(true));
+
+    // App tiles: launch, or the customize-mode buttons
+    this.elements.favoritesBar.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-app-id]');
+      if (button) this.launchApp(button.dataset.appId);
+    });
+    this.elements.appsList.addEventListener('click', (e) => {
+      const tile = e.target.closest('[data-app-id]');
+      if (!tile) return;
+      const action = e.target.closest('button[data-action]')?.dataset.action;
+      const id = tile.dataset.appId;
+      if (!this.customizingApps) this.launchApp(id);
+      else if (action === 'earlier') this.shiftApp(id, -1);
+      else if (action === 'later') this.shiftApp(id, 1);
+      else if (action === 'favorite') this.toggleFavorite(id);
+      else if (action === 'hide') this.toggleHiddenApp(id);
+    });
+    this.elements.hiddenTypesBar.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('input[data-type]');
+      if (checkbox) this.toggleHiddenType(checkbox.dataset.type);
+    });
+
+    // Drag-to-reorder in customize mode
+    this.elements.appsList.addEventListener('dragstart', (e) => {
+      const tile = e.target.closest('[data-app-id]');
+      if (!tile) return;
+      this.draggedAppId = tile.dataset.appId;
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    this.elements.appsList.addEventListener('dragover', (e) => {
+      if (this.draggedAppId) e.preventDefault();
+    });
+    this.elements.appsList.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const tile = e.target.closest('[data-app-id]');
+      if (tile && this.draggedAppId && tile.dataset.appId !== this.draggedAppId) {
+        this.moveAppBefore(this.draggedAppId, tile.dataset.appId);
+      }
+      this.draggedAppId = null;
+    });
+
+    // Macros
+    this.elements.recordMacroBtn.addEventListener('click', () => this.toggleRecording());
+    this.elements.macrosList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      const id = button?.closest('[data-macro-id]')?.dataset.macroId;
+      if (!id) return;
+      if (button.dataset.action === 'run') this.runMacro(id);
+      if (button.dataset.action === 'edit') this.openMacroEditor(id);
+      if (button.dataset.action === 'delete') this.deleteMacro(id);
+    });
+    this.elements.closeMacroBtn.addEventListener('click', () => this.closeMacroEditor());
+    this.elements.macroModal.addEventListener('click', (e) => {
+      if (e.target === this.elements.macroModal) this.closeMacroEditor();
+    });
+    this.elements.macroForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveMacro();
+    });
+
+    // Search
+    this.elements.searchForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.search();
+    });
+    this.elements.searchTypeSelect.addEventListener('change', () => this.updateSearchForm());
+    this.elements.searchProviderSelect.addEventListener('change', () => this.updateSearchForm());
+
+    // Roku TV channel and input buttons
+    this.elements.tvChannelsList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-channel]');
+      if (button) this.tuneChannel(button.dataset.channel);
+    });
+    this.elements.tvInputs.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-input]');
+      if (button) this.selectTvInput(button.dataset.input);
+    });
+
+    // Bookmarks
+    this.elements.bookmarkForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createBookmark();
+    });
+    this.elements.bookmarksList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      const id = button?.closest('[data-bookmark-id]')?.dataset.bookmarkId;
+      if (!id) return;
+      if (button.dataset.action === 'launch') this.launchBookmark(id);
+      if (button.dataset.action === 'delete') this.deleteBookmark(id);
+    });
+
+    // Schedules
+    this.elements.scheduleForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createSchedule();
+    });
+    this.elements.scheduleTriggerType.addEventListener('change', () => this.updateScheduleForm());
+    this.elements.scheduleActionType.addEventListener('change', () => this.updateScheduleForm());
+    this.elements.sleepTimerBtn.addEventListener('click', () => this.setSleepTimer());
+    this.elements.schedulesList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      const item = button?.closest('[data-schedule-id]');
+      if (!item) return;
+      const id = item.dataset.scheduleId;
+      if (button.dataset.action === 'run') this.runSchedule(id);
+      if (button.dataset.action === 'toggle') this.toggleSchedule(id, item.dataset.enabled !== 'true');
+      if (button.dataset.action === 'delete') this.deleteSchedule(id);
     });
 
-    // Remote control buttons
+    // Remote control buttons: tap sends a keypress, press-and-hold sends keydown/keyup
     document.querySelectorAll('[data-key]').forEach(btn => {
-      btn.addEventListener('click', () => this.sendKey(btn.dataset.key));
+      btn.addEventListener('pointerdown', (e) => this.beginPress(btn, e));
+      btn.addEventListener('pointerup', () => this.endPress(btn));
+      btn.addEventListener('pointercancel', () => this.endPress(btn, true));
+      btn.addEventListener('pointerleave', () => this.endPress(btn, true));
+      btn.addEventListener('contextmenu', (e) => e.preventDefault());
+      // Keyboard activation (Enter/Space on a focused button) has no pointer events
+      btn.addEventListener('click', (e) => {
+        if (e.detail === 0) this.sendKey(btn.dataset.key, btn);
+      });
+    });
+
+    // Explicit power on/off (the Power key above stays a plain toggle)
+    document.querySelectorAll('[data-power]').forEach(btn => {
+      btn.addEventListener('click', () => this.setPower(btn.dataset.power));
+    });
+
+    // Never leave a key held down when the page goes away
+    window.addEventListener('pagehide', () => this.releaseHeldKey());
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.releaseHeldKey();
     });
   }
 
   /**
-   * Load saved device from localStorage
+   * Check sign-in (redeeming a ?pair= link if present) before loading devices
    */
-  loadSavedDevice() {
-    const saved = localStorage.getItem('roku_device_ip');
-    if (saved) {
-      this.elements.ipInput.value = saved;
-      // Auto-connect if we have a saved device
-      setTimeout(() => this.connect(), 500);
+  async init() {
+    roku.onUnauthorized = () => this.showSignIn();
+
+    // Opened from a pairing QR code
+    const code = new URLSearchParams(window.location.search).get('pair');
+    if (code) {
+      history.replaceState(null, '', window.location.pathname);
+      try {
+        await roku.pair({ code, name: this.clientName() });
+        this.showStatus('Paired!', 'success');
+      } catch (error) {
+        this.showStatus(`Pairing failed: ${error.message}`, 'error');
+      }
+    }
+
+    try {
+      this.auth = await roku.getAuthStatus();
+    } catch (error) {
+      this.auth = { enabled: false, authenticated: true };
+    }
+
+    if (this.auth.enabled && !this.auth.authenticated) {
+      this.showSignIn();
+      return;
     }
+    this.elements.accessBtn.style.display = this.auth.enabled ? '' : 'none';
+    this.loadSavedDevice();
   }
 
   /**
-   * Discover devices on network
+   * Name this browser's token is issued under
    */
-  async discover() {
-    this.showStatus('Searching for Roku devices...', 'info');
-    this.elements.discoverBtn.disabled = true;
+  clientName() {
+    return this.elements.clientNameInput.value.trim() || `Browser (${navigator.platform || 'unknown'})`;
+  }
 
-    try {
-      const devices = await roku.discoverDevices();
-      
-      if (devices.length === 0) {
-        this.showStatus('No Roku devices found. Try entering IP manually.', 'error');
-        return;
-      }
+  /**
+   * Ask for a password or PIN; any stored token is no longer valid
+   */
+  showSignIn() {
+    roku.setToken(null);
+    this.stopLiveUpdates();
+    this.elements.accessBtn.style.display = 'none';
+    this.elements.authModal.style.display = 'flex';
+    this.elements.passwordInput.focus();
+  }
 
-      this.displayDiscoveryResults(devices);
-      this.showStatus(`Found ${devices.length} device(s)`, 'success');
+  /**
+   * Continue start-up once a token has been issued
+   */
+  afterSignIn() {
+    this.elements.authModal.style.display = 'none';
+    this.elements.passwordInput.value = '';
+    this.elements.pinInput.value = '';
+    this.init();
+  }
+
+  /**
+   * Sign in with the admin password
+   */
+  async signIn() {
+    try {
+      await roku.login(this.elements.passwordInput.value, this.clientName());
+      this.afterSignIn();
     } catch (error) {
-      this.showStatus(`Discovery failed: ${error.message}`, 'error');
-    } finally {
-      this.elements.discoverBtn.disabled = false;
+      this.showStatus(`Sign in failed: ${error.message}`, 'error');
     }
   }
 
   /**
-   * Display discovered devices in modal
+   * Pair with a PIN shown on an already signed-in browser
    */
-  displayDiscoveryResults(devices) {
-    this.elements.devicesList.innerHTML = devices.map(device => `
-      <div class="device-item">
-        <div class="device-info">
-          <strong>${device.name || 'Roku Device'}</strong>
-          <p>${device.ip}:${device.port || 8060}</p>
-        </div>
-        <button class="btn btn-small" onclick="app.selectDevice('${device.ip}')">Connect</button>
-      </div>
-    `).join('');
-    
-    this.elements.discoveryModal.style.display = 'flex';
+  async pairWithPin() {
+    try {
+      await roku.pair({ pin: this.elements.pinInput.value.trim(), name: this.clientName() });
+      this.afterSignIn();
+    } catch (error) {
+      this.showStatus(`Pairing failed: ${error.message}`, 'error');
+    }
   }
 
   /**
-   * Select device from discovery list
+   * Open the access manager (pairing and token list)
    */
-  selectDevice(ip) {
-    this.elements.ipInput.value = ip;
-    this.closeDiscovery();
-    this.connect();
+  openAccess() {
+    // Paired clients may only sign out; pairing and tokens are admin-only
+    const isAdmin = this.auth?.client?.role === 'admin';
+    this.elements.startPairingBtn.style.display = isAdmin ? '' : 'none';
+    this.elements.tokensList.style.display = isAdmin ? '' : 'none';
+    this.elements.accessModal.style.display = 'flex';
+    if (isAdmin) this.loadTokens();
   }
 
   /**
-   * Close discovery modal
+   * Close the access manager, cancelling any pairing still pending
    */
-  closeDiscovery() {
-    this.elements.discoveryModal.style.display = 'none';
+  closeAccess() {
+    this.elements.accessModal.style.display = 'none';
+    this.endPairing();
   }
 
   /**
-   * Connect to device
+   * Create a pairing PIN and QR code, counting down to expiry.
+   * The token list refreshes meanwhile so the new client shows up.
    */
-  async connect() {
-    const ip = this.elements.ipInput.value.trim();
-    
-    if (!ip) {
-      this.showStatus('Please enter a Roku IP address', 'error');
+  async startPairing() {
+    this.endPairing();
+    try {
+      this.pairing = await roku.createPairing();
+    } catch (error) {
+      this.showStatus(`Could not start pairing: ${error.message}`, 'error');
       return;
     }
 
-    this.showStatus('Connecting...', 'info');
-    this.elements.connectBtn.disabled = true;
+    this.elements.pairingQr.innerHTML = this.pairing.qrSvg;
+    this.elements.pairingQr.title = this.pairing.url;
+    this.elements.pairingPin.textContent = this.pairing.pin;
+    this.elements.pairingPanel.style.display = '';
 
-    try {
-      this.currentDevice = await roku.connectDevice(ip);
-      localStorage.setItem('roku_device_ip', ip);
-      
-      this.showStatus('Connected!', 'success');
-      this.updateUI();
-      this.startAutoRefresh();
-    } catch (error) {
-      this.showStatus(`Connection failed: ${error.message}`, 'error');
-      this.currentDevice = null;
-    } finally {
-      this.elements.connectBtn.disabled = false;
+    let ticks = 0;
+    const tick = () => {
+      const remaining = Math.round((new Date(this.pairing.expiresAt).getTime() - Date.now()) / 1000);
+      if (remaining <= 0) {
+        this.endPairing();
+        return;
+      }
+      this.elements.pairingExpiry.textContent = `Expires in ${this.formatTime(remaining * 1000)}`;
+      if (++ticks % 5 === 0) this.loadTokens();
+    };
+    tick();
+    this.pairingTimer = setInterval(tick, 1000);
+  }
+
+  /**
+   * Hide the pairing panel and cancel the pairing if it wasn't used
+   */
+  endPairing() {
+    clearInterval(this.pairingTimer);
+    this.pairingTimer = null;
+    this.elements.pairingPanel.style.display = 'none';
+    if (this.pairing) {
+      roku.cancelPairing(this.pairing.id).catch(() => {});
+      this.pairing = null;
     }
   }
 
   /**
-   * Update UI to show device is connected
+   * List issued tokens with a revoke button each
    */
-  updateUI() {
-    const ip = this.elements.ipInput.value.trim();
-    
-    // Show main content, hide empty state
-    this.elements.mainContent.style.display = 'block';
-    this.elements.emptyState.style.display = 'none';
+  async loadTokens() {
+    let tokens;
+    try {
+      tokens = await roku.listTokens();
+    } catch (error) {
+      return;
+    }
 
-    // Update device info
-    this.elements.deviceIp.textContent = ip;
-    if (this.currentDevice && this.currentDevice['device-id']) {
-      this.elements.deviceName.textContent = this.currentDevice['friendly-device-name'] || 'Roku Device';
+    if (tokens.length === 0) {
+      this.elements.tokensList.innerHTML = '<p class="secondary-text">No paired devices yet.</p>';
+      return;
     }
 
-    // Refresh apps and active app
-    this.refreshApps();
-    this.refreshActiveApp();
+    this.elements.tokensList.innerHTML = tokens.map(token => `
+      <div class="device-item" data-token-id="${this.escapeHtml(token.id)}" data-current="${token.current}">
+        <div class="device-info">
+          <h2>${this.escapeHtml(token.name)}${token.current ? ' (this browser)' : ''}</h2>
+          <p>Added ${new Date(token.createdAt).toLocaleString()} via ${this.escapeHtml(token.via)}</p>
+          <p>${token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'Never used'}</p>
+        </div>
+        <div class="device-actions">
+          <button class="btn btn-small btn-danger" data-action="revoke">Revoke</button>
+        </div>
+      </div>
+    `).join('');
   }
 
   /**
-   * Refresh apps list
+   * Revoke a token; revoking our own signs this browser out
    */
-  async refreshApps() {
+  async revokeToken(id, current) {
+    if (!confirm(current ? 'Revoke this browser\'s access? You will be signed out.' : 'Revoke this device\'s access?')) return;
+
     try {
-      const ip = this.elements.ipInput.value.trim();
-      const apps = await roku.getApps(ip);
-      
-      if (apps.length === 0) {
-        this.elements.appsList.innerHTML = '<p class="secondary-text">No apps found</p>';
+      await roku.revokeToken(id);
+      if (current) {
+        this.closeAccess();
+        this.showSignIn();
         return;
       }
-
-      this.elements.appsList.innerHTML = apps.map(app => `
-        <div class="app-item">
-          <div class="app-info">
-            <strong>${app.name || app.id}</strong>
-            <p class="secondary-text">${app.type || 'App'}</p>
-          </div>
-          <button class="btn btn-small" onclick="app.launchApp('${app.id}')">Launch</button>
-        </div>
-      `).join('');
+      this.loadTokens();
     } catch (error) {
-      console.error('Error refreshing apps:', error);
+      this.showStatus(`Revoke failed: ${error.message}`, 'error');
     }
   }
 
   /**
-   * Refresh active app
+   * Sign out this browser
    */
-  async refreshActiveApp() {
+  async signOut() {
     try {
-      const ip = this.elements.ipInput.value.trim();
-      const active = await roku.getActiveApp(ip);
-      
-      if (active) {
-        this.elements.activeAppName.textContent = active.name || 'Unknown';
-      } else {
-        this.elements.activeAppName.textContent = 'Home Screen';
-      }
+      await roku.logout();
     } catch (error) {
-      console.error('Error refreshing active app:', error);
+      console.error('Error signing out:', error);
     }
+    this.closeAccess();
+    this.showSignIn();
   }
 
   /**
-   * Send a key command
+   * Load the device registry and reconnect to this browser's last device
+   */
+  async loadSavedDevice() {
+    await this.loadDevices();
+
+    const savedSerial = localStorage.getItem('roku_device_serial');
+    const legacyIp = localStorage.getItem('roku_device_ip');
+    const saved = this.devices.find(d => d.serial === savedSerial) ||
+      this.devices.find(d => d.ip === legacyIp);
+
+    if (saved) {
+      this.elements.deviceSelect.value = saved.serial;
+      // Auto-connect if we have a saved device
+      setTimeout(() => this.connect(), 500);
+    }
+  }
+
+  /**
+   * Fetch registered devices and populate the device picker
    */
-  async sendKey(key) {
+  async loadDevices() {
     try {
-      const ip = this.elements.ipInput.value.trim();
-      await roku.keypress(ip, key);
-      // Visual feedback
-      event.target.classList.add('active');
-      setTimeout(() => event.target.classList.remove('active'), 100);
+      this.devices = await roku.listDevices();
     } catch (error) {
-      console.error('Error sending key:', error);
-      this.showStatus(`Key error: ${error.message}`, 'error');
+      this.devices = [];
+    }
+
+    const selected = this.elements.deviceSelect.value;
+    if (this.devices.length === 0) {
+      this.elements.deviceSelect.innerHTML = '<option value="">No saved devices</option>';
+    } else {
+      this.elements.deviceSelect.innerHTML = this.devices.map(device => `
+        <option value="${this.escapeHtml(device.serial)}">${this.escapeHtml(this.deviceLabel(device))}</option>
+      `).join('');
+    }
+
+    if (this.devices.some(d => d.serial === selected)) {
+      this.elements.deviceSelect.value = selected;
     }
+
+    this.renderDeviceManager();
   }
 
   /**
-   * Send text to device
+   * Turn multi-device mode on or off
    */
-  async sendText() {
-    const text = this.elements.textInput.value.trim();
-    
-    if (!text) {
-      this.showStatus('Please enter text', 'error');
-      return;
+  async toggleMultiSelect() {
+    this.multiSelect = !this.multiSelect;
+    this.elements.multiSelectBtn.classList.toggle('active', this.multiSelect);
+    this.elements.multiSelectBar.style.display = this.multiSelect ? '' : 'none';
+
+    if (this.multiSelect) {
+      if (this.multiTargets.size === 0 && this.currentSerial) {
+        this.multiTargets.add(this.currentSerial);
+      }
+      await this.loadGroups();
+      this.renderMultiSelect();
     }
+  }
 
+  /**
+   * Load saved device groups into the group picker
+   */
+  async loadGroups() {
     try {
-      const ip = this.elements.ipInput.value.trim();
-      await roku.sendText(ip, text);
-      this.showStatus('Text sent!', 'success');
-      this.elements.textInput.value = '';
+      this.groups = await roku.listGroups();
     } catch (error) {
-      console.error('Error sending text:', error);
-      this.showStatus(`Send error: ${error.message}`, 'error');
+      this.groups = [];
     }
+
+    const selected = this.elements.groupSelect.value;
+    this.elements.groupSelect.innerHTML = '<option value="">Custom selection</option>' + this.groups.map(group => `
+      <option value="${group.id}">${this.escapeHtml(group.name)} (${group.devices.length})</option>
+    `).join('');
+    this.elements.groupSelect.value = this.groups.some(g => g.id === selected) ? selected : '';
   }
 
   /**
-   * Launch an app
+   * Render a checkbox per registered device
    */
-  async launchApp(appId) {
-    try {
-      const ip = this.elements.ipInput.value.trim();
-      await roku.launchApp(ip, appId);
-      this.showStatus('App launching...', 'success');
-      // Refresh active app after a delay
-      setTimeout(() => this.refreshActiveApp(), 1000);
-    } catch (error) {
-      console.error('Error launching app:', error);
-      this.showStatus(`Launch error: ${error.message}`, 'error');
+  renderMultiSelect() {
+    this.elements.deleteGroupBtn.style.display = this.elements.groupSelect.value ? '' : 'none';
+    if (this.devices.length === 0) {
+      this.elements.multiDevicesList.innerHTML = '<p class="secondary-text">No saved devices yet.</p>';
+      return;
+    }
+
+    this.elements.multiDevicesList.innerHTML = this.devices.map(device => `
+      <label class="toggle">
+        <input type="checkbox" ${this.multiTargets.has(device.serial) ? 'checked' : ''} data-serial="${this.escapeHtml(device.serial)}">
+        ${this.escapeHtml(device.nickname || device.name || device.serial)}${device.room ? ` <small>(${this.escapeHtml(device.room)})</small>` : ''}
+      </label>
+    `).join('');
+  }
+
+  /**
+   * Tick or untick a device; the selection no longer matches a saved group
+   */
+  toggleMultiTarget(serial) {
+    this.multiTargets.has(serial) ? this.multiTargets.delete(serial) : this.multiTargets.add(serial);
+    this.elements.groupSelect.value = '';
+    this.renderMultiSelect();
+  }
+
+  /**
+   * Select a saved group's members
+   */
+  selectGroup(id) {
+    const group = this.groups.find(g => g.id === id);
+    if (group) {
+      this.multiTargets = new Set(group.devices);
     }
+    this.renderMultiSelect();
   }
 
   /**
-   * Show status message
+   * Save the current selection as a new group
    */
-  showStatus(message, type = 'info') {
-    this.elements.status.style.display = 'block';
-    this.elements.status.className = `status-bar status-${type}`;
-    this.elements.statusText.textContent = message;
-    
-    // Auto-hide after 3 seconds
-    setTimeout(() => {
-      this.elements.status.style.display = 'none';
-    }, 3000);
+  async saveGroup() {
+    if (this.multiTargets.size === 0) {
+      this.showStatus('Tick at least one device first', 'error');
+      return;
+    }
+    const name = prompt('Group name', '');
+    if (!name || !name.trim()) return;
+
+    try {
+      const group = await roku.createGroup({ name: name.trim(), devices: Array.from(this.multiTargets) });
+      await this.loadGroups();
+      this.elements.groupSelect.value = group.id;
+      this.renderMultiSelect();
+      this.showStatus(`Group "${group.name}" saved`, 'success');
+    } catch (error) {
+      this.showStatus(`Could not save group: ${error.message}`, 'error');
+    }
   }
 
   /**
-   * Start auto-refresh of device state
+   * Delete the selected group (devices stay ticked)
    */
-  startAutoRefresh() {
-    if (this.autoRefreshInterval) {
-      clearInterval(this.autoRefreshInterval);
+  async deleteGroup() {
+    const group = this.groups.find(g => g.id === this.elements.groupSelect.value);
+    if (!group || !confirm(`Delete group "${group.name}"?`)) return;
+
+    try {
+      await roku.deleteGroup(group.id);
+      await this.loadGroups();
+      this.renderMultiSelect();
+    } catch (error) {
+      this.showStatus(`Could not delete group: ${error.message}`, 'error');
     }
-    
-    // Refresh active app every 5 seconds
-    this.autoRefreshInterval = setInterval(() => {
-      this.refreshActiveApp();
-    }, 5000);
   }
 
   /**
-   * Stop auto-refresh
+   * Send a command to every selected device (through the group route when
+   * a saved group is selected) and report how many succeeded
    */
-  stopAutoRefresh() {
-    if (this.autoRefreshInterval) {
-      clearInterval(this.autoRefreshInterval);
-      this.autoRefreshInterval = null;
+  async broadcast(command, body) {
+    const groupId = this.elements.groupSelect.value;
+    if (!groupId && this.multiTargets.size === 0) {
+      this.showStatus('No devices selected', 'error');
+      return;
+    }
+
+    try {
+      const report = groupId
+        ? await roku.sendGroupCommand(groupId, command, body)
+        : await roku.broadcast(Array.from(this.multiTargets), command, body);
+      const total = report.succeeded + report.failed;
+
+      if (report.failed === 0) {
+        this.showStatus(`Sent to ${total} device${total === 1 ? '' : 's'}`, 'success');
+      } else {
+        const failures = report.results
+          .filter(result => !result.success)
+          .map(result => this.devices.find(d => d.serial === result.device)?.nickname || result.device);
+        this.showStatus(`${report.succeeded}/${total} succeeded — failed: ${failures.join(', ')}`, 'error');
+      }
+    } catch (error) {
+      this.showStatus(`Broadcast error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Human-readable label for a registered device
+   */
+  deviceLabel(device) {
+    const name = device.nickname || device.name || device.serial;
+    return `${name}${device.room ? ` (${device.room})` : ''} — ${device.ip}`;
+  }
+
+  /**
+   * Open the device manager modal
+   */
+  openDeviceManager() {
+    this.renderDeviceManager();
+    this.elements.devicesModal.style.display = 'flex';
+  }
+
+  /**
+   * Close the device manager modal
+   */
+  closeDeviceManager() {
+    this.elements.devicesModal.style.display = 'none';
+  }
+
+  /**
+   * Render registered devices with editable nickname and room
+   */
+  renderDeviceManager() {
+    if (this.devices.length === 0) {
+      this.elements.registeredDevicesList.innerHTML = '<p class="secondary-text">No saved devices yet. Discover or add one below.</p>';
+      return;
+    }
+
+    this.elements.registeredDevicesList.innerHTML = this.devices.map(device => `
+      <div class="device-item" data-serial="${this.escapeHtml(device.serial)}">
+        <div class="device-info">
+          <input type="text" class="input-field input-compact" data-field="nickname" placeholder="${this.escapeHtml(device.name || 'Nickname')}" value="${this.escapeHtml(device.nickname || '')}">
+          <input type="text" class="input-field input-compact" data-field="room" placeholder="Room" value="${this.escapeHtml(device.room || '')}">
+          <p>${this.escapeHtml(device.ip)}${device.model ? ` · ${this.escapeHtml(device.model)}` : ''} · S/N ${this.escapeHtml(device.serial)}</p>
+          <p>${device.lastSeen ? `Last seen ${new Date(device.lastSeen).toLocaleString()}` : 'Never seen'}</p>
+        </div>
+        <div class="device-actions">
+          <button class="btn btn-small" data-action="save">Save</button>
+          <button class="btn btn-small" data-action="wake" title="Turn on, using Wake-on-LAN if it is in deep standby">Power On</button>
+          <button class="btn btn-small btn-danger" data-action="remove">Remove</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Turn on a registered device without connecting to it first
+   */
+  async wakeDevice(serial) {
+    const device = this.devices.find(d => d.serial === serial);
+    if (!device) return;
+
+    const ip = this.deviceAddress(device);
+    this.showStatus(`Turning on ${device.nickname || device.name || ip}...`, 'info');
+    try {
+      const result = await roku.setPower(ip, 'on');
+      this.showStatus(result.changed ? 'Device is on' : 'Device was already on', 'success');
+    } catch (error) {
+      this.showStatus(`Power on failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Register a device entered manually by IP
+   */
+  async addDevice() {
+    const ip = this.elements.ipInput.value.trim();
+    if (!ip) {
+      this.showStatus('Please enter a Roku IP address', 'error');
+      return;
+    }
+
+    try {
+      const device = await roku.addDevice({
+        ip,
+        nickname: this.elements.nicknameInput.value.trim() || undefined,
+        room: this.elements.roomInput.value.trim() || undefined
+      });
+      this.elements.addDeviceForm.reset();
+      await this.loadDevices();
+      this.showStatus(`Added ${this.deviceLabel(device)}`, 'success');
+    } catch (error) {
+      this.showStatus(`Add failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Save nickname and room edits for a registered device
+   */
+  async saveDevice(serial) {
+    const row = this.elements.registeredDevicesList.querySelector(`[data-serial="${CSS.escape(serial)}"]`);
+    if (!row) return;
+
+    try {
+      await roku.updateDevice(serial, {
+        nickname: row.querySelector('[data-field="nickname"]').value.trim() || null,
+        room: row.querySelector('[data-field="room"]').value.trim() || null
+      });
+      await this.loadDevices();
+      this.showStatus('Device saved', 'success');
+    } catch (error) {
+      this.showStatus(`Save failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Remove a device from the registry
+   */
+  async removeDevice(serial) {
+    try {
+      await roku.removeDevice(serial);
+      if (localStorage.getItem('roku_device_serial') === serial) {
+        localStorage.removeItem('roku_device_serial');
+      }
+      await this.loadDevices();
+      this.showStatus('Device removed', 'success');
+    } catch (error) {
+      this.showStatus(`Remove failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Discover devices on network
+   */
+  async discover() {
+    this.showStatus('Searching for Roku devices...', 'info');
+    this.elements.discoverBtn.disabled = true;
+
+    try {
+      const devices = await roku.discoverDevices(5000, true);
+      
+      if (devices.length === 0) {
+        this.showStatus('No Roku devices found. Try adding one by IP under Devices.', 'error');
+        return;
+      }
+
+      // Discovered devices are merged into the registry server-side
+      await this.loadDevices();
+
+      this.displayDiscoveryResults(devices);
+      this.showStatus(`Found ${devices.length} device(s)`, 'success');
+    } catch (error) {
+      this.showStatus(`Discovery failed: ${error.message}`, 'error');
+    } finally {
+      this.elements.discoverBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Display discovered devices in modal
+   */
+  displayDiscoveryResults(devices) {
+    this.elements.devicesList.innerHTML = devices.map(device => `
+      <div class="device-item">
+        <div class="device-info">
+          <strong>${this.escapeHtml(device.name || 'Roku Device')}</strong>
+          <p>${this.escapeHtml(device.ip)}:${this.escapeHtml(device.port || 8060)}${device.model ? ` · ${this.escapeHtml(device.model)}` : ''}</p>
+          ${device.serial ? `<p>S/N ${this.escapeHtml(device.serial)}</p>` : ''}
+        </div>
+        <button class="btn btn-small" data-serial="${this.escapeHtml(device.serial || '')}" data-ip="${this.escapeHtml(device.ip)}">Connect</button>
+      </div>
+    `).join('');
+    
+    this.elements.discoveryModal.style.display = 'flex';
+  }
+
+  /**
+   * Select device from discovery list
+   */
+  async selectDevice(serial, ip) {
+    this.closeDiscovery();
+
+    // Devices without a serial can't be keyed; register them by IP first
+    if (!serial) {
+      try {
+        serial = (await roku.addDevice({ ip })).serial;
+        await this.loadDevices();
+      } catch (error) {
+        this.showStatus(`Connection failed: ${error.message}`, 'error');
+        return;
+      }
+    }
+
+    this.elements.deviceSelect.value = serial;
+    this.connect();
+  }
+
+  /**
+   * Close discovery modal
+   */
+  closeDiscovery() {
+    this.elements.discoveryModal.style.display = 'none';
+  }
+
+  /**
+   * Connect to device
+   */
+  async connect() {
+    const serial = this.elements.deviceSelect.value;
+    const device = this.devices.find(d => d.serial === serial);
+    
+    if (!device) {
+      this.showStatus('Please select or add a Roku device', 'error');
+      return;
+    }
+
+    const ip = this.deviceAddress(device);
+
+    this.showStatus('Connecting...', 'info');
+    this.elements.connectBtn.disabled = true;
+
+    try {
+      this.currentDevice = await roku.connectDevice(ip);
+      this.currentIp = ip;
+      this.currentSerial = serial;
+      localStorage.setItem('roku_device_serial', serial);
+      localStorage.removeItem('roku_device_ip');
+      
+      this.showStatus('Connected!', 'success');
+      this.updateUI();
+      this.startLiveUpdates();
+    } catch (error) {
+      this.showStatus(`Connection failed: ${error.message}`, 'error');
+      this.currentDevice = null;
+    } finally {
+      this.elements.connectBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Update UI to show device is connected
+   */
+  updateUI() {
+    const ip = this.currentIp;
+    
+    // Show main content, hide empty state
+    this.elements.mainContent.style.display = 'block';
+    this.elements.emptyState.style.display = 'none';
+
+    // Update device info
+    this.elements.deviceIp.textContent = ip;
+    if (this.currentDevice) {
+      this.elements.deviceName.textContent = this.currentDevice.friendlyName || 'Roku Device';
+    }
+    this.renderDeviceDetails();
+    this.applyCapabilities();
+
+    // Refresh apps and active app
+    this.refreshApps();
+    this.refreshActiveApp();
+    this.refreshMedia();
+    this.loadTv();
+    this.loadMacros();
+    this.loadBookmarks();
+    this.loadSchedules();
+  }
+
+  /**
+   * Render the device details panel from parsed device-info
+   */
+  renderDeviceDetails() {
+    const info = this.currentDevice;
+    if (!info) {
+      this.elements.deviceDetails.innerHTML = '';
+      return;
+    }
+
+    const uptime = info.uptime != null
+      ? `${Math.floor(info.uptime / 86400)}d ${Math.floor((info.uptime % 86400) / 3600)}h`
+      : null;
+    const rows = [
+      ['Model', [info.friendlyModelName, info.modelNumber && `(${info.modelNumber})`].filter(Boolean).join(' ')],
+      ['Type', info.isTv ? 'Roku TV' : info.isStick ? 'Streaming stick' : 'Streaming player'],
+      ['Serial', info.serial],
+      ['Software', [info.softwareVersion, info.softwareBuild && `build ${info.softwareBuild}`].filter(Boolean).join(' ')],
+      ['Power', info.powerMode],
+      ['Network', [info.networkType, info.networkName].filter(Boolean).join(' · ')],
+      ['Wi-Fi MAC', info.wifiMac],
+      ['Ethernet MAC', info.ethernetMac],
+      ['Uptime', uptime],
+      ['Capabilities', (info.capabilities || []).join(', ')]
+    ].filter(([, value]) => value);
+
+    this.elements.deviceDetails.innerHTML = rows.map(([label, value]) => `
+      <dt>${label}</dt><dd>${this.escapeHtml(value)}</dd>
+    `).join('');
+  }
+
+  /**
+   * Hide controls the connected device doesn't support
+   */
+  applyCapabilities() {
+    const capabilities = new Set(this.currentDevice?.capabilities || []);
+    document.querySelectorAll('[data-requires]').forEach(el => {
+      el.style.display = capabilities.has(el.dataset.requires) ? '' : 'none';
+    });
+  }
+
+  /**
+   * Refresh apps list. fresh skips the server's cache (e.g. after installing a channel).
+   */
+  async refreshApps(fresh = false) {
+    try {
+      const ip = this.currentIp;
+      // Fetch hidden apps too so customize mode can show them
+      const [apps, preferences] = await Promise.all([
+        roku.getApps(ip, true, fresh),
+        roku.getAppPreferences(ip)
+      ]);
+      this.apps = apps;
+      this.appPreferences = preferences;
+      this.renderApps();
+      this.renderFavorites();
+      this.renderBookmarkAppOptions();
+      this.renderSearchProviders();
+      this.renderTvInputs();
+    } catch (error) {
+      console.error('Error refreshing apps:', error);
+    }
+  }
+
+  /**
+   * Render pinned favorites as quick-launch buttons on the remote
+   */
+  renderFavorites() {
+    const favorites = this.apps.filter(app => app.favorite);
+    this.elements.favoritesBar.style.display = favorites.length ? '' : 'none';
+    this.elements.favoritesBar.innerHTML = favorites.map(app => `
+      <button class="favorite-btn" data-app-id="${this.escapeHtml(app.id)}" title="Launch ${this.escapeHtml(app.name || app.id)}">
+        <img src="${this.escapeHtml(roku.getAppIconUrl(this.currentIp, app.id, app.version))}" alt="${this.escapeHtml(app.name || app.id)}">
+      </button>
+    `).join('');
+  }
+
+  /**
+   * Toggle customize mode (favorites, hiding, reordering)
+   */
+  toggleCustomizeApps() {
+    this.customizingApps = !this.customizingApps;
+    this.elements.customizeAppsBtn.textContent = this.customizingApps ? 'Done' : 'Customize';
+    this.elements.appsList.classList.toggle('customizing', this.customizingApps);
+    this.renderApps();
+  }
+
+  /**
+   * Save a preferences change for the current device and re-render
+   */
+  async saveAppPreferences(patch) {
+    try {
+      this.appPreferences = await roku.setAppPreferences(this.currentIp, patch);
+      await this.refreshApps();
+    } catch (error) {
+      this.showStatus(`Could not save app preferences: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Pin or unpin an app as a favorite
+   */
+  toggleFavorite(appId) {
+    const favorites = new Set(this.appPreferences.favorites);
+    favorites.has(appId) ? favorites.delete(appId) : favorites.add(appId);
+    this.saveAppPreferences({ favorites: Array.from(favorites) });
+  }
+
+  /**
+   * Hide or unhide a single app
+   */
+  toggleHiddenApp(appId) {
+    const hidden = new Set(this.appPreferences.hiddenApps);
+    hidden.has(appId) ? hidden.delete(appId) : hidden.add(appId);
+    this.saveAppPreferences({ hiddenApps: Array.from(hidden) });
+  }
+
+  /**
+   * Hide or unhide every app of a type (e.g. ssvr)
+   */
+  toggleHiddenType(type) {
+    const hidden = new Set(this.appPreferences.hiddenTypes);
+    hidden.has(type) ? hidden.delete(type) : hidden.add(type);
+    this.saveAppPreferences({ hiddenTypes: Array.from(hidden) });
+  }
+
+  /**
+   * Move an app one place earlier (-1) or later (+1)
+   */
+  shiftApp(appId, offset) {
+    const ids = this.apps.map(app => app.id);
+    const index = ids.indexOf(appId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= ids.length) return;
+
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    this.saveAppPreferences({ order: ids });
+  }
+
+  /**
+   * Move an app to just before another (drag and drop)
+   */
+  moveAppBefore(appId, beforeId) {
+    const ids = this.apps.map(app => app.id).filter(id => id !== appId);
+    ids.splice(ids.indexOf(beforeId), 0, appId);
+    this.saveAppPreferences({ order: ids });
+  }
+
+  /**
+   * Apps matching the launcher search box and type filter
+   */
+  filteredApps() {
+    const query = this.elements.appSearchInput.value.trim().toLowerCase();
+    const type = this.elements.appTypeFilter.value;
+
+    return this.apps.filter(app =>
+      (this.customizingApps || !app.hidden) &&
+      (!type || app.type === type) &&
+      (!query || (app.name || app.id).toLowerCase().includes(query) || app.id === query)
+    );
+  }
+
+  /**
+   * Render the launcher grid
+   */
+  renderApps() {
+    this.renderHiddenTypes();
+
+    if (this.apps.length === 0) {
+      this.elements.appsList.innerHTML = '<p class="secondary-text">No apps found</p>';
+      return;
+    }
+
+    const apps = this.filteredApps();
+    if (apps.length === 0) {
+      this.elements.appsList.innerHTML = '<p class="secondary-text">No matching apps</p>';
+      return;
+    }
+
+    if (this.customizingApps) {
+      this.elements.appsList.innerHTML = apps.map(app => {
+        const id = this.escapeHtml(app.id);
+        return `
+          <div class="app-tile${app.hidden ? ' is-hidden' : ''}" data-app-id="${id}" draggable="true">
+            <img src="${this.escapeHtml(roku.getAppIconUrl(this.currentIp, app.id, app.version))}" alt="" loading="lazy" onerror="this.style.visibility='hidden'">
+            <span>${this.escapeHtml(app.name || app.id)}</span>
+            <div class="app-tile-actions">
+              <button data-action="earlier" title="Move earlier">◀</button>
+              <button data-action="favorite" title="${app.favorite ? 'Unpin' : 'Pin to remote'}">${app.favorite ? '★' : '☆'}</button>
+              <button data-action="hide" title="${app.hidden ? 'Show' : 'Hide'}">${app.hidden ? '🙈' : '👁'}</button>
+              <button data-action="later" title="Move later">▶</button>
+            </div>
+          </div>
+        `;
+      }).join('');
+      return;
+    }
+
+    this.elements.appsList.innerHTML = apps.map(app => `
+      <button class="app-tile" data-app-id="${this.escapeHtml(app.id)}" title="Launch ${this.escapeHtml(app.name || app.id)}">
+        <img src="${this.escapeHtml(roku.getAppIconUrl(this.currentIp, app.id, app.version))}" alt="" loading="lazy" onerror="this.style.visibility='hidden'">
+        <span>${app.favorite ? '★ ' : ''}${this.escapeHtml(app.name || app.id)}</span>
+      </button>
+    `).join('');
+  }
+
+  /**
+   * In customize mode, show a toggle per app type for hiding whole types
+   */
+  renderHiddenTypes() {
+    if (!this.customizingApps || !this.appPreferences) {
+      this.elements.hiddenTypesBar.style.display = 'none';
+      return;
+    }
+
+    const types = [...new Set(this.apps.map(app => app.type))];
+    const hidden = new Set(this.appPreferences.hiddenTypes);
+    this.elements.hiddenTypesBar.style.display = '';
+    this.elements.hiddenTypesBar.innerHTML = 'Hide types: ' + types.map(type => `
+      <label class="toggle">
+        <input type="checkbox" ${hidden.has(type) ? 'checked' : ''} data-type="${this.escapeHtml(type)}"> ${this.escapeHtml(type)}
+      </label>
+    `).join('');
+  }
+
+  /**
+   * Refresh active app
+   */
+  async refreshActiveApp() {
+    try {
+      const ip = this.currentIp;
+      const active = await roku.getActiveApp(ip);
+      this.activeApp = active;
+      
+      if (active) {
+        this.elements.activeAppName.textContent = active.name || 'Unknown';
+      } else {
+        this.elements.activeAppName.textContent = 'Home Screen';
+      }
+      this.renderNowPlaying();
+      if (this.currentDevice?.isTv) this.renderTvInputs();
+    } catch (error) {
+      console.error('Error refreshing active app:', error);
+    }
+  }
+
+  /**
+   * Apply a full or partial state pushed by the server
+   */
+  applyDeviceState(state) {
+    if ('activeApp' in state) {
+      this.activeApp = state.activeApp;
+      this.elements.activeAppName.textContent = state.activeApp ? (state.activeApp.name || 'Unknown') : 'Home Screen';
+      if (this.currentDevice?.isTv) {
+        this.renderTvInputs();
+        this.refreshTvChannel();
+      }
+    }
+
+    if ('media' in state) {
+      this.mediaState = state.media;
+      this.mediaFetchedAt = Date.now();
+    }
+
+    if ('powerMode' in state && this.currentDevice && state.powerMode) {
+      this.currentDevice.powerMode = state.powerMode;
+      this.renderDeviceDetails();
+    }
+
+    if ('online' in state && state.online === false) {
+      this.showStatus('Device is not responding', 'warning');
+    }
+
+    this.renderNowPlaying();
+  }
+
+  /**
+   * Refresh media player state
+   */
+  async refreshMedia() {
+    const media = await roku.getMediaPlayer(this.currentIp);
+    this.mediaState = media && media.available ? media : null;
+    this.mediaFetchedAt = Date.now();
+    this.renderNowPlaying();
+  }
+
+  /**
+   * Render the Now Playing card, interpolating position while playing
+   */
+  renderNowPlaying() {
+    const media = this.mediaState;
+    const playing = media && media.state !== 'close' && media.state !== 'stop';
+
+    if (!playing) {
+      this.elements.nowPlaying.style.display = 'none';
+      return;
+    }
+
+    const appId = media.plugin?.id || this.activeApp?.id;
+    const appName = media.plugin?.name || this.activeApp?.name || 'Unknown app';
+    this.elements.nowPlaying.style.display = 'flex';
+    this.elements.nowPlayingApp.textContent = appName;
+    this.elements.nowPlayingState.textContent = media.isLive ? `${media.state} · live` : media.state;
+
+    if (appId) {
+      const version = this.apps.find(a => a.id === appId)?.version;
+      const iconUrl = roku.getAppIconUrl(this.currentIp, appId, version);
+      if (this.elements.nowPlayingIcon.getAttribute('src') !== iconUrl) {
+        this.elements.nowPlayingIcon.src = iconUrl;
+      }
+      this.elements.nowPlayingIcon.style.display = '';
+    } else {
+      this.elements.nowPlayingIcon.style.display = 'none';
+    }
+
+    // Advance position locally between refreshes so the bar moves smoothly
+    let position = media.position || 0;
+    if (media.state === 'play') {
+      position += Date.now() - this.mediaFetchedAt;
+    }
+    const duration = media.duration || 0;
+    if (duration > 0) {
+      position = Math.min(position, duration);
+    }
+
+    const showProgress = duration > 0 && !media.isLive;
+    this.elements.nowPlayingProgress.style.width = showProgress ? `${(position / duration) * 100}%` : '100%';
+    this.elements.nowPlayingElapsed.textContent = this.formatTime(position);
+    this.elements.nowPlayingRemaining.textContent = showProgress ? `-${this.formatTime(duration - position)}` : '';
+  }
+
+  /**
+   * Format milliseconds as h:mm:ss or m:ss
+   */
+  formatTime(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Start a press on a remote button. Becomes a hold if the pointer
+   * stays down longer than the hold delay.
+   */
+  beginPress(btn, e) {
+    if (e.button !== undefined && e.button !== 0) return;
+    this.releaseHeldKey();
+
+    const key = btn.dataset.key;
+    btn.classList.add('active');
+    btn.setPointerCapture?.(e.pointerId);
+
+    this.heldKey = {
+      btn,
+      key,
+      holding: false,
+      // Holds aren't broadcast; in multi-device mode every press is a tap
+      holdTimer: this.multiSelect ? null : setTimeout(() => this.startHold(), 400),
+      renewTimer: null,
+      keydown: null
+    };
+  }
+
+  /**
+   * Switch the current press to a held key and keep renewing the hold
+   */
+  async startHold() {
+    const held = this.heldKey;
+    if (!held) return;
+
+    held.holding = true;
+    // Recorded and kept before awaiting, so a quick release can't overtake it
+    this.recordStep({ keydown: held.key });
+    held.keydown = roku.keydown(this.currentIp, held.key);
+    try {
+      const response = await held.keydown;
+      // Renew well within the server's safety timeout
+      const renewEvery = Math.max(500, (response.holdTimeout || 3000) / 3);
+      if (this.heldKey === held) {
+        held.renewTimer = setInterval(() => {
+          roku.keydown(this.currentIp, held.key).catch(() => this.releaseHeldKey());
+        }, renewEvery);
+      }
+    } catch (error) {
+      console.error('Error holding key:', error);
+      this.showStatus(`Key error: ${error.message}`, 'error');
+      this.releaseHeldKey();
+    }
+  }
+
+  /**
+   * Finish a press: a short tap sends a keypress, a hold is released.
+   * Cancelled presses (pointer left or was cancelled) never send a tap.
+   */
+  endPress(btn, cancelled = false) {
+    const held = this.heldKey;
+    if (!held || held.btn !== btn) return;
+
+    if (held.holding) {
+      this.releaseHeldKey();
+    } else {
+      clearTimeout(held.holdTimer);
+      btn.classList.remove('active');
+      this.heldKey = null;
+      if (!cancelled) this.sendKey(held.key, btn);
+    }
+  }
+
+  /**
+   * Release whatever key is currently held
+   */
+  releaseHeldKey() {
+    const held = this.heldKey;
+    if (!held) return;
+
+    this.heldKey = null;
+    clearTimeout(held.holdTimer);
+    clearInterval(held.renewTimer);
+    held.btn.classList.remove('active');
+
+    if (held.holding && this.currentIp) {
+      const ip = this.currentIp;
+      this.recordStep({ keyup: held.key });
+      // keyup must reach the device after keydown, or the key stays held
+      held.keydown
+        .catch(() => {})
+        .then(() => roku.keyup(ip, held.key))
+        .catch(error => {
+          console.error('Error releasing key:', error);
+        });
+    }
+  }
+
+  /**
+   * Send a key command
+   */
+  async sendKey(key, btn = null) {
+    if (this.multiSelect) {
+      btn?.classList.add('active');
+      setTimeout(() => btn?.classList.remove('active'), 100);
+      return this.broadcast('keypress', { key });
+    }
+
+    try {
+      const ip = this.currentIp;
+      await roku.keypress(ip, key);
+      this.recordStep({ key });
+      // Visual feedback
+      if (btn) {
+        btn.classList.add('active');
+        setTimeout(() => btn.classList.remove('active'), 100);
+      }
+    } catch (error) {
+      console.error('Error sending key:', error);
+      this.showStatus(`Key error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Send text to device
+   */
+  async sendText() {
+    const text = this.elements.textInput.value.trim();
+    
+    if (!text) {
+      this.showStatus('Please enter text', 'error');
+      return;
+    }
+
+    try {
+      const ip = this.currentIp;
+      await roku.sendText(ip, text);
+      this.recordStep({ text });
+      this.showStatus('Text sent!', 'success');
+      this.elements.textInput.value = '';
+    } catch (error) {
+      console.error('Error sending text:', error);
+      this.showStatus(`Send error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Turn live keyboard mode on or off
+   */
+  setLiveKeyboard(enabled) {
+    this.liveKeyboard = enabled;
+    this.elements.textInput.value = '';
+    this.liveTextValue = '';
+    this.elements.sendTextBtn.style.display = enabled ? 'none' : '';
+    this.elements.textInput.placeholder = enabled
+      ? 'Live: keystrokes go straight to the Roku...'
+      : 'Type text to send to Roku...';
+    if (enabled) this.elements.textInput.focus();
+  }
+
+  /**
+   * Forward whatever changed in the text box since the last input event.
+   * Diffing the value (rather than reading key events) also handles mobile
+   * keyboards, autocorrect and paste: removed characters become Backspaces.
+   */
+  forwardLiveInput() {
+    // Compare code points, so an emoji is never split into half a surrogate pair
+    const previous = Array.from(this.liveTextValue);
+    const current = Array.from(this.elements.textInput.value);
+
+    let common = 0;
+    while (common < previous.length && common < current.length && previous[common] === current[common]) {
+      common++;
+    }
+
+    const deleted = previous.length - common;
+    const inserted = current.slice(common).join('');
+    this.liveTextValue = this.elements.textInput.value;
+
+    const chunk = '\b'.repeat(deleted) + inserted;
+    if (chunk) this.sendLiveText(chunk);
+  }
+
+  /**
+   * Queue live text so keystrokes reach the device in order
+   */
+  sendLiveText(chunk) {
+    const ip = this.currentIp;
+    this.recordStep({ text: chunk });
+    this.liveTextQueue = this.liveTextQueue
+      .then(() => roku.sendText(ip, chunk, 0))
+      .catch(error => {
+        console.error('Error sending live text:', error);
+        this.showStatus(`Send error: ${error.message}`, 'error');
+      });
+  }
+
+  /**
+   * Launch an app
+   */
+  async launchApp(appId) {
+    if (this.multiSelect) {
+      return this.broadcast('launch', { appId });
+    }
+
+    try {
+      const ip = this.currentIp;
+      await roku.launchApp(ip, appId);
+      // Replays should continue only once the app is actually up
+      this.recordStep({ launch: appId });
+      this.recordStep({ waitFor: { activeApp: appId }, timeout: 20000 });
+      this.showStatus('App launching...', 'success');
+      // Refresh active app after a delay
+      setTimeout(() => this.refreshActiveApp(), 1000);
+    } catch (error) {
+      console.error('Error launching app:', error);
+      this.showStatus(`Launch error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Load the antenna lineup and tuned channel (Roku TVs only)
+   */
+  async loadTv() {
+    if (!this.currentDevice?.isTv) return;
+
+    const ip = this.currentIp;
+    try {
+      this.tvChannels = await roku.getTvChannels(ip);
+    } catch (error) {
+      this.tvChannels = [];
+    }
+    await this.refreshTvChannel();
+  }
+
+  /**
+   * Refresh the tuned channel and re-render the TV panel
+   */
+  async refreshTvChannel() {
+    try {
+      this.tvActiveChannel = await roku.getActiveTvChannel(this.currentIp);
+    } catch (error) {
+      this.tvActiveChannel = null;
+    }
+    this.renderTvChannel();
+    this.renderTvChannels();
+  }
+
+  /**
+   * Show the tuned channel and its current program
+   */
+  renderTvChannel() {
+    const channel = this.tvActiveChannel;
+    if (!channel || !channel.activeInput) {
+      this.elements.tvActiveChannel.textContent = 'Not watching antenna TV';
+      return;
+    }
+
+    const program = channel.program
+      ? ` — ${this.escapeHtml(channel.program.title)}${channel.program.ratings ? ` (${this.escapeHtml(channel.program.ratings)})` : ''}`
+      : '';
+    this.elements.tvActiveChannel.innerHTML =
+      `<strong>${this.escapeHtml(channel.number)} ${this.escapeHtml(channel.name || '')}</strong>${program}`;
+  }
+
+  /**
+   * Render the channel lineup as tune buttons (user-hidden channels left out)
+   */
+  renderTvChannels() {
+    const channels = this.tvChannels.filter(channel => !channel.hidden);
+    if (channels.length === 0) {
+      this.elements.tvChannelsList.innerHTML = '<p class="secondary-text">No antenna channels. Run a channel scan on the TV.</p>';
+      return;
+    }
+
+    const tuned = this.tvActiveChannel?.activeInput ? this.tvActiveChannel.number : null;
+    this.elements.tvChannelsList.innerHTML = channels.map(channel => `
+      <button class="tv-channel${channel.number === tuned ? ' active' : ''}" data-channel="${this.escapeHtml(channel.number)}">
+        <strong>${this.escapeHtml(channel.number)}</strong>
+        <small>${this.escapeHtml(channel.name || '')}</small>
+      </button>
+    `).join('');
+  }
+
+  /**
+   * Input switcher: the TV's tvin apps (named as set up on the TV),
+   * falling back to the Input* keys
+   */
+  renderTvInputs() {
+    const inputs = this.apps.filter(app => app.type === 'tvin');
+    const buttons = inputs.length > 0
+      ? inputs.map(input => ({ id: input.id, label: input.name || input.id }))
+      : [
+        { id: 'InputTuner', label: 'Antenna' },
+        { id: 'InputHDMI1', label: 'HDMI 1' },
+        { id: 'InputHDMI2', label: 'HDMI 2' },
+        { id: 'InputHDMI3', label: 'HDMI 3' },
+        { id: 'InputHDMI4', label: 'HDMI 4' },
+        { id: 'InputAV1', label: 'AV' }
+      ];
+
+    const activeId = this.activeApp?.id;
+    this.elements.tvInputs.innerHTML = buttons.map(input => `
+      <button class="btn btn-nav${input.id === activeId ? ' active' : ''}" data-input="${this.escapeHtml(input.id)}">${this.escapeHtml(input.label)}</button>
+    `).join('');
+  }
+
+  /**
+   * Explicitly turn the current device on or off
+   */
+  async setPower(state) {
+    if (this.multiSelect) {
+      return this.broadcast('power', { state });
+    }
+
+    try {
+      const result = await roku.setPower(this.currentIp, state);
+      if (!result.changed) {
+        this.showStatus(`Already ${state}`, 'info');
+      } else {
+        this.showStatus(result.wokeOnLan ? 'Woke device over the network' : `Turned ${state}`, 'success');
+      }
+    } catch (error) {
+      this.showStatus(`Power error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Tune an antenna channel
+   */
+  async tuneChannel(number) {
+    try {
+      await roku.tuneChannel(this.currentIp, number);
+      this.showStatus(`Tuning ${number}...`, 'success');
+      setTimeout(() => this.refreshTvChannel(), 1500);
+    } catch (error) {
+      this.showStatus(`Tune error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Switch the TV's input
+   */
+  async selectTvInput(input) {
+    try {
+      await roku.selectTvInput(this.currentIp, input);
+      setTimeout(() => {
+        this.refreshActiveApp();
+        this.refreshTvChannel();
+      }, 1500);
+    } catch (error) {
+      this.showStatus(`Input error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Fill the search provider picker from the installed channels
+   */
+  renderSearchProviders() {
+    const selected = this.elements.searchProviderSelect.value;
+    this.elements.searchProviderSelect.innerHTML = '<option value="">Any provider</option>' + this.apps
+      .filter(app => app.type === 'appl')
+      .map(app => `<option value="${this.escapeHtml(app.id)}">${this.escapeHtml(app.name || app.id)}</option>`)
+      .join('');
+    this.elements.searchProviderSelect.value = selected;
+    this.updateSearchForm();
+  }
+
+  /**
+   * Season only applies to TV shows; playing a match needs a provider
+   */
+  updateSearchForm() {
+    const isShow = this.elements.searchTypeSelect.value === 'tv-show';
+    this.elements.searchSeasonInput.style.display = isShow ? '' : 'none';
+    if (!isShow) this.elements.searchSeasonInput.value = '';
+
+    const hasProvider = Boolean(this.elements.searchProviderSelect.value);
+    this.elements.searchLaunchToggle.disabled = !hasProvider;
+    if (!hasProvider) this.elements.searchLaunchToggle.checked = false;
+  }
+
+  /**
+   * Run a universal search on the Roku
+   */
+  async search() {
+    const provider = this.elements.searchProviderSelect.value;
+    const season = parseInt(this.elements.searchSeasonInput.value);
+    const query = {
+      keyword: this.elements.searchKeywordInput.value.trim(),
+      type: this.elements.searchTypeSelect.value || undefined,
+      season: season || undefined,
+      providerIds: provider ? [provider] : undefined,
+      launch: this.elements.searchLaunchToggle.checked
+    };
+
+    try {
+      await roku.search(this.currentIp, query);
+      this.showStatus(query.launch ? 'Opening match...' : 'Search results on TV', 'success');
+      if (query.launch) setTimeout(() => this.refreshActiveApp(), 1000);
+    } catch (error) {
+      this.showStatus(`Search error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Load content bookmarks and render them as launch buttons
+   */
+  async loadBookmarks() {
+    try {
+      this.bookmarks = await roku.listBookmarks();
+    } catch (error) {
+      this.bookmarks = [];
+    }
+
+    if (this.bookmarks.length === 0) {
+      this.elements.bookmarksList.innerHTML = '<p class="secondary-text">No bookmarks yet. Add a title by app and content ID below.</p>';
+      return;
+    }
+
+    this.elements.bookmarksList.innerHTML = this.bookmarks.map(bookmark => {
+      const appName = this.apps.find(app => app.id === bookmark.appId)?.name || bookmark.appId;
+      return `
+        <div class="macro-item" data-bookmark-id="${this.escapeHtml(bookmark.id)}">
+          <button class="btn btn-playback" data-action="launch" title="${this.escapeHtml(`${appName}: ${bookmark.contentId || ''}`)}">▶ ${this.escapeHtml(bookmark.name)}</button>
+          <button class="btn btn-small btn-danger" data-action="delete" title="Delete">×</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Fill the bookmark form's app picker from the installed channels
+   */
+  renderBookmarkAppOptions() {
+    const selected = this.elements.bookmarkAppSelect.value;
+    this.elements.bookmarkAppSelect.innerHTML = this.apps
+      .filter(app => app.type === 'appl')
+      .map(app => `<option value="${this.escapeHtml(app.id)}">${this.escapeHtml(app.name || app.id)}</option>`)
+      .join('');
+    if (selected) {
+      this.elements.bookmarkAppSelect.value = selected;
+    }
+  }
+
+  /**
+   * Save a bookmark from the form
+   */
+  async createBookmark() {
+    try {
+      await roku.createBookmark({
+        name: this.elements.bookmarkNameInput.value.trim(),
+        appId: this.elements.bookmarkAppSelect.value,
+        contentId: this.elements.bookmarkContentIdInput.value.trim(),
+        mediaType: this.elements.bookmarkMediaTypeSelect.value || null
+      });
+      this.elements.bookmarkForm.reset();
+      this.showStatus('Bookmark saved', 'success');
+      await this.loadBookmarks();
+    } catch (error) {
+      this.showStatus(`Could not save bookmark: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Launch a bookmarked title on the current device
+   */
+  async launchBookmark(id) {
+    const bookmark = this.bookmarks.find(b => b.id === id);
+    try {
+      await roku.launchBookmark(id, this.currentIp);
+      const params = { ...bookmark.params, contentId: bookmark.contentId };
+      if (bookmark.mediaType) params.mediaType = bookmark.mediaType;
+      this.recordStep({ launch: bookmark.appId, params });
+      this.recordStep({ waitFor: { activeApp: bookmark.appId }, timeout: 20000 });
+      this.showStatus(`Opening ${bookmark.name}...`, 'success');
+      setTimeout(() => this.refreshActiveApp(), 1000);
+    } catch (error) {
+      this.showStatus(`Launch error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Delete a bookmark after confirmation
+   */
+  async deleteBookmark(id) {
+    const bookmark = this.bookmarks.find(b => b.id === id);
+    if (!bookmark || !confirm(`Delete bookmark "${bookmark.name}"?`)) return;
+
+    try {
+      await roku.deleteBookmark(id);
+      await this.loadBookmarks();
+    } catch (error) {
+      this.showStatus(`Could not delete bookmark: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Load saved macros and render them as buttons
+   */
+  async loadMacros() {
+    try {
+      this.macros = await roku.listMacros();
+    } catch (error) {
+      this.macros = [];
+    }
+
+    if (this.macros.length === 0) {
+      this.elements.macrosList.innerHTML = '<p class="secondary-text">No macros yet. Press Record, use the remote, then Stop.</p>';
+      return;
+    }
+
+    this.elements.macrosList.innerHTML = this.macros.map(macro => `
+      <div class="macro-item" data-macro-id="${this.escapeHtml(macro.id)}">
+        <button class="btn btn-playback" data-action="run" title="${this.escapeHtml(macro.description || `${macro.steps.length} steps`)}">▶ ${this.escapeHtml(macro.name)}</button>
+        <button class="btn btn-small" data-action="edit" title="Edit">✎</button>
+        <button class="btn btn-small btn-danger" data-action="delete" title="Delete">×</button>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Start or stop recording a macro
+   */
+  toggleRecording() {
+    if (!this.recording) {
+      this.recording = { steps: [], lastAt: null };
+      this.elements.recordMacroBtn.textContent = '⏹ Stop Recording';
+      this.elements.recordMacroBtn.classList.add('recording');
+      this.showStatus('Recording macro — use the remote, then press Stop', 'info');
+      return;
+    }
+
+    const { steps } = this.recording;
+    this.recording = null;
+    this.elements.recordMacroBtn.textContent = '⏺ Record Macro';
+    this.elements.recordMacroBtn.classList.remove('recording');
+
+    if (steps.length === 0) {
+      this.showStatus('Nothing recorded', 'warning');
+      return;
+    }
+
+    this.openMacroEditor(null, steps);
+  }
+
+  /**
+   * Append a step to the macro being recorded, storing the gap since the
+   * previous step as that step's delay so replays keep the same timing
+   */
+  recordStep(step) {
+    if (!this.recording) return;
+
+    const now = Date.now();
+    const previous = this.recording.steps[this.recording.steps.length - 1];
+    if (previous && this.recording.lastAt) {
+      previous.delay = Math.min(60000, Math.round((now - this.recording.lastAt) / 50) * 50);
+    }
+
+    this.recording.steps.push(step);
+    this.recording.lastAt = now;
+  }
+
+  /**
+   * Open the macro editor for an existing macro or newly recorded steps
+   */
+  openMacroEditor(id = null, steps = null) {
+    const macro = id ? this.macros.find(m => m.id === id) : null;
+    this.editingMacroId = macro ? macro.id : null;
+    this.elements.macroNameInput.value = macro ? macro.name : '';
+    this.elements.macroStepsInput.value = JSON.stringify(macro ? macro.steps : steps || [], null, 2);
+    this.elements.macroModal.style.display = 'flex';
+    this.elements.macroNameInput.focus();
+  }
+
+  /**
+   * Close the macro editor
+   */
+  closeMacroEditor() {
+    this.elements.macroModal.style.display = 'none';
+    this.editingMacroId = null;
+  }
+
+  /**
+   * Save the macro in the editor
+   */
+  async saveMacro() {
+    const name = this.elements.macroNameInput.value.trim();
+    let steps;
+
+    try {
+      steps = JSON.parse(this.elements.macroStepsInput.value);
+    } catch (error) {
+      this.showStatus(`Steps are not valid JSON: ${error.message}`, 'error');
+      return;
+    }
+
+    try {
+      if (this.editingMacroId) {
+        await roku.updateMacro(this.editingMacroId, { name, steps });
+      } else {
+        await roku.createMacro({ name, steps });
+      }
+      this.closeMacroEditor();
+      await this.loadMacros();
+      this.showStatus(`Macro "${name}" saved`, 'success');
+    } catch (error) {
+      this.showStatus(`Save failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Delete a macro
+   */
+  async deleteMacro(id) {
+    const macro = this.macros.find(m => m.id === id);
+    if (!macro || !confirm(`Delete macro "${macro.name}"?`)) return;
+
+    try {
+      await roku.deleteMacro(id);
+      await this.loadMacros();
+      this.showStatus('Macro deleted', 'success');
+    } catch (error) {
+      this.showStatus(`Delete failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Run a macro on the current device and report when it finishes
+   */
+  async runMacro(id) {
+    const macro = this.macros.find(m => m.id === id);
+    try {
+      const job = await roku.runMacro(id, this.currentIp);
+      this.showStatus(`Running "${macro ? macro.name : 'macro'}"...`, 'info');
+      this.watchJob(job.id, macro ? macro.name : 'Macro');
+    } catch (error) {
+      this.showStatus(`Macro error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Poll a job until it finishes, then show the outcome
+   */
+  async watchJob(jobId, label) {
+    try {
+      const job = await roku.getJob(jobId);
+      if (job.status === 'running') {
+        setTimeout(() => this.watchJob(jobId, label), 500);
+      } else if (job.status === 'completed') {
+        this.showStatus(`${label} finished`, 'success');
+      } else if (job.status === 'cancelled') {
+        this.showStatus(`${label} cancelled`, 'warning');
+      } else {
+        this.showStatus(`${label} failed: ${job.error}`, 'error');
+      }
+    } catch (error) {
+      console.error('Error checking job:', error);
+    }
+  }
+
+  /**
+   * Load schedules and render them with next run and last result
+   */
+  async loadSchedules() {
+    let schedules = [];
+    try {
+      schedules = await roku.listSchedules();
+    } catch (error) {
+      console.error('Error loading schedules:', error);
+    }
+
+    this.updateScheduleForm();
+
+    if (schedules.length === 0) {
+      this.elements.schedulesList.innerHTML = '<p class="secondary-text">No scheduled actions.</p>';
+      return;
+    }
+
+    this.elements.schedulesList.innerHTML = schedules.map(schedule => {
+      const device = this.devices.find(d => d.serial === schedule.device);
+      const deviceName = device ? (device.nickname || device.name || device.serial) : schedule.device;
+      const when = schedule.trigger.type === 'cron' ? `cron ${schedule.trigger.cron}` : 'once';
+      const next = schedule.nextRun ? new Date(schedule.nextRun).toLocaleString() : '—';
+      const last = schedule.lastRun
+        ? `${schedule.lastRun.status} ${new Date(schedule.lastRun.at).toLocaleString()}${schedule.lastRun.error ? ` (${schedule.lastRun.error})` : ''}`
+        : 'never run';
+
+      return `
+        <div class="schedule-item${schedule.enabled ? '' : ' disabled'}" data-schedule-id="${this.escapeHtml(schedule.id)}" data-enabled="${schedule.enabled}">
+          <div class="schedule-info">
+            <strong>${this.escapeHtml(schedule.name)}</strong>
+            <p>${this.escapeHtml(deviceName)} · ${this.escapeHtml(when)} · ${this.escapeHtml(this.describeAction(schedule.action))}</p>
+            <p>Next: ${this.escapeHtml(next)} · Last: ${this.escapeHtml(last)}</p>
+          </div>
+          <div class="device-actions">
+            <button class="btn btn-small" data-action="run" title="Run now">▶</button>
+            <button class="btn btn-small" data-action="toggle">${schedule.enabled ? 'Disable' : 'Enable'}</button>
+            <button class="btn btn-small btn-danger" data-action="delete" title="Delete">×</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Short description of a scheduled action
+   */
+  describeAction(action) {
+    switch (action.type) {
+      case 'key': return `press ${action.key}`;
+      case 'launch': return `launch ${action.appId}`;
+      case 'power': return `turn ${action.state === 'toggle' ? 'power on/off' : action.state}`;
+      case 'macro': {
+        const macro = this.macros.find(m => m.id === action.macroId);
+        return `macro ${macro ? macro.name : action.macroId}`;
+      }
+      default: return `${action.steps?.length || 0}-step sequence`;
+    }
+  }
+
+  /**
+   * Show the inputs that match the selected trigger and action types
+   */
+  updateScheduleForm() {
+    const isCron = this.elements.scheduleTriggerType.value === 'cron';
+    this.elements.scheduleCronInput.style.display = isCron ? '' : 'none';
+    this.elements.scheduleAtInput.style.display = isCron ? 'none' : '';
+
+    const actionType = this.elements.scheduleActionType.value;
+    const placeholders = { key: 'Key (e.g. PowerOff)', launch: 'App ID (e.g. 12)' };
+    if (actionType === 'macro') {
+      const current = this.elements.scheduleActionValue.value;
+      this.elements.scheduleActionValue.outerHTML = `
+        <select id="scheduleActionValue" class="input-field">
+          ${this.macros.map(m => `<option value="${m.id}">${this.escapeHtml(m.name)}</option>`).join('')}
+        </select>`;
+      this.elements.scheduleActionValue = document.getElementById('scheduleActionValue');
+      if (this.macros.some(m => m.id === current)) this.elements.scheduleActionValue.value = current;
+    } else {
+      if (this.elements.scheduleActionValue.tagName === 'SELECT') {
+        this.elements.scheduleActionValue.outerHTML = '<input id="scheduleActionValue" type="text" class="input-field" autocomplete="off" required>';
+        this.elements.scheduleActionValue = document.getElementById('scheduleActionValue');
+      }
+      this.elements.scheduleActionValue.placeholder = placeholders[actionType];
+    }
+  }
+
+  /**
+   * Create a schedule for the current device from the form
+   */
+  async createSchedule() {
+    const isCron = this.elements.scheduleTriggerType.value === 'cron';
+    const actionType = this.elements.scheduleActionType.value;
+    const value = this.elements.scheduleActionValue.value.trim();
+    const at = this.elements.scheduleAtInput.value;
+
+    const action = actionType === 'key' ? { type: 'key', key: value }
+      : actionType === 'launch' ? { type: 'launch', appId: value }
+      : { type: 'macro', macroId: value };
+    const trigger = isCron
+      ? { type: 'cron', cron: this.elements.scheduleCronInput.value.trim() }
+      : { type: 'once', at: at ? new Date(at).toISOString() : null };
+
+    try {
+      await roku.createSchedule({
+        name: this.elements.scheduleNameInput.value.trim(),
+        device: this.currentSerial || this.currentIp,
+        trigger,
+        action
+      });
+      this.elements.scheduleForm.reset();
+      await this.loadSchedules();
+      this.showStatus('Schedule created', 'success');
+    } catch (error) {
+      this.showStatus(`Schedule error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Start (or replace) the sleep timer on the current device
+   */
+  async setSleepTimer() {
+    const minutes = parseInt(this.elements.sleepMinutes.value);
+    try {
+      await roku.setSleepTimer(this.currentSerial || this.currentIp, minutes);
+      await this.loadSchedules();
+      this.showStatus(`Sleep timer set for ${minutes} minutes`, 'success');
+    } catch (error) {
+      this.showStatus(`Sleep timer error: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Run a schedule's action now
+   */
+  async runSchedule(id) {
+    try {
+      await roku.runSchedule(id);
+      this.showStatus('Scheduled action ran', 'success');
+    } catch (error) {
+      this.showStatus(`Run failed: ${error.message}`, 'error');
+    }
+    this.loadSchedules();
+  }
+
+  /**
+   * Enable or disable a schedule
+   */
+  async toggleSchedule(id, enabled) {
+    try {
+      await roku.updateSchedule(id, { enabled });
+      await this.loadSchedules();
+    } catch (error) {
+      this.showStatus(`Update failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Delete a schedule
+   */
+  async deleteSchedule(id) {
+    if (!confirm('Delete this schedule?')) return;
+
+    try {
+      await roku.deleteSchedule(id);
+      await this.loadSchedules();
+    } catch (error) {
+      this.showStatus(`Delete failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Address to use for a registered device ("[ipv6]:port" style when the port isn't 8060)
+   */
+  deviceAddress(device) {
+    if (!device.port || device.port === 8060) {
+      return device.ip;
+    }
+    return device.ip.includes(':') ? `[${device.ip}]:${device.port}` : `${device.ip}:${device.port}`;
+  }
+
+  /**
+   * Escape a value for interpolation into HTML
+   */
+  escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+  }
+
+  /**
+   * Show status message
+   */
+  showStatus(message, type = 'info') {
+    this.elements.status.style.display = 'block';
+    this.elements.status.className = `status-bar status-${type}`;
+    this.elements.statusText.textContent = message;
+    
+    // Auto-hide after 3 seconds
+    setTimeout(() => {
+      this.elements.status.style.display = 'none';
+    }, 3000);
+  }
+
+  /**
+   * Subscribe to server-pushed device state
+   */
+  startLiveUpdates() {
+    this.stopLiveUpdates();
+
+    this.unsubscribe = roku.subscribe(this.currentIp, {
+      onState: (state) => this.applyDeviceState(state),
+      onChange: (changes) => this.applyDeviceState(changes),
+      onError: () => console.warn('Live updates interrupted, reconnecting...')
+    });
+
+    // Tick the Now Playing progress between refreshes
+    if (!this.progressInterval) {
+      this.progressInterval = setInterval(() => this.renderNowPlaying(), 1000);
+    }
+  }
+
+  /**
+   * Stop live updates
+   */
+  stopLiveUpdates() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.progressInterval) {
+      clearInterval(this.progressInterval);
+      this.progressInterval = null;
     }
   }
 }
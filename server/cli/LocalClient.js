@@ -0,0 +1,97 @@
+import { RokuService } from '../services/RokuService.js';
+import { DeviceDiscovery } from '../services/DeviceDiscovery.js';
+import { DeviceRegistry } from '../services/DeviceRegistry.js';
+import { PowerManager } from '../services/PowerManager.js';
+import { WakeOnLan } from '../services/WakeOnLan.js';
+
+/**
+ * CLI backend that talks to devices directly with RokuService.
+ * Registered devices are read from the server's DATA_DIR so nicknames and
+ * serial numbers work the same as in the web UI.
+ */
+export class LocalClient {
+  constructor({ registryPath }) {
+    this.rokuService = new RokuService();
+    this.discovery = new DeviceDiscovery(this.rokuService);
+    this.registry = new DeviceRegistry(registryPath);
+    this.powerManager = new PowerManager(this.rokuService, new WakeOnLan());
+  }
+
+  /**
+   * Turn an IP, serial number or nickname into an address
+   */
+  async resolveDevice(device) {
+    const devices = await this.registry.list();
+    const wanted = device.toLowerCase();
+    const match = devices.find(d => d.serial?.toLowerCase() === wanted || d.nickname?.toLowerCase() === wanted);
+    return match ? this.registry.resolveAddress(match.serial) : device;
+  }
+
+  /**
+   * Discover devices on the network
+   */
+  async discover(timeout) {
+    return this.discovery.discover(timeout);
+  }
+
+  /**
+   * Device info
+   */
+  async info(ip) {
+    return this.rokuService.getDeviceInfo(ip);
+  }
+
+  /**
+   * Installed apps
+   */
+  async apps(ip) {
+    return this.rokuService.getApps(ip);
+  }
+
+  /**
+   * App in the foreground (null on the home screen)
+   */
+  async active(ip) {
+    return this.rokuService.getActiveApp(ip);
+  }
+
+  /**
+   * Press a key once
+   */
+  async keypress(ip, key) {
+    await this.rokuService.keypress(ip, key);
+  }
+
+  /**
+   * Press a key repeat times, in order
+   */
+  async keys(ip, key, repeat) {
+    const steps = [{ key: this.rokuService.normalizeKey(key), repeat }];
+    const error = this.rokuService.validateSequence(steps);
+    if (error) {
+      throw new Error(error);
+    }
+    await this.rokuService.runSequence(ip, steps);
+  }
+
+  /**
+   * Type text into the focused field
+   */
+  async text(ip, text) {
+    await this.rokuService.text(ip, text);
+  }
+
+  /**
+   * Launch an app by id
+   */
+  async launch(ip, appId) {
+    await this.rokuService.launch(ip, appId);
+  }
+
+  /**
+   * Turn a device on or off, or toggle it
+   */
+  async power(ip, state) {
+    return this.powerManager.setPower(ip, state, { macs: await this.registry.knownMacs(ip) });
+  }
+}
@@ -0,0 +1,116 @@
+import { formatAddress } from '../services/DeviceAddressPolicy.js';
+
+/**
+ * CLI backend that goes through a running server's HTTP API, for when the
+ * server is the only thing that can reach the TVs or auth is enabled
+ */
+export class ServerClient {
+  constructor({ baseUrl, token }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.token = token || null;
+  }
+
+  /**
+   * Call the API; throws an Error carrying the server's error code
+   */
+  async request(method, endpoint, body) {
+    const response = await fetch(`${this.baseUrl}/api${endpoint}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token && { Authorization: `Bearer ${this.token}` })
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+      throw Object.assign(new Error(data.error || `Server responded ${response.status}`), { code: data.code });
+    }
+    return data;
+  }
+
+  /**
+   * Turn an IP, serial number or nickname into an address
+   */
+  async resolveDevice(device) {
+    const { devices } = await this.request('GET', '/devices');
+    const wanted = device.toLowerCase();
+    const match = devices.find(d => d.serial?.toLowerCase() === wanted || d.nickname?.toLowerCase() === wanted);
+    if (!match) {
+      return device;
+    }
+    return match.port && match.port !== 8060 ? formatAddress(match.ip, match.port) : match.ip;
+  }
+
+  /**
+   * Discover devices on the network
+   */
+  async discover(timeout) {
+    return (await this.request('GET', `/devices/discover?timeout=${timeout}`)).devices;
+  }
+
+  /**
+   * Device info
+   */
+  async info(ip) {
+    return (await this.request('GET', `${this._device(ip)}/info`)).data;
+  }
+
+  /**
+   * Installed apps
+   */
+  async apps(ip) {
+    // Include apps hidden in the web UI so they can still be launched
+    return (await this.request('GET', `${this._device(ip)}/apps?all=1`)).data;
+  }
+
+  /**
+   * App in the foreground (null on the home screen)
+   */
+  async active(ip) {
+    return (await this.request('GET', `${this._device(ip)}/active`)).data;
+  }
+
+  /**
+   * Press a key once
+   */
+  async keypress(ip, key) {
+    await this.request('POST', `${this._device(ip)}/keypress`, { key });
+  }
+
+  /**
+   * Press a key repeat times, in order
+   */
+  async keys(ip, key, repeat) {
+    if (repeat === 1) {
+      return this.keypress(ip, key);
+    }
+    await this.request('POST', `${this._device(ip)}/keys?wait=1`, { steps: [{ key, repeat }] });
+  }
+
+  /**
+   * Type text into the focused field
+   */
+  async text(ip, text) {
+    await this.request('POST', `${this._device(ip)}/text`, { text });
+  }
+
+  /**
+   * Launch an app by id
+   */
+  async launch(ip, appId) {
+    await this.request('POST', `${this._device(ip)}/launch`, { appId });
+  }
+
+  /**
+   * Turn a device on or off, or toggle it
+   */
+  async power(ip, state) {
+    return (await this.request('POST', `${this._device(ip)}/power`, { state })).data;
+  }
+
+  _device(ip) {
+    return `/device/${encodeURIComponent(ip)}`;
+  }
+}
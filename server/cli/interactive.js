@@ -0,0 +1,84 @@
+import readline from 'readline';
+
+// Terminal key (readline key name or character) → Roku key
+const KEY_BINDINGS = {
+  up: 'Up',
+  down: 'Down',
+  left: 'Left',
+  right: 'Right',
+  return: 'Select',
+  enter: 'Select',
+  backspace: 'Back',
+  escape: 'Back',
+  space: 'Play',
+  h: 'Home',
+  i: 'Info',
+  r: 'Rev',
+  f: 'Fwd',
+  '*': 'Info',
+  '+': 'VolumeUp',
+  '=': 'VolumeUp',
+  '-': 'VolumeDown',
+  m: 'VolumeMute',
+  p: 'Power',
+  s: 'Search',
+  '<': 'InstantReplay'
+};
+
+export const HELP = [
+  'Arrows  D-pad          Enter   Select      Backspace/Esc  Back',
+  'h       Home           Space   Play/Pause  r / f          Rewind / Fast-forward',
+  'i / *   Info           <       Replay      s              Search',
+  '+ / -   Volume         m       Mute        p              Power',
+  'q / Ctrl+C  Quit'
+].join('\n');
+
+/**
+ * Map terminal keys to the Roku D-pad and buttons until the user quits.
+ * Keys are sent one at a time, in order, however fast they're typed.
+ * Resolves when the session ends.
+ */
+export const runInteractive = (client, ip, { input = process.stdin, output = process.stdout } = {}) => {
+  if (!input.isTTY) {
+    return Promise.reject(new Error('Interactive mode needs a terminal'));
+  }
+
+  return new Promise((resolve) => {
+    let queue = Promise.resolve();
+
+    const finish = () => {
+      input.off('keypress', onKeypress);
+      input.setRawMode(false);
+      input.pause();
+      // Let keys already typed reach the device before returning
+      queue.then(() => resolve());
+    };
+
+    const onKeypress = (char, key = {}) => {
+      if ((key.ctrl && key.name === 'c') || key.name === 'q') {
+        finish();
+        return;
+      }
+
+      const rokuKey = KEY_BINDINGS[key.name] || KEY_BINDINGS[char];
+      if (!rokuKey) {
+        return;
+      }
+
+      queue = queue.then(async () => {
+        try {
+          await client.keypress(ip, rokuKey);
+          output.write(`→ ${rokuKey}\n`);
+        } catch (error) {
+          output.write(`✗ ${rokuKey}: ${error.message}\n`);
+        }
+      });
+    };
+
+    output.write(`Controlling ${ip}\n${HELP}\n`);
+    readline.emitKeypressEvents(input);
+    input.setRawMode(true);
+    input.resume();
+    input.on('keypress', onKeypress);
+  });
+};
@@ -3,8 +3,27 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { networkInterfaces } from 'os';
+import { createHash } from 'crypto';
+import QRCode from 'qrcode';
 import { RokuService } from './services/RokuService.js';
 import { DeviceDiscovery } from './services/DeviceDiscovery.js';
+import { DeviceRegistry } from './services/DeviceRegistry.js';
+import { DeviceWatcher } from './services/DeviceWatcher.js';
+import { KeyHoldManager } from './services/KeyHoldManager.js';
+import { JobManager } from './services/JobManager.js';
+import { MacroStore } from './services/MacroStore.js';
+import { Scheduler } from './services/Scheduler.js';
+import { IconCache } from './services/IconCache.js';
+import { AppPreferences } from './services/AppPreferences.js';
+import { BookmarkStore } from './services/BookmarkStore.js';
+import { WakeOnLan } from './services/WakeOnLan.js';
+import { PowerManager } from './services/PowerManager.js';
+import { GroupStore } from './services/GroupStore.js';
+import { AuthManager } from './services/AuthManager.js';
+import { MqttBridge } from './services/MqttBridge.js';
+import { WebhookManager } from './services/WebhookManager.js';
+import { DeviceError, ValidationError } from './services/errors.js';
 
 dotenv.config();
 
@@ -13,6 +32,7 @@ const __dirname = dirname(__filename);
 
 const app = express();
 const port = process.env.PORT || 3000;
+const dataDir = process.env.DATA_DIR || join(__dirname, '../data');
 
 // Middleware
 app.use(cors({
@@ -37,45 +57,634 @@ app.use(cors({
 app.use(express.json());
 app.use(express.static(join(__dirname, '../public')));
 
+/**
+ * Machine-readable code for an error
+ */
+const errorCode = (error) =>
+  (error instanceof ValidationError || error instanceof DeviceError ? error.code : 'INTERNAL_ERROR');
+
+/**
+ * HTTP status for an error: 400 for validation errors, 502 when a device
+ * failed (504 if it timed out), 500 for anything else
+ */
+const errorStatus = (error) => {
+  if (error instanceof ValidationError) {
+    return 400;
+  }
+  if (error instanceof DeviceError) {
+    return error.code === 'DEVICE_TIMEOUT' ? 504 : 502;
+  }
+  return 500;
+};
+
+/**
+ * Send an error as JSON with its status and code
+ */
+const sendError = (res, error) => {
+  res.status(errorStatus(error)).json({ success: false, error: error.message, code: errorCode(error) });
+};
+
+// Authentication (only when ADMIN_TOKEN or ADMIN_PASSWORD is set)
+const authManager = new AuthManager(join(dataDir, 'tokens.json'));
+const PUBLIC_ROUTES = ['/health', '/auth/status', '/auth/login', '/auth/pair'];
+
+/**
+ * Credential from "Authorization: Bearer <token>", or ?access_token= for
+ * EventSource and <img> requests, which can't set headers
+ */
+const credentialFrom = (req) => {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.query.access_token || null;
+};
+
+app.use('/api', async (req, res, next) => {
+  if (!authManager.enabled) {
+    req.auth = { type: 'admin', role: 'admin', tokenId: null, name: 'admin' };
+    return next();
+  }
+
+  try {
+    req.auth = await authManager.authenticate(credentialFrom(req));
+    if (req.auth || PUBLIC_ROUTES.includes(req.path)) {
+      return next();
+    }
+    res.status(401).json({ success: false, error: 'Authentication required', code: 'UNAUTHORIZED' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Route guard for admin-only routes (access management, webhooks): only the
+ * admin token and tokens from signing in with the admin password may pass,
+ * not paired clients
+ */
+const requireAdmin = (req, res, next) => {
+  if (req.auth?.role === 'admin') {
+    return next();
+  }
+  res.status(403).json({ success: false, error: 'Only an admin can do this', code: 'FORBIDDEN' });
+};
+
 // Services
 const rokuService = new RokuService();
-const deviceDiscovery = new DeviceDiscovery();
+const deviceDiscovery = new DeviceDiscovery(rokuService);
+const deviceRegistry = new DeviceRegistry(join(dataDir, 'devices.json'));
+const deviceWatcher = new DeviceWatcher(rokuService);
+const keyHoldManager = new KeyHoldManager(rokuService);
+const jobManager = new JobManager();
+const macroStore = new MacroStore(join(dataDir, 'macros.json'));
+const iconCache = new IconCache(join(dataDir, 'icons'));
+const appPreferences = new AppPreferences(join(dataDir, 'app-preferences.json'));
+const bookmarkStore = new BookmarkStore(join(dataDir, 'bookmarks.json'));
+const powerManager = new PowerManager(rokuService, new WakeOnLan());
+const groupStore = new GroupStore(join(dataDir, 'groups.json'));
+const mqttBridge = new MqttBridge(rokuService, deviceRegistry, deviceWatcher, powerManager);
+const webhookManager = new WebhookManager(join(dataDir, 'webhooks.json'), deviceRegistry, deviceWatcher);
+
+/**
+ * Let services that follow registered devices pick up a registry change
+ */
+const registryChanged = () => {
+  mqttBridge.sync().catch(error => console.error('MQTT sync failed:', error.message));
+  webhookManager.sync().catch(error => console.error('Webhook sync failed:', error.message));
+};
+
+/**
+ * Make sure an address may be contacted: it must be a private-network IP
+ * (see DeviceAddressPolicy), and with DEVICE_ALLOWLIST=known it must also
+ * be a registered or discovered device. Throws a ValidationError otherwise.
+ */
+const checkDeviceAllowed = async (address) => {
+  rokuService.addressPolicy.parse(address);
+  if (process.env.DEVICE_ALLOWLIST !== 'known') {
+    return;
+  }
+  if (deviceDiscovery.hasSeen(address) || await deviceRegistry.findByIp(address)) {
+    return;
+  }
+  throw new ValidationError(`${address} is not a registered or discovered device`, 'DEVICE_NOT_ALLOWED');
+};
+
+/**
+ * Check device references (webhook scopes, schedule targets). Registered
+ * serial numbers are fine as they are; anything else must be an allowed address.
+ */
+const checkDeviceRefs = async (devices = []) => {
+  for (const device of devices) {
+    if (!await deviceRegistry.get(device)) {
+      await checkDeviceAllowed(device);
+    }
+  }
+};
+
+// Every /api/device/:ip route gets a validated address
+app.param('ip', async (req, res, next, ip) => {
+  try {
+    await checkDeviceAllowed(ip);
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * URL other devices on the LAN can open (for pairing QR codes):
+ * PUBLIC_URL if set, otherwise the first non-internal IPv4 address
+ */
+const publicUrl = () => {
+  if (process.env.PUBLIC_URL) {
+    return process.env.PUBLIC_URL.replace(/\/$/, '');
+  }
+  const address = Object.values(networkInterfaces()).flat()
+    .find(iface => iface && iface.family === 'IPv4' && !iface.internal)?.address;
+  return `http://${address || 'localhost'}:${port}`;
+};
+
+/**
+ * Whether the request asked to skip server-side caches (?fresh=1)
+ */
+const wantsFresh = (req) => req.query.fresh === '1' || req.query.fresh === 'true';
+
+/**
+ * Send a JSON body with an ETag from its content. Clients revalidate every
+ * time (no-cache) and get a 304 when nothing changed.
+ */
+const sendWithEtag = (req, res, body) => {
+  const etag = `"${createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'private, no-cache');
+
+  const ifNoneMatch = (req.headers['if-none-match'] || '').split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (ifNoneMatch.includes(etag) || ifNoneMatch.includes('*')) {
+    return res.status(304).end();
+  }
+  res.json(body);
+};
+
+/**
+ * Key used for per-device settings: the serial number of a registered
+ * device, so settings survive IP changes, otherwise the address itself
+ */
+const deviceKey = async (ip) => (await deviceRegistry.findByIp(ip))?.serial || ip;
+
+/**
+ * Deep-link parameters from a launch request body: extra params plus contentId and mediaType
+ */
+const launchParamsFrom = ({ contentId, mediaType, params }) => ({
+  ...(params || {}),
+  ...(contentId != null && { contentId }),
+  ...(mediaType != null && { mediaType })
+});
+
+/**
+ * Validate the deep-link fields of a launch or bookmark body. params has to be
+ * a plain object before it is merged, or a string would spread into "0", "1"...
+ * Returns an error message, or null if valid.
+ */
+const validateLaunchBody = (body) => {
+  const { params } = body;
+  if (params !== undefined && (params === null || typeof params !== 'object' || Array.isArray(params))) {
+    return 'params must be an object';
+  }
+  return rokuService.validateLaunchParams(launchParamsFrom(body));
+};
+
+/**
+ * Commands that can be sent to several devices at once. validate checks the
+ * request body (error message or null); run acts on one resolved address.
+ */
+const broadcastCommands = {
+  keypress: {
+    validate: ({ key }) => (rokuService.isValidKey(key) ? null : 'key must be a Roku key name or Lit_<character>'),
+    run: async (ip, { key }) => {
+      await rokuService.keypress(ip, key);
+    }
+  },
+  launch: {
+    validate: (body) => (rokuService.isValidAppId(body.appId)
+      ? validateLaunchBody(body)
+      : 'appId must be 1-64 letters, digits, dots, dashes or underscores'),
+    run: async (ip, body) => {
+      await rokuService.launch(ip, body.appId, launchParamsFrom(body));
+    }
+  },
+  power: {
+    validate: ({ state }) => (powerManager.isValidState(state) ? null : 'state must be one of: on, off, toggle'),
+    run: async (ip, { state }) => powerManager.setPower(ip, state, { macs: await deviceRegistry.knownMacs(ip) })
+  }
+};
+
+/**
+ * Run a command on every device in parallel. One device failing doesn't
+ * stop the others; each gets its own entry in the report.
+ */
+const broadcast = async (devices, command, body) => {
+  const results = await Promise.all(devices.map(async (device) => {
+    const ip = await deviceRegistry.resolveAddress(device);
+    try {
+      await checkDeviceAllowed(ip);
+      const data = await command.run(ip, body);
+      return { device, ip, success: true, data: data ?? null };
+    } catch (error) {
+      return { device, ip, success: false, error: error.message, code: errorCode(error) };
+    }
+  }));
+
+  const failed = results.filter(result => !result.success).length;
+  return { succeeded: results.length - failed, failed, results };
+};
+
+/**
+ * Validate a bookmark body. Partial bodies (PATCH) only check the fields given.
+ * Returns an error message, or null if valid.
+ */
+const validateBookmark = (body, partial = false) => {
+  const { name, appId, contentId, mediaType, params } = body;
+
+  if ((!partial || name !== undefined) && (!name || typeof name !== 'string')) {
+    return 'name is required';
+  }
+  if ((!partial || appId !== undefined) && !rokuService.isValidAppId(appId)) {
+    return 'appId must be 1-64 letters, digits, dots, dashes or underscores';
+  }
+  return validateLaunchBody({ contentId, mediaType, params });
+};
+
+/**
+ * Validate a scheduled action. Returns an error message, or null if valid.
+ */
+const validateScheduleAction = (action) => {
+  switch (action?.type) {
+    case 'key':
+      return rokuService.isValidKey(action.key) ? null : 'action.key must be a Roku key name or Lit_<character>';
+    case 'launch':
+      return rokuService.isValidAppId(action.appId) ? null : 'action.appId must be a valid app id';
+    case 'sequence':
+      return rokuService.validateSequence(action.steps);
+    case 'macro':
+      return action.macroId ? null : 'action.macroId is required';
+    case 'power':
+      return powerManager.isValidState(action.state) ? null : 'action.state must be one of: on, off, toggle';
+    default:
+      return 'action.type must be one of: key, launch, sequence, macro, power';
+  }
+};
+
+/**
+ * Turn a scheduled action into key sequence steps
+ */
+const scheduleActionToSteps = async (action) => {
+  switch (action.type) {
+    case 'key':
+      return [{ key: action.key }];
+    case 'launch':
+      return [{ launch: action.appId }];
+    case 'sequence':
+      return action.steps;
+    case 'macro': {
+      const macro = await macroStore.get(action.macroId);
+      if (!macro) {
+        throw new Error(`Macro ${action.macroId} no longer exists`);
+      }
+      return macro.steps;
+    }
+  }
+};
+
+/**
+ * Job options for a scheduled action. Power actions go through the
+ * PowerManager like the power route; everything else is a key sequence.
+ */
+const scheduleActionJob = async (ip, action) => {
+  if (action.type === 'power') {
+    return {
+      total: 1,
+      run: async () => powerManager.setPower(ip, action.state, { macs: await deviceRegistry.knownMacs(ip) })
+    };
+  }
+  const steps = await scheduleActionToSteps(action);
+  return {
+    total: rokuService.countSequenceCommands(steps),
+    run: (signal, onProgress) => rokuService.runSequence(ip, steps, { signal, onProgress })
+  };
+};
+
+const scheduler = new Scheduler(join(dataDir, 'schedules.json'), async (schedule) => {
+  const ip = await deviceRegistry.resolveAddress(schedule.device);
+  await checkDeviceAllowed(ip);
+  const { job, done } = jobManager.start({
+    ip,
+    type: 'schedule',
+    label: schedule.name,
+    ...await scheduleActionJob(ip, schedule.action)
+  });
+  const finished = await done;
+  return { status: finished.status, error: finished.error, jobId: job.id };
+});
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Device Discovery
+// Auth Status
+app.get('/api/auth/status', (req, res) => {
+  res.json({
+    success: true,
+    enabled: authManager.enabled,
+    authenticated: Boolean(req.auth),
+    client: req.auth ? { type: req.auth.type, role: req.auth.role, tokenId: req.auth.tokenId, name: req.auth.name } : null
+  });
+});
+
+// Sign In With Admin Password (or Admin Token)
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { password, name } = req.body;
+
+    if (!authManager.enabled) {
+      return res.status(400).json({ success: false, error: 'Authentication is not enabled', code: 'INVALID_REQUEST' });
+    }
+
+    const lockedFor = authManager.loginLockedFor(req.ip);
+    if (lockedFor > 0) {
+      res.set('Retry-After', String(Math.ceil(lockedFor / 1000)));
+      return res.status(429).json({ success: false, error: 'Too many failed sign-in attempts. Try again later.', code: 'TOO_MANY_ATTEMPTS' });
+    }
+
+    const issued = await authManager.login(password, name, req.ip);
+    if (!issued) {
+      return res.status(401).json({ success: false, error: 'Wrong password', code: 'UNAUTHORIZED' });
+    }
+    res.status(201).json({ success: true, token: issued.token, client: issued.record });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Redeem Pairing PIN or Code
+app.post('/api/auth/pair', async (req, res) => {
+  try {
+    const { pin, code, name } = req.body;
+
+    if (!pin && !code) {
+      return res.status(400).json({ success: false, error: 'pin or code is required', code: 'INVALID_REQUEST' });
+    }
+
+    const issued = await authManager.redeemPairing({ pin, code, name });
+    if (!issued) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired pairing code', code: 'UNAUTHORIZED' });
+    }
+    res.status(201).json({ success: true, token: issued.token, client: issued.record });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Start Pairing a New Client
+app.post('/api/auth/pairings', requireAdmin, async (req, res) => {
+  try {
+    if (!authManager.enabled) {
+      return res.status(400).json({ success: false, error: 'Authentication is not enabled', code: 'INVALID_REQUEST' });
+    }
+
+    const pairing = authManager.createPairing(req.auth.name);
+    const url = `${publicUrl()}/?pair=${encodeURIComponent(pairing.code)}`;
+    const qrSvg = await QRCode.toString(url, { type: 'svg', margin: 1 });
+    res.status(201).json({ success: true, pairing: { id: pairing.id, pin: pairing.pin, expiresAt: pairing.expiresAt, url, qrSvg } });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancel Pairing
+app.delete('/api/auth/pairings/:id', requireAdmin, (req, res) => {
+  if (!authManager.cancelPairing(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Pairing not found', code: 'NOT_FOUND' });
+  }
+  res.json({ success: true });
+});
+
+// List API Tokens
+app.get('/api/auth/tokens', requireAdmin, async (req, res) => {
+  try {
+    const tokens = await authManager.listTokens();
+    res.json({ success: true, tokens: tokens.map(token => ({ ...token, current: token.id === req.auth.tokenId })) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Revoke API Token
+app.delete('/api/auth/tokens/:id', requireAdmin, async (req, res) => {
+  try {
+    const removed = await authManager.revokeToken(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Token not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Sign Out (revokes the caller's own token)
+app.delete('/api/auth/session', async (req, res) => {
+  try {
+    if (req.auth.tokenId) {
+      await authManager.revokeToken(req.auth.tokenId);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Device Discovery (timeout in ms, capped so a request can't hold a socket open for long)
+const MAX_DISCOVERY_TIMEOUT = 10000;
 app.get('/api/devices/discover', async (req, res) => {
   try {
-    const timeout = parseInt(req.query.timeout || process.env.DISCOVERY_TIMEOUT || 5000);
-    const devices = await deviceDiscovery.discover(timeout);
+    const timeout = Number(req.query.timeout || process.env.DISCOVERY_TIMEOUT || 5000);
+    if (!Number.isInteger(timeout) || timeout < 1) {
+      return res.status(400).json({ success: false, error: 'timeout must be a whole number of milliseconds', code: 'INVALID_REQUEST' });
+    }
+    const devices = await deviceDiscovery.discover(Math.min(timeout, MAX_DISCOVERY_TIMEOUT));
+
+    // Optionally merge results into the registry (?merge=1)
+    if (req.query.merge === '1' || req.query.merge === 'true') {
+      await deviceRegistry.mergeDiscovered(devices);
+      registryChanged();
+    }
+
+    res.json({ success: true, devices });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List Registered Devices
+app.get('/api/devices', async (req, res) => {
+  try {
+    const devices = await deviceRegistry.list();
     res.json({ success: true, devices });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Register Device
+app.post('/api/devices', async (req, res) => {
+  try {
+    const { ip, serial, nickname, room } = req.body;
+
+    if (!ip) {
+      return res.status(400).json({ success: false, error: 'ip is required', code: 'INVALID_REQUEST' });
+    }
+
+    // Registering is how a device joins DEVICE_ALLOWLIST, so only the address itself is checked
+    const { host, port: devicePort } = rokuService.addressPolicy.parse(ip);
+
+    // Identify the device so it can be keyed by serial number
+    const probed = await deviceDiscovery.probe(ip);
+    if (!probed && !serial) {
+      return res.status(400).json({
+        success: false,
+        error: `No Roku device answered at ${ip}. Provide a serial number to register it while offline.`,
+        code: 'DEVICE_NOT_FOUND'
+      });
+    }
+
+    const device = await deviceRegistry.upsert({
+      ...(probed || { serial, ip: host, port: devicePort }),
+      nickname,
+      room,
+      lastSeen: probed ? new Date().toISOString() : null
+    });
+    registryChanged();
+    res.status(201).json({ success: true, device });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update Registered Device
+app.patch('/api/devices/:serial', async (req, res) => {
+  try {
+    if (req.body?.ip !== undefined) {
+      rokuService.addressPolicy.parse(req.body.ip);
+    }
+    const device = await deviceRegistry.update(req.params.serial, req.body || {});
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found', code: 'NOT_FOUND' });
+    }
+    registryChanged();
+    res.json({ success: true, device });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Remove Registered Device
+app.delete('/api/devices/:serial', async (req, res) => {
+  try {
+    const removed = await deviceRegistry.remove(req.params.serial);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Device not found', code: 'NOT_FOUND' });
+    }
+    registryChanged();
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
-// Device Info
+// Device Info (cached for DEVICE_INFO_TTL; ?fresh=1 skips the cache)
 app.get('/api/device/:ip/info', async (req, res) => {
   try {
     const { ip } = req.params;
-    const info = await rokuService.getDeviceInfo(ip);
-    res.json({ success: true, data: info });
+    // Only a real answer from the device counts as seeing it (and is worth a registry write)
+    const fresh = wantsFresh(req) || !rokuService.cachedDeviceInfo(ip);
+    const info = await rokuService.getDeviceInfo(ip, { fresh });
+    if (fresh) {
+      await deviceRegistry.touch(ip, info);
+    }
+    sendWithEtag(req, res, { success: true, data: info });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
-// List Apps
+// List Apps (cached for APPS_TTL; ?fresh=1 skips the cache)
 app.get('/api/device/:ip/apps', async (req, res) => {
   try {
     const { ip } = req.params;
-    const apps = await rokuService.getApps(ip);
-    res.json({ success: true, data: apps });
+    const apps = await rokuService.getApps(ip, { fresh: wantsFresh(req) });
+    const preferences = await appPreferences.get(await deviceKey(ip));
+    const includeHidden = req.query.all === '1' || req.query.all === 'true';
+    sendWithEtag(req, res, { success: true, data: appPreferences.apply(apps, preferences, { includeHidden }) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get App Preferences (favorites, order, hidden apps and types)
+app.get('/api/device/:ip/app-preferences', async (req, res) => {
+  try {
+    const preferences = await appPreferences.get(await deviceKey(req.params.ip));
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update App Preferences (only the fields provided are replaced)
+app.put('/api/device/:ip/app-preferences', async (req, res) => {
+  try {
+    const validationError = appPreferences.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+
+    const preferences = await appPreferences.set(await deviceKey(req.params.ip), req.body);
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// App Icon (cached on disk by app id and version; pass ?v=<version> to skip the lookup)
+app.get('/api/device/:ip/apps/:appId/icon', async (req, res) => {
+  try {
+    const { ip, appId } = req.params;
+    let version = req.query.v;
+
+    if (!version) {
+      const apps = await rokuService.getApps(ip);
+      version = apps.find(a => a.id === appId)?.version || 'unknown';
+    }
+
+    const etag = `"${appId}@${version}"`;
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    let icon = await iconCache.get(appId, version);
+    if (!icon) {
+      icon = await rokuService.getAppIcon(ip, appId);
+      await iconCache.set(appId, version, icon);
+    }
+
+    res.set('Content-Type', icon.contentType);
+    res.set('ETag', etag);
+    // Versioned URLs never change; unversioned ones may after an app update
+    res.set('Cache-Control', req.query.v ? 'public, max-age=31536000, immutable' : 'public, max-age=3600');
+    res.send(icon.data);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -86,7 +695,7 @@ app.get('/api/device/:ip/active', async (req, res) => {
     const active = await rokuService.getActiveApp(ip);
     res.json({ success: true, data: active });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -97,13 +706,77 @@ app.post('/api/device/:ip/keypress', async (req, res) => {
     const { key } = req.body;
     
     if (!key) {
-      return res.status(400).json({ success: false, error: 'Key is required' });
+      return res.status(400).json({ success: false, error: 'Key is required', code: 'INVALID_REQUEST' });
     }
     
     await rokuService.keypress(ip, key);
     res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Key Down (press and hold; repeat to renew the hold)
+app.post('/api/device/:ip/keydown', async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const { key } = req.body;
+    
+    if (!key) {
+      return res.status(400).json({ success: false, error: 'Key is required', code: 'INVALID_REQUEST' });
+    }
+    
+    const sent = await keyHoldManager.press(ip, key);
+    res.json({ success: true, renewed: !sent, holdTimeout: keyHoldManager.holdTimeout });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Key Up (release a held key)
+app.post('/api/device/:ip/keyup', async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const { key } = req.body;
+    
+    if (!key) {
+      return res.status(400).json({ success: false, error: 'Key is required', code: 'INVALID_REQUEST' });
+    }
+    
+    await keyHoldManager.release(ip, key);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Run Key Sequence
+app.post('/api/device/:ip/keys', async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const { steps } = req.body;
+
+    const validationError = rokuService.validateSequence(steps);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+
+    const { job, done } = jobManager.start({
+      ip,
+      type: 'keys',
+      total: rokuService.countSequenceCommands(steps),
+      run: (signal, onProgress) => rokuService.runSequence(ip, steps, { signal, onProgress })
+    });
+
+    // ?wait=1 blocks until the sequence finishes
+    if (req.query.wait === '1' || req.query.wait === 'true') {
+      const finished = await done;
+      return res.json({ success: finished.status === 'completed', job: finished, error: finished.error || undefined });
+    }
+
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -111,16 +784,19 @@ app.post('/api/device/:ip/keypress', async (req, res) => {
 app.post('/api/device/:ip/text', async (req, res) => {
   try {
     const { ip } = req.params;
-    const { text } = req.body;
+    const { text, delay } = req.body;
     
-    if (!text) {
-      return res.status(400).json({ success: false, error: 'Text is required' });
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ success: false, error: 'Text is required', code: 'INVALID_REQUEST' });
+    }
+    if (delay !== undefined && !(Number.isInteger(delay) && delay >= 0 && delay <= 1000)) {
+      return res.status(400).json({ success: false, error: 'delay must be an integer from 0 to 1000 ms', code: 'INVALID_REQUEST' });
     }
     
-    await rokuService.text(ip, text);
+    await rokuService.text(ip, text, { delay });
     res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -131,38 +807,759 @@ app.post('/api/device/:ip/launch', async (req, res) => {
     const { appId } = req.body;
     
     if (!appId) {
-      return res.status(400).json({ success: false, error: 'appId is required' });
+      return res.status(400).json({ success: false, error: 'appId is required', code: 'INVALID_REQUEST' });
+    }
+
+    const validationError = validateLaunchBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
     }
     
-    await rokuService.launch(ip, appId);
+    await rokuService.launch(ip, appId, launchParamsFrom(req.body));
     res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
-// Get Media Player State
-app.get('/api/device/:ip/media', async (req, res) => {
+// Send Input Event
+app.post('/api/device/:ip/input', async (req, res) => {
   try {
     const { ip } = req.params;
-    const media = await rokuService.getMediaPlayer(ip);
-    res.json({ success: true, data: media });
+    const params = req.body;
+
+    const validationError = rokuService.validateLaunchParams(params);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+    if (Object.keys(params).length === 0) {
+      return res.status(400).json({ success: false, error: 'At least one input parameter is required', code: 'INVALID_REQUEST' });
+    }
+
+    await rokuService.input(ip, params);
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error);
   }
 });
 
-// Error handling
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ 
-    success: false, 
-    error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error' 
-  });
+// Set Power
+app.post('/api/device/:ip/power', async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const { state, mac } = req.body;
+
+    if (!powerManager.isValidState(state)) {
+      return res.status(400).json({ success: false, error: 'state must be one of: on, off, toggle', code: 'INVALID_REQUEST' });
+    }
+    if (mac !== undefined && !WakeOnLan.parseMac(mac)) {
+      return res.status(400).json({ success: false, error: 'mac must be a MAC address like aa:bb:cc:dd:ee:ff', code: 'INVALID_REQUEST' });
+    }
+
+    const macs = [mac, ...await deviceRegistry.knownMacs(ip)];
+    const result = await powerManager.setPower(ip, state, { macs });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
-app.listen(port, () => {
-  console.log(`🎮 Roku Web Remote server running on http://localhost:${port}`);
-  console.log(`📡 API available at http://localhost:${port}/api`);
-  console.log(`🌐 Frontend available at http://localhost:${port}`);
+// Universal Search
+app.post('/api/device/:ip/search', async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const { keyword, title, type, tmsid, season, providerIds, launch, matchAny, showUnavailable } = req.body;
+    const query = { keyword, title, type, tmsid, season, providerIds, launch, matchAny, showUnavailable };
+
+    const validationError = rokuService.validateSearch(query);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+
+    await rokuService.search(ip, query);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List TV Channels
+app.get('/api/device/:ip/tv/channels', async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const channels = await rokuService.getTvChannels(ip);
+    res.json({ success: true, data: channels });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get Active TV Channel
+app.get('/api/device/:ip/tv/active-channel', async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const channel = await rokuService.getActiveTvChannel(ip);
+    res.json({ success: true, data: channel });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Tune TV Channel
+app.post('/api/device/:ip/tv/channel', async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const { number } = req.body;
+
+    if (!number || typeof number !== 'string') {
+      return res.status(400).json({ success: false, error: 'number is required (e.g. "5.1")', code: 'INVALID_REQUEST' });
+    }
+
+    await rokuService.tuneChannel(ip, number);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Switch TV Input
+app.post('/api/device/:ip/tv/input', async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const { input } = req.body;
+
+    if (!rokuService.isValidTvInput(input)) {
+      return res.status(400).json({ success: false, error: 'input must be a tvinput.* app id or one of InputTuner, InputHDMI1-4, InputAV1', code: 'INVALID_REQUEST' });
+    }
+
+    await rokuService.selectTvInput(ip, input);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get Media Player State
+app.get('/api/device/:ip/media', async (req, res) => {
+  try {
+    const { ip } = req.params;
+    const media = await rokuService.getMediaPlayer(ip);
+    res.json({ success: true, data: media });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Command Queue Stats (depth, counters, last error)
+app.get('/api/device/:ip/queue', (req, res) => {
+  try {
+    res.json({ success: true, data: rokuService.queueStats(req.params.ip) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Command Queue Stats for Every Device
+app.get('/api/queues', (req, res) => {
+  res.json({ success: true, queues: rokuService.queue.list() });
+});
+
+// List Macros
+app.get('/api/macros', async (req, res) => {
+  try {
+    const macros = await macroStore.list();
+    res.json({ success: true, macros });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get Macro
+app.get('/api/macros/:id', async (req, res) => {
+  try {
+    const macro = await macroStore.get(req.params.id);
+    if (!macro) {
+      return res.status(404).json({ success: false, error: 'Macro not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, macro });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create Macro
+app.post('/api/macros', async (req, res) => {
+  try {
+    const { name, description, steps } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ success: false, error: 'name is required', code: 'INVALID_REQUEST' });
+    }
+    const validationError = rokuService.validateSequence(steps);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+
+    const macro = await macroStore.create({ name: name.trim(), description, steps });
+    res.status(201).json({ success: true, macro });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update Macro
+app.patch('/api/macros/:id', async (req, res) => {
+  try {
+    const { name, steps } = req.body;
+
+    if (name !== undefined && (!name || typeof name !== 'string')) {
+      return res.status(400).json({ success: false, error: 'name must be a non-empty string', code: 'INVALID_REQUEST' });
+    }
+    if (steps !== undefined) {
+      const validationError = rokuService.validateSequence(steps);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+      }
+    }
+
+    const macro = await macroStore.update(req.params.id, req.body);
+    if (!macro) {
+      return res.status(404).json({ success: false, error: 'Macro not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, macro });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete Macro
+app.delete('/api/macros/:id', async (req, res) => {
+  try {
+    const removed = await macroStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Macro not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Run Macro
+app.post('/api/macros/:id/run', async (req, res) => {
+  try {
+    const ip = req.query.device || req.body?.device;
+
+    if (!ip) {
+      return res.status(400).json({ success: false, error: 'device is required', code: 'INVALID_REQUEST' });
+    }
+    await checkDeviceAllowed(ip);
+
+    const macro = await macroStore.get(req.params.id);
+    if (!macro) {
+      return res.status(404).json({ success: false, error: 'Macro not found', code: 'NOT_FOUND' });
+    }
+
+    const { job } = jobManager.start({
+      ip,
+      type: 'macro',
+      label: macro.name,
+      total: rokuService.countSequenceCommands(macro.steps),
+      run: (signal, onProgress) => rokuService.runSequence(ip, macro.steps, { signal, onProgress })
+    });
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List Bookmarks
+app.get('/api/bookmarks', async (req, res) => {
+  try {
+    const bookmarks = await bookmarkStore.list();
+    res.json({ success: true, bookmarks });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create Bookmark
+app.post('/api/bookmarks', async (req, res) => {
+  try {
+    const validationError = validateBookmark(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+
+    const { name, appId, contentId, mediaType, params } = req.body;
+    const bookmark = await bookmarkStore.create({ name: name.trim(), appId, contentId, mediaType, params });
+    res.status(201).json({ success: true, bookmark });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update Bookmark
+app.patch('/api/bookmarks/:id', async (req, res) => {
+  try {
+    const validationError = validateBookmark(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+
+    const bookmark = await bookmarkStore.update(req.params.id, req.body);
+    if (!bookmark) {
+      return res.status(404).json({ success: false, error: 'Bookmark not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, bookmark });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete Bookmark
+app.delete('/api/bookmarks/:id', async (req, res) => {
+  try {
+    const removed = await bookmarkStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Bookmark not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Launch Bookmark
+app.post('/api/bookmarks/:id/launch', async (req, res) => {
+  try {
+    const ip = req.query.device || req.body?.device;
+
+    if (!ip) {
+      return res.status(400).json({ success: false, error: 'device is required', code: 'INVALID_REQUEST' });
+    }
+    await checkDeviceAllowed(ip);
+
+    const bookmark = await bookmarkStore.get(req.params.id);
+    if (!bookmark) {
+      return res.status(404).json({ success: false, error: 'Bookmark not found', code: 'NOT_FOUND' });
+    }
+
+    await rokuService.launch(ip, bookmark.appId, bookmarkStore.launchParams(bookmark));
+    res.json({ success: true, bookmark });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List Groups
+app.get('/api/groups', async (req, res) => {
+  try {
+    const groups = await groupStore.list();
+    res.json({ success: true, groups });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get Group
+app.get('/api/groups/:id', async (req, res) => {
+  try {
+    const group = await groupStore.get(req.params.id);
+    if (!group) {
+      return res.status(404).json({ success: false, error: 'Group not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, group });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create Group
+app.post('/api/groups', async (req, res) => {
+  try {
+    const { name, devices } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ success: false, error: 'name is required', code: 'INVALID_REQUEST' });
+    }
+    const validationError = groupStore.validateDevices(devices);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+
+    const group = await groupStore.create({ name: name.trim(), devices });
+    res.status(201).json({ success: true, group });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update Group
+app.patch('/api/groups/:id', async (req, res) => {
+  try {
+    const { name, devices } = req.body;
+
+    if (name !== undefined && (!name || typeof name !== 'string')) {
+      return res.status(400).json({ success: false, error: 'name must be a non-empty string', code: 'INVALID_REQUEST' });
+    }
+    if (devices !== undefined) {
+      const validationError = groupStore.validateDevices(devices);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+      }
+    }
+
+    const group = await groupStore.update(req.params.id, req.body);
+    if (!group) {
+      return res.status(404).json({ success: false, error: 'Group not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, group });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete Group
+app.delete('/api/groups/:id', async (req, res) => {
+  try {
+    const removed = await groupStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Group not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Send Command to Group (keypress, launch, power)
+app.post('/api/groups/:id/:command', async (req, res) => {
+  try {
+    const command = broadcastCommands[req.params.command];
+    if (!command) {
+      return res.status(404).json({ success: false, error: `Unknown group command "${req.params.command}"`, code: 'NOT_FOUND' });
+    }
+
+    const group = await groupStore.get(req.params.id);
+    if (!group) {
+      return res.status(404).json({ success: false, error: 'Group not found', code: 'NOT_FOUND' });
+    }
+
+    const validationError = command.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+
+    const report = await broadcast(group.devices, command, req.body);
+    res.json({ success: true, ...report });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Send Command to Several Devices (keypress, launch, power)
+app.post('/api/broadcast/:command', async (req, res) => {
+  try {
+    const command = broadcastCommands[req.params.command];
+    if (!command) {
+      return res.status(404).json({ success: false, error: `Unknown broadcast command "${req.params.command}"`, code: 'NOT_FOUND' });
+    }
+
+    const validationError = groupStore.validateDevices(req.body.devices) || command.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+
+    const report = await broadcast(req.body.devices, command, req.body);
+    res.json({ success: true, ...report });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List Schedules
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const schedules = await scheduler.list();
+    res.json({ success: true, schedules });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create Schedule
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const { name, device, trigger, action, enabled } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || !device) {
+      return res.status(400).json({ success: false, error: 'name and device are required', code: 'INVALID_REQUEST' });
+    }
+    const validationError = scheduler.validateTrigger(trigger) || validateScheduleAction(action) ||
+      (enabled !== undefined && typeof enabled !== 'boolean' && 'enabled must be true or false');
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+    await checkDeviceRefs([device]);
+
+    const schedule = await scheduler.create({ name: name.trim(), device, trigger, action, enabled: enabled !== false });
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Sleep Timer (power off after N minutes; replaces the device's existing sleep timer)
+app.post('/api/schedules/sleep', async (req, res) => {
+  try {
+    const { device } = req.body;
+    const minutes = Number(req.body.minutes);
+
+    if (!device || !(minutes > 0 && minutes <= 24 * 60)) {
+      return res.status(400).json({ success: false, error: 'device and minutes (1-1440) are required', code: 'INVALID_REQUEST' });
+    }
+    await checkDeviceRefs([device]);
+
+    const existing = (await scheduler.list()).filter(s => s.kind === 'sleep' && s.device === device);
+    for (const schedule of existing) {
+      await scheduler.remove(schedule.id);
+    }
+
+    const schedule = await scheduler.create({
+      name: `Sleep timer (${minutes} min)`,
+      kind: 'sleep',
+      device,
+      trigger: { type: 'once', at: new Date(Date.now() + minutes * 60000).toISOString() },
+      action: { type: 'power', state: 'off' }
+    });
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update Schedule
+app.patch('/api/schedules/:id', async (req, res) => {
+  try {
+    const { name, device, trigger, action, enabled } = req.body;
+
+    const validationError = (name !== undefined && (typeof name !== 'string' || !name.trim()) && 'name must be a non-empty string') ||
+      (trigger !== undefined && scheduler.validateTrigger(trigger)) ||
+      (action !== undefined && validateScheduleAction(action)) ||
+      (enabled !== undefined && typeof enabled !== 'boolean' && 'enabled must be true or false') ||
+      (device !== undefined && !device && 'device cannot be empty');
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+    if (device !== undefined) {
+      await checkDeviceRefs([device]);
+    }
+
+    const schedule = await scheduler.update(req.params.id, { ...req.body, ...(name !== undefined && { name: name.trim() }) });
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, schedule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete Schedule
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    const removed = await scheduler.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Schedule not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Run Schedule Now
+app.post('/api/schedules/:id/run', async (req, res) => {
+  try {
+    const schedule = await scheduler.runNow(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: schedule.lastRun.status === 'completed', schedule, error: schedule.lastRun.error || undefined });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List Jobs
+app.get('/api/jobs', (req, res) => {
+  res.json({ success: true, jobs: jobManager.list(req.query.device || null) });
+});
+
+// Job Progress
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found', code: 'NOT_FOUND' });
+  }
+  res.json({ success: true, job });
+});
+
+// Cancel Job
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobManager.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found', code: 'NOT_FOUND' });
+  }
+  res.json({ success: true, job });
+});
+
+// List Webhooks
+app.get('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const webhooks = await webhookManager.list();
+    res.json({ success: true, webhooks });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create Webhook (the signing secret is only returned here)
+app.post('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const validationError = webhookManager.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+    await checkDeviceRefs(req.body.devices);
+
+    const { name, url, events, devices, enabled, secret } = req.body;
+    const created = await webhookManager.create({ name, url, events, devices, enabled, secret });
+    res.status(201).json({ success: true, ...created });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update Webhook
+app.patch('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const validationError = webhookManager.validate(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError, code: 'INVALID_REQUEST' });
+    }
+    await checkDeviceRefs(req.body.devices);
+
+    const webhook = await webhookManager.update(req.params.id, req.body);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, webhook });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete Webhook
+app.delete('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const removed = await webhookManager.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Webhook not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Send a Test Event (waits for the delivery, retries included)
+app.post('/api/webhooks/:id/test', requireAdmin, async (req, res) => {
+  try {
+    const delivery = await webhookManager.test(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Webhook not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, delivery });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Webhook Delivery Log (newest first, since the server started)
+app.get('/api/webhooks/:id/deliveries', requireAdmin, async (req, res) => {
+  try {
+    if (!await webhookManager.get(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Webhook not found', code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, deliveries: webhookManager.deliveries(req.params.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Device State Events (Server-Sent Events)
+app.get('/api/device/:ip/events', (req, res) => {
+  const { ip } = req.params;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const unwatch = deviceWatcher.watch(ip, (event) => {
+    send(event.type, event.type === 'state' ? event.state : event.changes);
+  });
+
+  // Keep intermediaries from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unwatch();
+  });
+});
+
+// Error handling
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  console.error('Error:', err);
+  res.status(500).json({ 
+    success: false, 
+    error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error',
+    code: 'INTERNAL_ERROR'
+  });
+});
+
+// Release any held keys before exiting so nothing stays pressed on the TV
+const shutdown = async () => {
+  scheduler.stop();
+  await keyHoldManager.releaseAll();
+  await mqttBridge.stop().catch(error => console.error('Error stopping MQTT bridge:', error.message));
+  webhookManager.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+scheduler.start().catch(error => console.error('Error starting scheduler:', error));
+webhookManager.sync().catch(error => console.error('Error starting webhooks:', error.message));
+mqttBridge.start()
+  .then(() => mqttBridge.enabled && console.log('🏠 MQTT bridge connected'))
+  .catch(error => console.error('Error starting MQTT bridge:', error.message));
+
+app.listen(port, () => {
+  console.log(`🎮 Roku Web Remote server running on http://localhost:${port}`);
+  console.log(`📡 API available at http://localhost:${port}/api`);
+  console.log(`🌐 Frontend available at http://localhost:${port}`);
+  if (!authManager.enabled) {
+    console.warn('⚠️  Authentication is disabled. Set ADMIN_PASSWORD or ADMIN_TOKEN to require sign-in.');
+  }
 });
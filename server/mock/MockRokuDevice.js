@@ -0,0 +1,393 @@
+import http from 'http';
+import dgram from 'dgram';
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_SEARCH_TARGET = 'roku:ecp';
+
+// 1x1 transparent PNG served for every app icon
+const ICON = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+const DEFAULT_APPS = [
+  { id: '12', name: 'Netflix', type: 'appl', version: '4.2.81179' },
+  { id: '837', name: 'YouTube', type: 'appl', version: '2.22.100' },
+  { id: '2285', name: 'Hulu', type: 'appl', version: '10.7.1' },
+  { id: 'tvinput.hdmi1', name: 'HDMI 1', type: 'tvin', version: '1.0.0' }
+];
+
+/**
+ * A fake Roku that speaks enough ECP for development and tests: device-info,
+ * apps, active-app, media-player, icons, keypress/keydown/keyup, launch and
+ * input. It keeps state like a real device: launching changes the active app,
+ * Home returns to the home screen, Play/Pause drive the media player, Power
+ * toggles power-mode and Lit_ keys are collected into typedText.
+ *
+ * Every request is recorded in `requests` and every key in `keys`, so tests
+ * can assert on what the server sent. With the ssdp option it also answers
+ * SSDP M-SEARCH for roku:ecp.
+ */
+export class MockRokuDevice {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 0;
+    // Address put in the SSDP Location header (defaults to host)
+    this.advertiseHost = options.advertiseHost || this.host;
+    this.serial = options.serial || 'MOCK0000001';
+    this.name = options.name || 'Mock Roku';
+    this.model = options.model || 'Roku Ultra';
+    this.modelNumber = options.modelNumber || '4800X';
+    this.isTv = options.isTv ?? false;
+    this.softwareVersion = options.softwareVersion || '12.5.0';
+    this.ethernetMac = options.ethernetMac ?? 'ac:3a:7a:00:00:01';
+    this.wifiMac = options.wifiMac ?? 'ac:3a:7a:00:00:02';
+    this.apps = (options.apps || DEFAULT_APPS).map(app => ({ ...app }));
+    this.ssdpOptions = options.ssdp || null;
+    this.server = null;
+    this.ssdpSocket = null;
+    this.reset();
+  }
+
+  /**
+   * Address to give RokuService ("host:port"); only valid once started
+   */
+  get address() {
+    return `${this.advertiseHost}:${this.port}`;
+  }
+
+  /**
+   * Restore the initial state and clear recorded requests
+   */
+  reset() {
+    this.powerMode = 'PowerOn';
+    this.activeAppId = null;
+    this.mediaState = 'close';
+    this.mediaPosition = 0;
+    this.playingSince = null;
+    this.typedText = '';
+    this.held = new Set();
+    this.requests = [];
+    this.keys = [];
+    this.launches = [];
+    this.inputs = [];
+    this.failures = [];
+  }
+
+  /**
+   * Answer the next count requests with an HTTP error status
+   * (recorded but otherwise ignored), to exercise retries
+   */
+  failNext(count = 1, status = 503) {
+    this.failures.push(...Array(count).fill(status));
+  }
+
+  /**
+   * Start the HTTP server (and SSDP responder if enabled).
+   * Resolves once listening; with port 0 the chosen port is in this.port.
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+
+    if (this.ssdpOptions) {
+      await this._startSsdp(this.ssdpOptions === true ? {} : this.ssdpOptions);
+    }
+    return this;
+  }
+
+  /**
+   * Stop the HTTP server and SSDP responder
+   */
+  async stop() {
+    if (this.ssdpSocket) {
+      this.ssdpSocket.close();
+      this.ssdpSocket = null;
+    }
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Port the SSDP responder is bound to (null when disabled)
+   */
+  get ssdpPort() {
+    return this.ssdpSocket ? this.ssdpSocket.address().port : null;
+  }
+
+  _handle(req, res) {
+    const url = new URL(req.url, 'http://mock');
+    const path = url.pathname;
+    this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    if (this.failures.length) {
+      return this._status(res, this.failures.shift());
+    }
+
+    const routes = {
+      'GET /query/device-info': () => this._xml(res, this._deviceInfoXml()),
+      'GET /query/apps': () => this._xml(res, this._appsXml()),
+      'GET /query/active-app': () => this._xml(res, this._activeAppXml()),
+      'GET /query/media-player': () => this._xml(res, this._mediaPlayerXml())
+    };
+
+    const route = routes[`${req.method} ${path}`];
+    if (route) {
+      return route();
+    }
+
+    const match = path.match(/^\/(keypress|keydown|keyup|launch|query\/icon)\/([^/]+)$/);
+    const [command, argument] = match ? [match[1], decodeURIComponent(match[2])] : [];
+
+    if (req.method === 'GET' && command === 'query/icon') {
+      if (!this._findApp(argument)) {
+        return this._status(res, 404);
+      }
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      return res.end(ICON);
+    }
+
+    if (req.method === 'POST' && command?.startsWith('key')) {
+      this._key(command, argument);
+      return this._status(res, 200);
+    }
+
+    if (req.method === 'POST' && command === 'launch') {
+      return this._status(res, this._launch(argument, Object.fromEntries(url.searchParams)) ? 200 : 404);
+    }
+
+    if (req.method === 'POST' && path === '/input') {
+      this.inputs.push(Object.fromEntries(url.searchParams));
+      return this._status(res, 200);
+    }
+
+    this._status(res, 404);
+  }
+
+  _key(action, key) {
+    this.keys.push({ action, key });
+
+    if (action === 'keydown') {
+      this.held.add(key);
+      return;
+    }
+    if (action === 'keyup') {
+      this.held.delete(key);
+      return;
+    }
+
+    switch (key) {
+      case 'Power':
+        this.powerMode = this.powerMode === 'PowerOn' ? this._offMode() : 'PowerOn';
+        return;
+      case 'PowerOn':
+        this.powerMode = 'PowerOn';
+        return;
+      case 'PowerOff':
+        this.powerMode = this._offMode();
+        return;
+    }
+
+    // A device that's off ignores everything but power keys
+    if (this.powerMode !== 'PowerOn') {
+      return;
+    }
+
+    if (key.startsWith('Lit_')) {
+      this.typedText += key.slice(4);
+      return;
+    }
+
+    switch (key) {
+      case 'Home':
+        this.activeAppId = null;
+        this._setMediaState('close');
+        break;
+      case 'Backspace':
+        this.typedText = this.typedText.slice(0, -1);
+        break;
+      case 'Play':
+        if (this.activeAppId) {
+          this._setMediaState(this.mediaState === 'play' ? 'pause' : 'play');
+        }
+        break;
+      case 'Pause':
+        if (this.mediaState === 'play') {
+          this._setMediaState('pause');
+        }
+        break;
+    }
+  }
+
+  _launch(appId, params) {
+    const app = this._findApp(appId);
+    if (!app) {
+      return false;
+    }
+    this.launches.push({ appId, params });
+    this.powerMode = 'PowerOn';
+    this.activeAppId = app.id;
+    this.mediaPosition = 0;
+    this.playingSince = null;
+    // Deep links start playback straight away
+    this._setMediaState(params.contentId ? 'play' : 'close');
+    return true;
+  }
+
+  _setMediaState(state) {
+    this.mediaPosition = this._currentPosition();
+    this.playingSince = state === 'play' ? Date.now() : null;
+    this.mediaState = state;
+    if (state === 'close') {
+      this.mediaPosition = 0;
+    }
+  }
+
+  _currentPosition() {
+    return this.mediaPosition + (this.playingSince ? Date.now() - this.playingSince : 0);
+  }
+
+  // TVs turn the display off; players go headless
+  _offMode() {
+    return this.isTv ? 'DisplayOff' : 'Headless';
+  }
+
+  _findApp(appId) {
+    return this.apps.find(app => app.id === appId) || null;
+  }
+
+  _deviceInfoXml() {
+    const fields = {
+      'udn': `mock-${this.serial}`,
+      'serial-number': this.serial,
+      'device-id': this.serial,
+      'vendor-name': 'Roku',
+      'model-name': this.model,
+      'model-number': this.modelNumber,
+      'model-region': 'US',
+      'is-tv': this.isTv,
+      'is-stick': false,
+      'supports-ethernet': Boolean(this.ethernetMac),
+      'wifi-mac': this.wifiMac,
+      'ethernet-mac': this.ethernetMac,
+      'network-type': this.ethernetMac ? 'ethernet' : 'wifi',
+      'user-device-name': this.name,
+      'friendly-device-name': this.name,
+      'friendly-model-name': this.model,
+      'software-version': this.softwareVersion,
+      'software-build': '4251',
+      'power-mode': this.powerMode,
+      'supports-suspend': this.isTv,
+      'supports-find-remote': !this.isTv,
+      'supports-audio-settings': false,
+      'supports-ecs-textedit': true,
+      'uptime': Math.floor(process.uptime())
+    };
+
+    const body = Object.entries(fields)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `  <${key}>${this._escape(value)}</${key}>`)
+      .join('\n');
+    return `<?xml version="1.0" encoding="UTF-8" ?>\n<device-info>\n${body}\n</device-info>`;
+  }
+
+  _appsXml() {
+    const apps = this.apps
+      .map(app => `  <app id="${this._escape(app.id)}" type="${app.type}" version="${app.version}">${this._escape(app.name)}</app>`)
+      .join('\n');
+    return `<?xml version="1.0" encoding="UTF-8" ?>\n<apps>\n${apps}\n</apps>`;
+  }
+
+  _activeAppXml() {
+    const app = this._findApp(this.activeAppId);
+    const inner = app
+      ? `<app id="${this._escape(app.id)}" type="${app.type}" version="${app.version}">${this._escape(app.name)}</app>`
+      : '<app>Roku</app>';
+    return `<?xml version="1.0" encoding="UTF-8" ?>\n<active-app>\n  ${inner}\n</active-app>`;
+  }
+
+  _mediaPlayerXml() {
+    const app = this._findApp(this.activeAppId);
+    if (!app || this.mediaState === 'close') {
+      return '<?xml version="1.0" encoding="UTF-8" ?>\n<player error="false" state="close" />';
+    }
+    return [
+      '<?xml version="1.0" encoding="UTF-8" ?>',
+      `<player error="false" state="${this.mediaState}">`,
+      `  <plugin bandwidth="20000000 bps" id="${this._escape(app.id)}" name="${this._escape(app.name)}" />`,
+      '  <format audio="aac" captions="none" container="mp4" drm="none" video="hevc" />',
+      `  <position>${this._currentPosition()} ms</position>`,
+      '  <duration>3600000 ms</duration>',
+      '  <is_live>false</is_live>',
+      '</player>'
+    ].join('\n');
+  }
+
+  _xml(res, body) {
+    res.writeHead(200, { 'Content-Type': 'text/xml; charset="utf-8"' });
+    res.end(body);
+  }
+
+  _status(res, status) {
+    res.writeHead(status);
+    res.end();
+  }
+
+  _escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Answer M-SEARCH requests for roku:ecp (or ssdp:all). With multicast it
+   * joins the SSDP group on port 1900 like a real device; otherwise it
+   * listens for unicast searches on the given port (0 picks one).
+   */
+  async _startSsdp({ port = 1900, multicast = true } = {}) {
+    this.ssdpSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    this.ssdpSocket.on('message', (message, remote) => {
+      const text = message.toString();
+      if (!text.startsWith('M-SEARCH')) {
+        return;
+      }
+      const target = (text.match(/^ST:\s*(.+)$/im)?.[1] || '').trim().toLowerCase();
+      if (target !== SSDP_SEARCH_TARGET && target !== 'ssdp:all') {
+        return;
+      }
+
+      const response = Buffer.from([
+        'HTTP/1.1 200 OK',
+        'Cache-Control: max-age=3600',
+        `ST: ${SSDP_SEARCH_TARGET}`,
+        `USN: uuid:roku:ecp:${this.serial}`,
+        'Ext: ',
+        `Server: Roku/${this.softwareVersion} UPnP/1.0 Roku/${this.softwareVersion}`,
+        `LOCATION: http://${this.address}/`,
+        '',
+        ''
+      ].join('\r\n'));
+      this.ssdpSocket.send(response, remote.port, remote.address);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.ssdpSocket.once('error', reject);
+      this.ssdpSocket.bind(port, multicast ? undefined : this.host, () => {
+        if (multicast) {
+          this.ssdpSocket.addMembership(SSDP_ADDRESS);
+        }
+        resolve();
+      });
+    });
+  }
+}
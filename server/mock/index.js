@@ -0,0 +1,38 @@
+import dotenv from 'dotenv';
+import { networkInterfaces } from 'os';
+import { MockRokuDevice } from './MockRokuDevice.js';
+
+dotenv.config();
+
+// Run a mock Roku for development: `npm run mock`
+const lanAddress = Object.values(networkInterfaces()).flat()
+  .find(iface => iface && iface.family === 'IPv4' && !iface.internal)?.address;
+
+const host = process.env.MOCK_HOST || '0.0.0.0';
+const device = new MockRokuDevice({
+  host,
+  port: parseInt(process.env.MOCK_PORT || 8060),
+  advertiseHost: host === '0.0.0.0' ? lanAddress || '127.0.0.1' : host,
+  name: process.env.MOCK_NAME || 'Mock Roku',
+  isTv: process.env.MOCK_TV === 'true',
+  ssdp: process.env.MOCK_SSDP === 'false' ? null : { port: 1900, multicast: true }
+});
+
+try {
+  await device.start();
+} catch (error) {
+  console.error('Error starting mock Roku:', error.message);
+  process.exit(1);
+}
+
+console.log(`📺 Mock Roku "${device.name}" (${device.isTv ? 'TV' : 'player'}) listening on http://${device.address}`);
+if (device.ssdpPort) {
+  console.log('📡 Answering SSDP searches on port 1900');
+}
+
+const shutdown = async () => {
+  await device.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
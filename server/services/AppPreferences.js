@@ -0,0 +1,83 @@
+import { JsonStore } from './JsonStore.js';
+
+const DEFAULT_PREFERENCES = {
+  favorites: [],
+  order: [],
+  hiddenApps: [],
+  hiddenTypes: []
+};
+
+/**
+ * Per-device app preferences: pinned favorites, custom ordering and
+ * hidden apps or app types. Devices are keyed by serial number when
+ * registered, otherwise by address.
+ */
+export class AppPreferences {
+  constructor(filePath) {
+    this.store = new JsonStore(filePath, { devices: {} });
+  }
+
+  /**
+   * Get a device's preferences (defaults if none saved)
+   */
+  async get(deviceKey) {
+    const data = await this.store.load();
+    return { ...DEFAULT_PREFERENCES, ...(data.devices[deviceKey] || {}) };
+  }
+
+  /**
+   * Replace some or all of a device's preferences
+   */
+  async set(deviceKey, patch) {
+    return this.store.update(data => {
+      const current = { ...DEFAULT_PREFERENCES, ...(data.devices[deviceKey] || {}) };
+      Object.keys(DEFAULT_PREFERENCES).forEach(field => {
+        if (patch[field] !== undefined) {
+          current[field] = [...new Set(patch[field].map(String))];
+        }
+      });
+      current.updatedAt = new Date().toISOString();
+      data.devices[deviceKey] = current;
+      return current;
+    });
+  }
+
+  /**
+   * Validate a preferences patch. Returns an error message, or null if valid.
+   */
+  validate(patch) {
+    if (!patch || typeof patch !== 'object') {
+      return 'Preferences must be an object';
+    }
+    for (const field of Object.keys(DEFAULT_PREFERENCES)) {
+      if (patch[field] !== undefined &&
+        !(Array.isArray(patch[field]) && patch[field].every(v => typeof v === 'string' || typeof v === 'number'))) {
+        return `${field} must be an array of strings`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply preferences to a device's app list: custom order first (apps not in
+   * the order keep Roku's order after them), favorite/hidden flags added,
+   * and hidden apps dropped unless includeHidden is set.
+   */
+  apply(apps, preferences, { includeHidden = false } = {}) {
+    const position = new Map(preferences.order.map((id, index) => [id, index]));
+    const favorites = new Set(preferences.favorites);
+    const hiddenApps = new Set(preferences.hiddenApps);
+    const hiddenTypes = new Set(preferences.hiddenTypes);
+
+    return apps
+      .map((app, index) => ({
+        ...app,
+        favorite: favorites.has(app.id),
+        hidden: hiddenApps.has(app.id) || hiddenTypes.has(app.type),
+        _rank: position.has(app.id) ? position.get(app.id) : preferences.order.length + index
+      }))
+      .filter(app => includeHidden || !app.hidden)
+      .sort((a, b) => a._rank - b._rank)
+      .map(({ _rank, ...app }) => app);
+  }
+}
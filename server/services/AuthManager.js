@@ -0,0 +1,246 @@
+import { createHash, randomBytes, randomInt, randomUUID, timingSafeEqual } from 'crypto';
+import { JsonStore } from './JsonStore.js';
+
+const PAIRING_TTL = 5 * 60 * 1000;
+// Wrong PINs allowed before every pending pairing is cancelled
+const MAX_PIN_ATTEMPTS = 5;
+// Wrong passwords allowed from one client before it is locked out for a while
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCKOUT = 5 * 60 * 1000;
+const TOKEN_PREFIX = 'rrt';
+
+/**
+ * API authentication. An admin credential from the environment (ADMIN_TOKEN,
+ * or ADMIN_PASSWORD to sign in from a browser) bootstraps access; every other
+ * client gets its own revocable API token, either by signing in or by pairing
+ * with a PIN / one-time code created from an already-authorized browser.
+ *
+ * Tokens look like "rrt_<id>_<secret>"; only a hash of the secret is stored.
+ * Tokens from signing in have the admin role; paired clients get the client
+ * role, which can use the remote but not manage tokens or pairings.
+ * Auth is disabled when neither admin credential is configured.
+ */
+export class AuthManager {
+  constructor(filePath, options = {}) {
+    this.store = new JsonStore(filePath, { tokens: {} });
+    this.adminToken = options.adminToken ?? process.env.ADMIN_TOKEN ?? '';
+    this.adminPassword = options.adminPassword ?? process.env.ADMIN_PASSWORD ?? '';
+    this.pairings = new Map();
+    this.failedPinAttempts = 0;
+    // client (e.g. IP) -> { count, lockedUntil }
+    this.failedLogins = new Map();
+  }
+
+  /**
+   * Whether requests need a credential
+   */
+  get enabled() {
+    return Boolean(this.adminToken || this.adminPassword);
+  }
+
+  /**
+   * Resolve a presented credential to who it belongs to, or null.
+   * Returns { type: 'admin', role: 'admin' } for the admin token or
+   * { type: 'client', role, tokenId, name } for an issued token.
+   */
+  async authenticate(credential) {
+    if (!credential) {
+      return null;
+    }
+    if (this.adminToken && this._safeEqual(credential, this.adminToken)) {
+      return { type: 'admin', role: 'admin', tokenId: null, name: 'admin' };
+    }
+
+    const parsed = this._parseToken(credential);
+    if (!parsed) {
+      return null;
+    }
+
+    const data = await this.store.load();
+    const record = data.tokens[parsed.id];
+    if (!record || !this._safeEqual(this._hash(parsed.secret), record.hash)) {
+      return null;
+    }
+
+    // Only write lastUsedAt occasionally; every keypress would otherwise rewrite the file
+    if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() > 60000) {
+      await this.store.update(current => {
+        if (current.tokens[parsed.id]) {
+          current.tokens[parsed.id].lastUsedAt = new Date().toISOString();
+        }
+      });
+    }
+
+    return { type: 'client', role: this._role(record), tokenId: record.id, name: record.name };
+  }
+
+  /**
+   * Milliseconds until a client may try to sign in again (0 if it may now)
+   */
+  loginLockedFor(client) {
+    const entry = this.failedLogins.get(client);
+    return entry ? Math.max(0, entry.lockedUntil - Date.now()) : 0;
+  }
+
+  /**
+   * Exchange the admin password (or admin token) for an admin-role token.
+   * client identifies the caller for the attempt limit; check
+   * loginLockedFor first. Returns { token, record } or null if it doesn't match.
+   */
+  async login(password, name, client = null) {
+    const matches = typeof password === 'string' && password !== '' && (
+      (this.adminPassword && this._safeEqual(password, this.adminPassword)) ||
+      (this.adminToken && this._safeEqual(password, this.adminToken)));
+
+    if (!matches) {
+      const entry = this.failedLogins.get(client) || { count: 0, lockedUntil: 0 };
+      entry.count++;
+      if (entry.count >= MAX_LOGIN_ATTEMPTS) {
+        entry.count = 0;
+        entry.lockedUntil = Date.now() + LOGIN_LOCKOUT;
+      }
+      this.failedLogins.set(client, entry);
+      return null;
+    }
+
+    this.failedLogins.delete(client);
+    return this.issueToken(name || 'Browser', 'login', 'admin');
+  }
+
+  /**
+   * Issue a new token with a role ('admin' or 'client'). The plain token is only returned here.
+   */
+  async issueToken(name, via, role = 'client') {
+    const id = randomUUID().replace(/-/g, '').slice(0, 12);
+    const secret = randomBytes(24).toString('base64url');
+    const record = await this.store.update(data => {
+      const token = {
+        id,
+        name,
+        via,
+        role,
+        hash: this._hash(secret),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+      };
+      data.tokens[id] = token;
+      return token;
+    });
+
+    return { token: `${TOKEN_PREFIX}_${id}_${secret}`, record: this._publicToken(record) };
+  }
+
+  /**
+   * List issued tokens (without hashes)
+   */
+  async listTokens() {
+    const data = await this.store.load();
+    return Object.values(data.tokens)
+      .map(token => this._publicToken(token))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Revoke a token
+   */
+  async revokeToken(id) {
+    return this.store.update(data => {
+      if (!data.tokens[id]) {
+        return false;
+      }
+      delete data.tokens[id];
+      return true;
+    });
+  }
+
+  /**
+   * Start a pairing: a 6-digit PIN to type on the new client and a
+   * one-time code for QR links. Either can be redeemed once.
+   */
+  createPairing(createdBy) {
+    this._prunePairings();
+
+    const pairing = {
+      id: randomUUID(),
+      pin: String(randomInt(0, 1000000)).padStart(6, '0'),
+      code: randomBytes(18).toString('base64url'),
+      createdBy,
+      expiresAt: new Date(Date.now() + PAIRING_TTL).toISOString()
+    };
+    this.pairings.set(pairing.id, pairing);
+    return pairing;
+  }
+
+  /**
+   * Cancel a pending pairing
+   */
+  cancelPairing(id) {
+    return this.pairings.delete(id);
+  }
+
+  /**
+   * Redeem a PIN or one-time code for a client token.
+   * Returns { token, record } or null if it doesn't match a pending pairing.
+   */
+  async redeemPairing({ pin, code, name }) {
+    this._prunePairings();
+
+    const pairing = [...this.pairings.values()].find(p =>
+      (code && this._safeEqual(String(code), p.code)) || (pin && this._safeEqual(String(pin), p.pin)));
+
+    if (!pairing) {
+      if (pin) {
+        this.failedPinAttempts++;
+        if (this.failedPinAttempts >= MAX_PIN_ATTEMPTS) {
+          // Someone may be guessing; make them start over
+          this.pairings.clear();
+          this.failedPinAttempts = 0;
+        }
+      }
+      return null;
+    }
+
+    this.pairings.delete(pairing.id);
+    this.failedPinAttempts = 0;
+    return this.issueToken(name || 'Paired device', pin ? 'pin' : 'code', 'client');
+  }
+
+  _prunePairings() {
+    const now = Date.now();
+    this.pairings.forEach((pairing, id) => {
+      if (new Date(pairing.expiresAt).getTime() <= now) {
+        this.pairings.delete(id);
+      }
+    });
+  }
+
+  _parseToken(credential) {
+    const match = String(credential).match(new RegExp(`^${TOKEN_PREFIX}_([0-9a-f]{12})_([A-Za-z0-9_-]+)$`));
+    return match ? { id: match[1], secret: match[2] } : null;
+  }
+
+  _publicToken({ hash, ...token }) {
+    return { ...token, role: this._role(token) };
+  }
+
+  /**
+   * Role of a stored token. Tokens from before roles existed are admin
+   * if they came from signing in.
+   */
+  _role(record) {
+    return record.role || (record.via === 'login' ? 'admin' : 'client');
+  }
+
+  _hash(value) {
+    return createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * Constant-time string comparison
+   */
+  _safeEqual(a, b) {
+    const left = createHash('sha256').update(String(a)).digest();
+    const right = createHash('sha256').update(String(b)).digest();
+    return timingSafeEqual(left, right);
+  }
+}
@@ -0,0 +1,90 @@
+import { randomUUID } from 'crypto';
+import { JsonStore } from './JsonStore.js';
+
+/**
+ * Persistent content bookmarks: a deep link into a specific title
+ * (app id plus contentId/mediaType and any extra launch params)
+ * that can be launched on any device with the app installed.
+ */
+export class BookmarkStore {
+  constructor(filePath) {
+    this.store = new JsonStore(filePath, { bookmarks: {} });
+  }
+
+  /**
+   * List all bookmarks, sorted by name
+   */
+  async list() {
+    const data = await this.store.load();
+    return Object.values(data.bookmarks).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a bookmark by id
+   */
+  async get(id) {
+    const data = await this.store.load();
+    return data.bookmarks[id] || null;
+  }
+
+  /**
+   * Create a bookmark
+   */
+  async create({ name, appId, contentId = null, mediaType = null, params = {} }) {
+    return this.store.update(data => {
+      const now = new Date().toISOString();
+      const bookmark = {
+        id: randomUUID(),
+        name,
+        appId,
+        contentId,
+        mediaType,
+        params,
+        createdAt: now,
+        updatedAt: now
+      };
+      data.bookmarks[bookmark.id] = bookmark;
+      return bookmark;
+    });
+  }
+
+  /**
+   * Update a bookmark's name, app or launch parameters
+   */
+  async update(id, patch) {
+    return this.store.update(data => {
+      const bookmark = data.bookmarks[id];
+      if (!bookmark) {
+        return null;
+      }
+
+      ['name', 'appId', 'contentId', 'mediaType', 'params'].forEach(field => {
+        if (patch[field] !== undefined) {
+          bookmark[field] = patch[field];
+        }
+      });
+      bookmark.updatedAt = new Date().toISOString();
+      return bookmark;
+    });
+  }
+
+  /**
+   * Delete a bookmark
+   */
+  async remove(id) {
+    return this.store.update(data => {
+      if (!data.bookmarks[id]) {
+        return false;
+      }
+      delete data.bookmarks[id];
+      return true;
+    });
+  }
+
+  /**
+   * Launch parameters for a bookmark (contentId and mediaType merged into params)
+   */
+  launchParams(bookmark) {
+    return { ...bookmark.params, contentId: bookmark.contentId, mediaType: bookmark.mediaType };
+  }
+}
@@ -0,0 +1,168 @@
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Upper bound on search steps; covers leap-day schedules several years out
+const MAX_SEARCH_STEPS = 50000;
+
+/**
+ * Standard 5-field cron expression (minute hour day-of-month month day-of-week),
+ * evaluated in the server's local time zone. Supports *, lists, ranges, steps,
+ * month/day names and the @daily-style aliases.
+ */
+export class CronExpression {
+  constructor(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('Cron expression is required');
+    }
+
+    this.expression = expression.trim();
+    const source = ALIASES[this.expression.toLowerCase()] || this.expression;
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== 5) {
+      throw new Error(`Cron expression must have 5 fields, got ${parts.length}: "${expression}"`);
+    }
+
+    this.fields = {};
+    parts.forEach((part, index) => {
+      const field = FIELDS[index];
+      this.fields[field.name] = this._parseField(part, field);
+    });
+
+    // Sunday may be written as 0 or 7
+    if (this.fields.dayOfWeek.has(7)) {
+      this.fields.dayOfWeek.add(0);
+    }
+
+    this.domRestricted = parts[2] !== '*';
+    this.dowRestricted = parts[4] !== '*';
+  }
+
+  /**
+   * Whether an expression parses
+   */
+  static isValid(expression) {
+    try {
+      new CronExpression(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Next matching time strictly after the given date
+   */
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    for (let i = 0; i < MAX_SEARCH_STEPS; i++) {
+      if (!this.fields.month.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this._matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.fields.hour.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!this.fields.minute.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+      return date;
+    }
+
+    throw new Error(`Cron expression "${this.expression}" never matches`);
+  }
+
+  /**
+   * Day-of-month and day-of-week are OR'ed when both are restricted (as in cron)
+   */
+  _matchesDay(date) {
+    const dom = this.fields.dayOfMonth.has(date.getDate());
+    const dow = this.fields.dayOfWeek.has(date.getDay());
+
+    if (this.domRestricted && this.dowRestricted) {
+      return dom || dow;
+    }
+    return dom && dow;
+  }
+
+  /**
+   * Parse one field into the set of values it allows
+   */
+  _parseField(part, field) {
+    const values = new Set();
+
+    part.toLowerCase().split(',').forEach(item => {
+      const [rangePart, stepPart] = item.split('/');
+      const step = stepPart === undefined ? 1 : this._parseNumber(stepPart, field, true);
+      let start;
+      let end;
+
+      if (rangePart === '*') {
+        start = field.min;
+        end = field.max;
+      } else if (rangePart.includes('-')) {
+        const [from, to] = rangePart.split('-');
+        start = this._parseValue(from, field);
+        end = this._parseValue(to, field);
+      } else {
+        start = this._parseValue(rangePart, field);
+        // "5/15" means every 15 starting at 5
+        end = stepPart === undefined ? start : field.max;
+      }
+
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${item}"`);
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    });
+
+    return values;
+  }
+
+  _parseValue(value, field) {
+    const nameIndex = field.names ? field.names.indexOf(value) : -1;
+    if (nameIndex !== -1) {
+      return nameIndex + (field.name === 'month' ? 1 : 0);
+    }
+    return this._parseNumber(value, field);
+  }
+
+  _parseNumber(value, field, isStep = false) {
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`Invalid ${field.name} value "${value}"`);
+    }
+    const number = parseInt(value);
+    if (isStep ? number < 1 : number < field.min || number > field.max) {
+      throw new Error(`${field.name} value ${number} is out of range`);
+    }
+    return number;
+  }
+}
@@ -0,0 +1,120 @@
+import { BlockList, isIP, isIPv6 } from 'net';
+import { ValidationError } from './errors.js';
+
+const DEFAULT_ECP_PORT = 8060;
+
+// Networks a Roku can live on: RFC 1918 and IPv6 unique-local/link-local
+const PRIVATE_NETWORKS = [
+  ['10.0.0.0', 8, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6']
+];
+
+// IPv4 link-local (no DHCP server); opt-in, as it holds cloud metadata endpoints
+const LINK_LOCAL_NETWORKS = [
+  ['169.254.0.0', 16, 'ipv4']
+];
+
+// Cloud instance metadata services, refused whatever else is allowed
+const METADATA_ADDRESSES = [
+  ['169.254.169.254', 'ipv4'],
+  ['fd00:ec2::254', 'ipv6']
+];
+
+const LOOPBACK_NETWORKS = [
+  ['127.0.0.0', 8, 'ipv4'],
+  ['::1', 128, 'ipv6']
+];
+
+/**
+ * Split "ip", "ip:port", "[ipv6]:port" or a bare IPv6 address into host and
+ * port (undefined if not given). The host is not checked; host is null when
+ * the address can't be split.
+ */
+export const splitAddress = (address) => {
+  const text = String(address ?? '').trim();
+
+  const bracketed = text.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (bracketed) {
+    return { host: bracketed[1], port: bracketed[2] };
+  }
+  if (isIPv6(text) || !text.includes(':')) {
+    return { host: text, port: undefined };
+  }
+  const parts = text.split(':');
+  return parts.length === 2 ? { host: parts[0], port: parts[1] } : { host: null, port: undefined };
+};
+
+/**
+ * "host:port", with IPv6 hosts in brackets
+ */
+export const formatAddress = (host, port) => (isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`);
+
+/**
+ * Decides which addresses the server may send ECP requests to, so device
+ * routes can't be used to reach arbitrary hosts. Only literal IPs on private
+ * networks are accepted (no hostnames, so no DNS tricks). Loopback is refused
+ * unless allowLoopback is set (ALLOW_LOOPBACK_DEVICES), e.g. for a local mock
+ * ECP server, and 169.254/16 unless allowLinkLocal is (ALLOW_LINK_LOCAL_DEVICES).
+ * Cloud metadata addresses are always refused.
+ */
+export class DeviceAddressPolicy {
+  constructor(options = {}) {
+    this.allowLoopback = options.allowLoopback ?? process.env.ALLOW_LOOPBACK_DEVICES === 'true';
+    this.allowLinkLocal = options.allowLinkLocal ?? process.env.ALLOW_LINK_LOCAL_DEVICES === 'true';
+    this.allowed = new BlockList();
+    [
+      ...PRIVATE_NETWORKS,
+      ...(this.allowLoopback ? LOOPBACK_NETWORKS : []),
+      ...(this.allowLinkLocal ? LINK_LOCAL_NETWORKS : [])
+    ].forEach(([network, prefix, type]) => this.allowed.addSubnet(network, prefix, type));
+    this.blocked = new BlockList();
+    METADATA_ADDRESSES.forEach(([address, type]) => this.blocked.addAddress(address, type));
+  }
+
+  /**
+   * Parse "ip", "ip:port", "[ipv6]:port" or a bare IPv6 address.
+   * Throws a ValidationError if it isn't an allowed device address.
+   * @returns {{host: string, port: number, family: number, baseUrl: string}}
+   */
+  parse(address) {
+    const text = String(address ?? '').trim();
+    const { host, port } = splitAddress(text);
+
+    const family = host ? isIP(host) : 0;
+    if (!family) {
+      throw new ValidationError(`"${text}" is not an IP address`, 'INVALID_ADDRESS');
+    }
+
+    const portNumber = port === undefined ? DEFAULT_ECP_PORT : Number(port);
+    if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+      throw new ValidationError(`Invalid port in "${text}"`, 'INVALID_ADDRESS');
+    }
+
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    if (!this.allowed.check(host, type) || this.blocked.check(host, type)) {
+      throw new ValidationError(`${host} is not on a private network`, 'ADDRESS_NOT_ALLOWED');
+    }
+
+    return {
+      host,
+      port: portNumber,
+      family,
+      baseUrl: `http://${formatAddress(host, portNumber)}`
+    };
+  }
+
+  /**
+   * Whether an address would be accepted
+   */
+  isAllowed(address) {
+    try {
+      this.parse(address);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
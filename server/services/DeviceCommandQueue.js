@@ -0,0 +1,107 @@
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 250;
+const MAX_RETRY_DELAY = 2000;
+
+/**
+ * Serializes requests per device so they reach it in the order they were
+ * made (fast taps otherwise race each other over separate connections).
+ *
+ * - Idempotent requests (queries) are retried with exponential backoff when
+ *   the failure is transient; commands like keypresses are never repeated.
+ * - A query that is last in a device's queue (waiting or running) is shared
+ *   with anyone asking for the same thing (e.g. several pollers reading
+ *   active-app). Once anything is queued behind it, the same query runs
+ *   again so it sees the effect of that command.
+ * - Per-device stats (queue depth, last error, counters) are kept for the API.
+ */
+export class DeviceCommandQueue {
+  constructor(options = {}) {
+    this.retries = options.retries ?? parseInt(process.env.DEVICE_RETRIES || DEFAULT_RETRIES);
+    this.retryDelay = options.retryDelay ?? parseInt(process.env.DEVICE_RETRY_DELAY || DEFAULT_RETRY_DELAY);
+    this.devices = new Map();
+  }
+
+  /**
+   * Run task() after everything already queued for the device.
+   * Options: idempotent (retry transient failures), coalesceKey (share the
+   * result with an identical request at the end of the queue), isTransient(error).
+   */
+  run(device, task, { idempotent = false, coalesceKey = null, isTransient = () => true } = {}) {
+    const state = this._state(device);
+
+    if (coalesceKey && state.last?.coalesceKey === coalesceKey) {
+      state.coalesced++;
+      return state.last.result;
+    }
+
+    state.depth++;
+    const result = state.tail.then(() => this._attempt(state, task, idempotent ? this.retries : 0, isTransient));
+    // Keep the chain going whatever happens to this request
+    state.tail = result.catch(() => {});
+
+    state.last = { coalesceKey, result };
+
+    return result.finally(() => {
+      state.depth--;
+      if (state.last?.result === result) {
+        state.last = null;
+      }
+    });
+  }
+
+  /**
+   * Queue stats for one device, or null if it has never been used
+   */
+  stats(device) {
+    const state = this.devices.get(device);
+    return state ? this._publicState(device, state) : null;
+  }
+
+  /**
+   * Queue stats for every device
+   */
+  list() {
+    return Array.from(this.devices.entries()).map(([device, state]) => this._publicState(device, state));
+  }
+
+  async _attempt(state, task, retriesLeft, isTransient) {
+    try {
+      const value = await task();
+      state.completed++;
+      state.lastSuccessAt = new Date().toISOString();
+      return value;
+    } catch (error) {
+      if (retriesLeft > 0 && isTransient(error)) {
+        state.retried++;
+        const attempt = this.retries - retriesLeft;
+        await new Promise(resolve => setTimeout(resolve, Math.min(this.retryDelay * 2 ** attempt, MAX_RETRY_DELAY)));
+        return this._attempt(state, task, retriesLeft - 1, isTransient);
+      }
+
+      state.failed++;
+      state.lastError = { message: error.message, code: error.code || null, at: new Date().toISOString() };
+      throw error;
+    }
+  }
+
+  _state(device) {
+    if (!this.devices.has(device)) {
+      this.devices.set(device, {
+        tail: Promise.resolve(),
+        last: null,
+        depth: 0,
+        completed: 0,
+        failed: 0,
+        retried: 0,
+        coalesced: 0,
+        lastError: null,
+        lastSuccessAt: null
+      });
+    }
+    return this.devices.get(device);
+  }
+
+  _publicState(device, { depth, completed, failed, retried, coalesced, lastError, lastSuccessAt }) {
+    return { device, depth, completed, failed, retried, coalesced, lastError, lastSuccessAt };
+  }
+}
@@ -1,50 +1,224 @@
+import dgram from 'dgram';
 import mdns from 'multicast-dns';
+import { RokuService } from './RokuService.js';
+import { formatAddress } from './DeviceAddressPolicy.js';
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const SSDP_SEARCH_TARGET = 'roku:ecp';
 
 export class DeviceDiscovery {
-  constructor() {
+  /**
+   * options.ssdpAddress / ssdpPort redirect M-SEARCH (e.g. to a mock device
+   * in tests); options.mdns = false skips the mDNS query
+   */
+  constructor(rokuService = new RokuService(), options = {}) {
+    this.rokuService = rokuService;
+    this.ssdpAddress = options.ssdpAddress || SSDP_ADDRESS;
+    this.ssdpPort = options.ssdpPort || SSDP_PORT;
+    this.mdns = options.mdns ?? true;
     this.discoveredDevices = new Map();
     this.maxDevices = parseInt(process.env.MAX_DISCOVERY_DEVICES || 10);
   }
 
   /**
-   * Discover Roku devices on the network using mDNS
+   * Discover Roku devices on the network using SSDP and mDNS.
+   * Every candidate is confirmed via /query/device-info and results
+   * are merged by serial number.
    */
   async discover(timeout = 5000) {
-    return new Promise((resolve, reject) => {
+    const [ssdpCandidates, mdnsCandidates] = await Promise.all([
+      this._discoverSsdp(timeout),
+      this.mdns ? this._discoverMdns(timeout) : []
+    ]);
+
+    // Merge candidates by address so each host is only queried once
+    const candidates = new Map();
+    [...ssdpCandidates, ...mdnsCandidates].forEach(candidate => {
+      const key = `${candidate.ip}:${candidate.port}`;
+      const existing = candidates.get(key);
+      if (existing) {
+        existing.sources = [...new Set([...existing.sources, ...candidate.sources])];
+        existing.serial = existing.serial || candidate.serial;
+      } else {
+        candidates.set(key, { ...candidate });
+      }
+    });
+
+    const confirmed = await Promise.all(
+      Array.from(candidates.values()).map(candidate => this._confirmDevice(candidate))
+    );
+
+    // Merge confirmed devices by serial number (a device may answer on several addresses)
+    const bySerial = new Map();
+    confirmed.filter(Boolean).forEach(device => {
+      const key = device.serial || `${device.ip}:${device.port}`;
+      const existing = bySerial.get(key);
+      if (existing) {
+        existing.sources = [...new Set([...existing.sources, ...device.sources])];
+      } else {
+        bySerial.set(key, device);
+      }
+    });
+
+    const devices = Array.from(bySerial.values())
+      .slice(0, this.maxDevices)
+      .map(device => this._normalizeDevice(device));
+
+    devices.forEach(device => this.discoveredDevices.set(device.serial || device.ip, device));
+    return devices;
+  }
+
+  /**
+   * Identify a single device by address (used when adding a device manually).
+   * Returns the normalized device, or null if nothing answers ECP there.
+   */
+  async probe(address) {
+    const { host, port } = this.rokuService.addressPolicy.parse(address);
+    const device = await this._confirmDevice({
+      ip: host,
+      port,
+      type: 'roku',
+      sources: ['manual']
+    });
+    return device ? this._normalizeDevice(device) : null;
+  }
+
+  /**
+   * Whether discovery has found a device at this IP (port is ignored)
+   */
+  hasSeen(address) {
+    const { host } = this.rokuService.addressPolicy.parse(address);
+    return Array.from(this.discoveredDevices.values()).some(device => device.ip === host);
+  }
+
+  /**
+   * Send an SSDP M-SEARCH for roku:ecp and collect responders
+   */
+  async _discoverSsdp(timeout) {
+    return new Promise((resolve) => {
+      const found = new Map();
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      let finished = false;
+
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        try {
+          socket.close();
+        } catch (error) {
+          // Socket already closed
+        }
+        resolve(Array.from(found.values()));
+      };
+
+      const timer = setTimeout(finish, timeout);
+
+      socket.on('message', (message) => {
+        const device = this._parseSsdpResponse(message.toString());
+        if (device && !found.has(device.ip)) {
+          found.set(device.ip, device);
+        }
+      });
+
+      // Don't reject, just return what we found
+      socket.on('error', finish);
+
+      const search = Buffer.from([
+        'M-SEARCH * HTTP/1.1',
+        `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+        'MAN: "ssdp:discover"',
+        `ST: ${SSDP_SEARCH_TARGET}`,
+        `MX: ${Math.max(1, Math.min(5, Math.floor(timeout / 1000) - 1))}`,
+        '',
+        ''
+      ].join('\r\n'));
+
+      socket.bind(() => {
+        // UDP is lossy, so send the search twice
+        socket.send(search, 0, search.length, this.ssdpPort, this.ssdpAddress);
+        setTimeout(() => {
+          if (!finished) {
+            socket.send(search, 0, search.length, this.ssdpPort, this.ssdpAddress);
+          }
+        }, 500);
+      });
+    });
+  }
+
+  /**
+   * Parse an SSDP response into a discovery candidate
+   */
+  _parseSsdpResponse(message) {
+    const lines = message.split(/\r?\n/);
+    if (!/^HTTP\/1\.\d 200/i.test(lines[0] || '')) {
+      return null;
+    }
+
+    const headers = {};
+    lines.slice(1).forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+
+    const isRoku = (headers.st || '').toLowerCase() === SSDP_SEARCH_TARGET ||
+      (headers.usn || '').toLowerCase().includes(SSDP_SEARCH_TARGET);
+    if (!isRoku || !headers.location) {
+      return null;
+    }
+
+    let location;
+    try {
+      location = new URL(headers.location);
+    } catch (error) {
+      return null;
+    }
+
+    // USN looks like "uuid:roku:ecp:P0A070000007"
+    const serialMatch = (headers.usn || '').match(/roku:ecp:([^:\s]+)/i);
+
+    return {
+      ip: location.hostname,
+      port: parseInt(location.port || 8060),
+      serial: serialMatch ? serialMatch[1] : null,
+      location: headers.location,
+      type: 'roku',
+      sources: ['ssdp']
+    };
+  }
+
+  /**
+   * Query mDNS for Roku ECP services
+   */
+  async _discoverMdns(timeout) {
+    return new Promise((resolve) => {
       const discoveredMap = new Map();
       const mDns = mdns();
+      let finished = false;
 
-      const timer = setTimeout(() => {
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
         mDns.destroy();
-        const devices = Array.from(discoveredMap.values())
-          .slice(0, this.maxDevices)
-          .map(device => this._normalizeDevice(device));
-        resolve(devices);
-      }, timeout);
+        resolve(Array.from(discoveredMap.values()));
+      };
+
+      const timer = setTimeout(finish, timeout);
 
       // Listen for mDNS responses
       mDns.on('response', (response) => {
+        this._processResponse(response, discoveredMap);
         if (discoveredMap.size >= this.maxDevices) {
-          clearTimeout(timer);
-          mDns.destroy();
-          const devices = Array.from(discoveredMap.values())
-            .map(device => this._normalizeDevice(device));
-          resolve(devices);
-          return;
+          finish();
         }
-
-        // Look for Roku devices (check for roku service or specific records)
-        this._processResponse(response, discoveredMap);
       });
 
-      mDns.on('error', (error) => {
-        clearTimeout(timer);
-        mDns.destroy();
-        // Don't reject, just return what we found
-        const devices = Array.from(discoveredMap.values())
-          .map(device => this._normalizeDevice(device));
-        resolve(devices.length > 0 ? devices : []);
-      });
+      // Don't reject, just return what we found
+      mDns.on('error', finish);
 
       // Query for Roku devices
       mDns.query({
@@ -66,27 +240,16 @@ export class DeviceDiscovery {
     ];
 
     allRecords.forEach(record => {
-      // Look for Roku-specific service records
-      if (record.name && record.name.includes('Roku')) {
-        // Extract device info from the record
-        const device = this._extractDeviceInfo(record, allRecords);
-        if (device && device.ip) {
-          discoveredMap.set(device.ip, device);
-        }
+      // Only consider ECP service records or records explicitly naming a Roku
+      const isEcpService = record.type === 'PTR' && record.name === '_ecp-server._tcp.local';
+      const isRokuRecord = record.name && /roku/i.test(record.name);
+      if (!isEcpService && !isRokuRecord) {
+        return;
       }
 
-      // Also look for A records (IP addresses) that might be Roku devices
-      if (record.type === 'A' && record.data) {
-        const device = {
-          name: record.name,
-          ip: record.data,
-          port: 8060,
-          type: 'roku'
-        };
-        // Heuristic: if it looks like it could be a Roku device, add it
-        if (!discoveredMap.has(device.ip)) {
-          discoveredMap.set(device.ip, device);
-        }
+      const device = this._extractDeviceInfo(record, allRecords);
+      if (device && device.ip && !discoveredMap.has(device.ip)) {
+        discoveredMap.set(device.ip, device);
       }
     });
   }
@@ -98,13 +261,23 @@ export class DeviceDiscovery {
     const device = {
       name: record.name,
       type: 'roku',
-      port: 8060
+      port: 8060,
+      sources: ['mdns']
     };
 
+    // PTR records point at the service instance, which has the SRV record
+    const instanceName = record.type === 'PTR' ? record.data : record.name;
+    const srvRecord = allRecords.find(r => r.type === 'SRV' && r.name === instanceName);
+    const hostName = srvRecord?.data?.target || instanceName;
+
+    if (srvRecord?.data?.port) {
+      device.port = srvRecord.data.port;
+    }
+
     // Try to find corresponding A record for IP
-    const aRecord = allRecords.find(r => 
-      r.type === 'A' && 
-      r.name === record.name
+    const aRecord = allRecords.find(r =>
+      r.type === 'A' &&
+      (r.name === hostName || r.name === record.name)
     );
 
     if (aRecord) {
@@ -112,9 +285,9 @@ export class DeviceDiscovery {
     }
 
     // Try to extract device name from TXT records
-    const txtRecord = allRecords.find(r => 
-      r.type === 'TXT' && 
-      r.name === record.name
+    const txtRecord = allRecords.find(r =>
+      r.type === 'TXT' &&
+      r.name === instanceName
     );
 
     if (txtRecord && txtRecord.data) {
@@ -124,6 +297,27 @@ export class DeviceDiscovery {
     return device.ip ? device : null;
   }
 
+  /**
+   * Confirm a candidate is a Roku by querying /query/device-info.
+   * Returns null for hosts that don't speak ECP.
+   */
+  async _confirmDevice(candidate) {
+    try {
+      const info = await this.rokuService.getDeviceInfo(formatAddress(candidate.ip, candidate.port), { fresh: true });
+
+      return {
+        ...candidate,
+        name: info.friendlyName || candidate.name,
+        model: info.friendlyModelName,
+        modelNumber: info.modelNumber,
+        serial: info.serial || candidate.serial,
+        mac: info.ethernetMac || info.wifiMac || null
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Normalize device object for API response
    */
@@ -131,9 +325,14 @@ export class DeviceDiscovery {
     return {
       ip: device.ip,
       name: device.name || 'Unknown Roku Device',
+      model: device.model || null,
+      modelNumber: device.modelNumber || null,
+      serial: device.serial || null,
+      mac: device.mac || null,
       port: device.port || 8060,
       type: device.type || 'roku',
-      url: `http://${device.ip}:${device.port || 8060}`
+      sources: device.sources || [],
+      url: `http://${formatAddress(device.ip, device.port || 8060)}`
     };
   }
 }
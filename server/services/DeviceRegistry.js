@@ -0,0 +1,194 @@
+import { JsonStore } from './JsonStore.js';
+import { WakeOnLan } from './WakeOnLan.js';
+import { splitAddress, formatAddress } from './DeviceAddressPolicy.js';
+import { ValidationError } from './errors.js';
+
+const EDITABLE_FIELDS = ['nickname', 'room', 'ip', 'port', 'mac'];
+
+/**
+ * Persistent registry of known Roku devices, keyed by serial number
+ */
+export class DeviceRegistry {
+  constructor(filePath) {
+    this.store = new JsonStore(filePath, { devices: {} });
+  }
+
+  /**
+   * List all registered devices
+   */
+  async list() {
+    const data = await this.store.load();
+    return Object.values(data.devices)
+      .sort((a, b) => (a.nickname || a.name || '').localeCompare(b.nickname || b.name || ''));
+  }
+
+  /**
+   * Get a device by serial number
+   */
+  async get(serial) {
+    const data = await this.store.load();
+    return data.devices[serial] || null;
+  }
+
+  /**
+   * Find a device by its last-known IP (with or without port)
+   */
+  async findByIp(address) {
+    const { host } = splitAddress(address);
+    const data = await this.store.load();
+    return Object.values(data.devices).find(device => device.ip === host) || null;
+  }
+
+  /**
+   * Resolve a serial number or address to the address to contact.
+   * Registered serials map to their last-known IP (and port, if not 8060);
+   * anything else is assumed to already be an address.
+   */
+  async resolveAddress(device) {
+    const record = await this.get(device);
+    if (!record || !record.ip) {
+      return device;
+    }
+    return record.port && record.port !== 8060 ? formatAddress(record.ip, record.port) : record.ip;
+  }
+
+  /**
+   * Register a device, or update it if the serial is already known.
+   * Nickname and room are only overwritten when explicitly provided.
+   */
+  async upsert(device) {
+    if (!device.serial) {
+      throw new Error('Device serial number is required');
+    }
+
+    return this.store.update(data => {
+      const now = new Date().toISOString();
+      const existing = data.devices[device.serial];
+      const record = {
+        serial: device.serial,
+        nickname: device.nickname ?? existing?.nickname ?? null,
+        room: device.room ?? existing?.room ?? null,
+        name: device.name || existing?.name || null,
+        model: device.model || existing?.model || null,
+        ip: device.ip || existing?.ip || null,
+        port: device.port || existing?.port || 8060,
+        mac: device.mac || existing?.mac || null,
+        ethernetMac: device.ethernetMac || existing?.ethernetMac || null,
+        wifiMac: device.wifiMac || existing?.wifiMac || null,
+        addedAt: existing?.addedAt || now,
+        lastSeen: device.lastSeen || existing?.lastSeen || null
+      };
+
+      data.devices[device.serial] = record;
+      return record;
+    });
+  }
+
+  /**
+   * Update editable fields of a registered device. An ip given as "ip:port"
+   * sets the port too. Throws a ValidationError for a bad port or MAC.
+   */
+  async update(serial, patch) {
+    const changes = this._checkPatch(patch);
+    return this.store.update(data => {
+      const existing = data.devices[serial];
+      if (!existing) {
+        return null;
+      }
+
+      EDITABLE_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) {
+          existing[field] = changes[field];
+        }
+      });
+
+      return existing;
+    });
+  }
+
+  _checkPatch(patch) {
+    const changes = { ...patch };
+    if (patch.ip !== undefined) {
+      const { host, port } = splitAddress(patch.ip);
+      changes.ip = host;
+      if (port !== undefined && changes.port === undefined) {
+        changes.port = Number(port);
+      }
+    }
+    if (changes.port !== undefined && !(Number.isInteger(changes.port) && changes.port >= 1 && changes.port <= 65535)) {
+      throw new ValidationError('port must be a whole number from 1 to 65535');
+    }
+    // null clears the MAC
+    if (changes.mac !== undefined && changes.mac !== null && !WakeOnLan.parseMac(changes.mac)) {
+      throw new ValidationError(`Invalid MAC address "${changes.mac}"`);
+    }
+    return changes;
+  }
+
+  /**
+   * Remove a device from the registry
+   */
+  async remove(serial) {
+    return this.store.update(data => {
+      if (!data.devices[serial]) {
+        return false;
+      }
+      delete data.devices[serial];
+      return true;
+    });
+  }
+
+  /**
+   * Merge discovery results into the registry, refreshing IP and last-seen time.
+   * Devices without a serial number can't be keyed and are skipped.
+   */
+  async mergeDiscovered(devices) {
+    const lastSeen = new Date().toISOString();
+    const merged = [];
+
+    for (const device of devices.filter(d => d.serial)) {
+      merged.push(await this.upsert({
+        serial: device.serial,
+        name: device.name,
+        model: device.model,
+        ip: device.ip,
+        port: device.port,
+        mac: device.mac,
+        lastSeen
+      }));
+    }
+
+    return merged;
+  }
+
+  /**
+   * Record that a device answered at the given address. When device-info
+   * is given, its MAC addresses are kept for Wake-on-LAN.
+   */
+  async touch(address, info = null) {
+    const device = await this.findByIp(address);
+    if (!device) {
+      return null;
+    }
+    return this.store.update(data => {
+      const record = data.devices[device.serial];
+      record.lastSeen = new Date().toISOString();
+      if (info) {
+        record.ethernetMac = info.ethernetMac || record.ethernetMac || null;
+        record.wifiMac = info.wifiMac || record.wifiMac || null;
+      }
+      return record;
+    });
+  }
+
+  /**
+   * MAC addresses known for a device, wired first
+   */
+  async knownMacs(address) {
+    const device = await this.findByIp(address);
+    if (!device) {
+      return [];
+    }
+    return [device.ethernetMac, device.wifiMac, device.mac].filter(Boolean);
+  }
+}
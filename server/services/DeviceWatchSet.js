@@ -0,0 +1,80 @@
+/**
+ * The devices a service watches through the shared DeviceWatcher, kept in
+ * step with the set it wants by sync(). Entries are keyed by the caller's
+ * choice of key and carry its fields plus address and unwatch.
+ *
+ * Hooks (all optional except onState):
+ * - onState(entry, state): the watcher saw a new state
+ * - onAdd(entry): before a new entry starts being watched
+ * - onUpdate(entry, target): a wanted entry is already watched at the same address
+ * - onRemove(entry): after an entry that is no longer wanted stops being watched
+ * An entry whose address changes is replaced (onAdd again, not onRemove).
+ */
+export class DeviceWatchSet {
+  constructor(deviceWatcher, { onState, onAdd = async () => {}, onUpdate = async () => {}, onRemove = async () => {} }) {
+    this.deviceWatcher = deviceWatcher;
+    this.hooks = { onState, onAdd, onUpdate, onRemove };
+    this.entries = new Map();
+    this.syncing = Promise.resolve();
+  }
+
+  /**
+   * Match the watched devices to wanted(), which resolves to a Map of
+   * key -> { address, ...fields }, or null to skip this pass
+   */
+  sync(wanted) {
+    // One pass at a time, so a device is never watched twice
+    this.syncing = this.syncing.catch(() => {}).then(async () => {
+      const targets = await wanted();
+      if (targets) {
+        await this._apply(targets);
+      }
+    });
+    return this.syncing;
+  }
+
+  /**
+   * Entry for a key, or undefined
+   */
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Stop watching everything
+   */
+  clear() {
+    this.entries.forEach(entry => entry.unwatch?.());
+    this.entries.clear();
+  }
+
+  [Symbol.iterator]() {
+    return this.entries.values();
+  }
+
+  async _apply(targets) {
+    for (const [key, entry] of this.entries) {
+      const target = targets.get(key);
+      if (target && target.address === entry.address) {
+        continue;
+      }
+      entry.unwatch();
+      this.entries.delete(key);
+      if (!target) {
+        await this.hooks.onRemove(entry);
+      }
+    }
+
+    for (const [key, target] of targets) {
+      const existing = this.entries.get(key);
+      if (existing) {
+        await this.hooks.onUpdate(existing, target);
+        continue;
+      }
+      const entry = { ...target, key, unwatch: null };
+      this.entries.set(key, entry);
+      await this.hooks.onAdd(entry);
+      entry.unwatch = this.deviceWatcher.watch(entry.address, event => this.hooks.onState(entry, event.state));
+    }
+  }
+}
@@ -0,0 +1,158 @@
+import { EventEmitter } from 'events';
+
+const WATCHED_FIELDS = ['online', 'activeApp', 'media', 'powerMode'];
+
+/**
+ * Polls watched devices (one poller per device, shared by all subscribers)
+ * and notifies subscribers of state changes.
+ *
+ * Emits 'change' (ip, changes, state) for every device with a diff.
+ */
+export class DeviceWatcher extends EventEmitter {
+  constructor(rokuService, options = {}) {
+    super();
+    this.rokuService = rokuService;
+    this.interval = options.interval || parseInt(process.env.STATE_POLL_INTERVAL || 2000);
+    this.powerInterval = options.powerInterval || parseInt(process.env.POWER_POLL_INTERVAL || 10000);
+    this.devices = new Map();
+  }
+
+  /**
+   * Subscribe to a device's state. The listener is called with
+   * { type: 'state', ip, state } immediately (if known) and
+   * { type: 'change', ip, changes, state } on every diff.
+   * Returns an unsubscribe function.
+   */
+  watch(ip, listener) {
+    let entry = this.devices.get(ip);
+    if (!entry) {
+      entry = { state: null, subscribers: new Set(), timer: null, lastPowerCheck: 0, stopped: false };
+      this.devices.set(ip, entry);
+      this._schedule(ip, 0);
+    }
+
+    entry.subscribers.add(listener);
+    if (entry.state) {
+      listener({ type: 'state', ip, state: entry.state });
+    }
+
+    return () => {
+      entry.subscribers.delete(listener);
+      if (entry.subscribers.size === 0) {
+        entry.stopped = true;
+        clearTimeout(entry.timer);
+        this.devices.delete(ip);
+      }
+    };
+  }
+
+  /**
+   * Last known state of a watched device (null if not watched yet)
+   */
+  getState(ip) {
+    return this.devices.get(ip)?.state || null;
+  }
+
+  /**
+   * List watched devices with subscriber counts
+   */
+  list() {
+    return Array.from(this.devices.entries()).map(([ip, entry]) => ({
+      ip,
+      subscribers: entry.subscribers.size,
+      state: entry.state
+    }));
+  }
+
+  /**
+   * Queue the next poll for a device
+   */
+  _schedule(ip, delay) {
+    const entry = this.devices.get(ip);
+    if (!entry || entry.stopped) {
+      return;
+    }
+    entry.timer = setTimeout(() => this._poll(ip), delay);
+  }
+
+  /**
+   * Poll a device once and notify subscribers of any changes
+   */
+  async _poll(ip) {
+    const entry = this.devices.get(ip);
+    if (!entry || entry.stopped) {
+      return;
+    }
+
+    const previous = entry.state;
+    const next = { ...(previous || { powerMode: null }), updatedAt: new Date().toISOString() };
+
+    try {
+      next.activeApp = await this.rokuService.getActiveApp(ip);
+      next.online = true;
+
+      const media = await this.rokuService.getMediaPlayer(ip);
+      next.media = media && media.available ? media : null;
+
+      // Power mode lives in device-info, which is heavier, so check it less often
+      if (Date.now() - entry.lastPowerCheck >= this.powerInterval || !previous?.online) {
+        const info = await this.rokuService.getDeviceInfo(ip, { fresh: true });
+        next.powerMode = info.powerMode;
+        entry.lastPowerCheck = Date.now();
+      }
+    } catch (error) {
+      next.online = false;
+      next.error = error.message;
+    }
+
+    if (next.online) {
+      delete next.error;
+    }
+
+    // The device may have been unwatched while the poll was in flight
+    if (entry.stopped) {
+      return;
+    }
+
+    entry.state = next;
+    const changes = this._diff(previous, next);
+
+    if (!previous) {
+      this._notify(ip, entry, { type: 'state', ip, state: next });
+    } else if (Object.keys(changes).length > 0) {
+      this._notify(ip, entry, { type: 'change', ip, changes, state: next });
+    }
+
+    if (Object.keys(changes).length > 0) {
+      this.emit('change', ip, changes, next, previous);
+    }
+
+    this._schedule(ip, this.interval);
+  }
+
+  /**
+   * Deliver an event to every subscriber of a device
+   */
+  _notify(ip, entry, event) {
+    entry.subscribers.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Error in state listener for ${ip}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Compare watched fields between two states
+   */
+  _diff(previous, next) {
+    const changes = {};
+    WATCHED_FIELDS.forEach(field => {
+      if (JSON.stringify(previous?.[field] ?? null) !== JSON.stringify(next[field] ?? null)) {
+        changes[field] = next[field] ?? null;
+      }
+    });
+    return changes;
+  }
+}
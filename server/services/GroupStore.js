@@ -0,0 +1,91 @@
+import { randomUUID } from 'crypto';
+import { JsonStore } from './JsonStore.js';
+
+/**
+ * Persistent named device groups (e.g. "Meeting rooms"). Members are
+ * registered device serials, or addresses for unregistered devices.
+ */
+export class GroupStore {
+  constructor(filePath) {
+    this.store = new JsonStore(filePath, { groups: {} });
+  }
+
+  /**
+   * List all groups, sorted by name
+   */
+  async list() {
+    const data = await this.store.load();
+    return Object.values(data.groups).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a group by id
+   */
+  async get(id) {
+    const data = await this.store.load();
+    return data.groups[id] || null;
+  }
+
+  /**
+   * Create a group
+   */
+  async create({ name, devices }) {
+    return this.store.update(data => {
+      const now = new Date().toISOString();
+      const group = {
+        id: randomUUID(),
+        name,
+        devices: [...new Set(devices)],
+        createdAt: now,
+        updatedAt: now
+      };
+      data.groups[group.id] = group;
+      return group;
+    });
+  }
+
+  /**
+   * Update a group's name or members
+   */
+  async update(id, patch) {
+    return this.store.update(data => {
+      const group = data.groups[id];
+      if (!group) {
+        return null;
+      }
+
+      if (patch.name !== undefined) {
+        group.name = patch.name;
+      }
+      if (patch.devices !== undefined) {
+        group.devices = [...new Set(patch.devices)];
+      }
+      group.updatedAt = new Date().toISOString();
+      return group;
+    });
+  }
+
+  /**
+   * Delete a group
+   */
+  async remove(id) {
+    return this.store.update(data => {
+      if (!data.groups[id]) {
+        return false;
+      }
+      delete data.groups[id];
+      return true;
+    });
+  }
+
+  /**
+   * Validate a member list. Returns an error message, or null if valid.
+   */
+  validateDevices(devices) {
+    if (!Array.isArray(devices) || devices.length === 0 ||
+      !devices.every(device => typeof device === 'string' && device.trim() !== '')) {
+      return 'devices must be a non-empty array of serials or addresses';
+    }
+    return null;
+  }
+}
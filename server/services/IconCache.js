@@ -0,0 +1,68 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * On-disk cache of app icons keyed by app id and version.
+ * Icons only change when an app updates, so entries never expire;
+ * a new version simply gets a new file.
+ */
+export class IconCache {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Read a cached icon. Returns { data, contentType } or null.
+   */
+  async get(appId, version) {
+    const base = this._baseName(appId, version);
+
+    for (const [contentType, ext] of Object.entries(EXTENSIONS)) {
+      try {
+        const data = await fs.readFile(join(this.directory, `${base}.${ext}`));
+        return { data, contentType };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Store an icon, replacing older versions of the same app
+   */
+  async set(appId, version, { data, contentType }) {
+    const ext = EXTENSIONS[contentType.split(';')[0].trim()] || 'png';
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const prefix = `${this._safe(appId)}@`;
+    const base = this._baseName(appId, version);
+    const existing = await fs.readdir(this.directory);
+    await Promise.all(existing
+      .filter(file => file.startsWith(prefix) && !file.startsWith(`${base}.`))
+      .map(file => fs.unlink(join(this.directory, file)).catch(() => {})));
+
+    await fs.writeFile(join(this.directory, `${base}.${ext}`), data);
+  }
+
+  _baseName(appId, version) {
+    return `${this._safe(appId)}@${this._safe(version || 'unknown')}`;
+  }
+
+  /**
+   * Make an id safe to use as a file name
+   */
+  _safe(value) {
+    return String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+  }
+}
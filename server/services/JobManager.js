@@ -0,0 +1,111 @@
+import { randomUUID } from 'crypto';
+
+const FINISHED_JOB_TTL = 10 * 60 * 1000;
+
+/**
+ * Tracks long-running device jobs (key sequences, macros) so callers can
+ * poll their progress and cancel them by id.
+ */
+export class JobManager {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start a job. `run(signal, onProgress)` does the work and should stop
+   * when the signal aborts. Returns the job summary immediately; the
+   * returned `done` promise settles with the final summary.
+   */
+  start({ ip, type, label = null, total = null, run }) {
+    const controller = new AbortController();
+    const job = {
+      id: randomUUID(),
+      ip,
+      type,
+      label,
+      status: 'running',
+      progress: { completed: 0, total },
+      result: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      controller
+    };
+
+    this.jobs.set(job.id, job);
+    this._prune();
+
+    const onProgress = (progress) => {
+      job.progress = { ...job.progress, ...progress };
+    };
+
+    const done = Promise.resolve()
+      .then(() => run(controller.signal, onProgress))
+      .then(result => {
+        job.status = 'completed';
+        job.result = result ?? null;
+      })
+      .catch(error => {
+        if (error.name === 'AbortError' || controller.signal.aborted) {
+          job.status = 'cancelled';
+        } else {
+          job.status = 'failed';
+          job.error = error.message;
+        }
+      })
+      .then(() => {
+        job.finishedAt = new Date().toISOString();
+        return this._summary(job);
+      });
+
+    return { job: this._summary(job), done };
+  }
+
+  /**
+   * Get a job summary by id
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this._summary(job) : null;
+  }
+
+  /**
+   * List jobs, optionally only those for one device
+   */
+  list(ip = null) {
+    return Array.from(this.jobs.values())
+      .filter(job => !ip || job.ip === ip)
+      .map(job => this._summary(job));
+  }
+
+  /**
+   * Cancel a running job. Returns the job summary, or null if unknown.
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    if (job.status === 'running') {
+      job.controller.abort();
+    }
+    return this._summary(job);
+  }
+
+  /**
+   * Forget finished jobs older than the TTL
+   */
+  _prune() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL;
+    this.jobs.forEach((job, id) => {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    });
+  }
+
+  _summary(job) {
+    const { controller, ...summary } = job;
+    return summary;
+  }
+}
@@ -0,0 +1,63 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Small JSON file store used for server-side persistence.
+ * Reads are cached in memory; writes are serialized and atomic (tmp + rename).
+ */
+export class JsonStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.data = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Load data from disk (cached after first read)
+   */
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      this.data = { ...JSON.parse(JSON.stringify(this.defaults)), ...JSON.parse(raw) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading ${this.filePath}:`, error.message);
+      }
+      this.data = JSON.parse(JSON.stringify(this.defaults));
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Apply a mutation and persist the result.
+   * The mutator receives the current data and may return a value for the caller.
+   */
+  async update(mutator) {
+    const run = async () => {
+      const data = await this.load();
+      const result = await mutator(data);
+      await this._write(data);
+      return result;
+    };
+
+    const pending = this.writeChain.then(run, run);
+    this.writeChain = pending.catch(() => {});
+    return pending;
+  }
+
+  /**
+   * Write data to disk atomically
+   */
+  async _write(data) {
+    await fs.mkdir(dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Tracks keys held down via keydown and releases them if the client
+ * stops renewing the hold (e.g. it disconnected mid-press).
+ *
+ * Clients renew a hold by sending keydown again for the same key; only
+ * the first keydown is forwarded to the device.
+ */
+export class KeyHoldManager {
+  constructor(rokuService, options = {}) {
+    this.rokuService = rokuService;
+    this.holdTimeout = options.holdTimeout || parseInt(process.env.KEY_HOLD_TIMEOUT || 3000);
+    this.holds = new Map();
+  }
+
+  /**
+   * Start holding a key, or renew an existing hold.
+   * Returns true if the keydown was sent to the device.
+   */
+  async press(ip, key) {
+    const id = this._holdId(ip, key);
+    const existing = this.holds.get(id);
+
+    if (existing) {
+      this._arm(id, ip, key);
+      return false;
+    }
+
+    this._arm(id, ip, key);
+    try {
+      await this.rokuService.keydown(ip, key);
+    } catch (error) {
+      this._clear(id);
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Release a held key. Sends keyup even if no hold is tracked,
+   * so a client can always recover a stuck key.
+   */
+  async release(ip, key) {
+    this._clear(this._holdId(ip, key));
+    return this.rokuService.keyup(ip, key);
+  }
+
+  /**
+   * Release every key held on every device (used on shutdown)
+   */
+  async releaseAll() {
+    const holds = Array.from(this.holds.values());
+    this.holds.forEach((hold, id) => this._clear(id));
+    await Promise.allSettled(holds.map(hold => this.rokuService.keyup(hold.ip, hold.key)));
+  }
+
+  /**
+   * Keys currently held on a device
+   */
+  heldKeys(ip) {
+    return Array.from(this.holds.values())
+      .filter(hold => hold.ip === ip)
+      .map(hold => hold.key);
+  }
+
+  /**
+   * (Re)start the safety timer for a hold
+   */
+  _arm(id, ip, key) {
+    const existing = this.holds.get(id);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    const timer = setTimeout(() => {
+      this.holds.delete(id);
+      console.warn(`Releasing ${key} on ${ip}: hold was not renewed within ${this.holdTimeout}ms`);
+      this.rokuService.keyup(ip, key).catch(error => {
+        console.error(`Error releasing ${key} on ${ip}:`, error.message);
+      });
+    }, this.holdTimeout);
+
+    this.holds.set(id, { ip, key, timer });
+  }
+
+  /**
+   * Drop a hold without contacting the device
+   */
+  _clear(id) {
+    const hold = this.holds.get(id);
+    if (hold) {
+      clearTimeout(hold.timer);
+      this.holds.delete(id);
+    }
+  }
+
+  _holdId(ip, key) {
+    return `${ip}|${key}`;
+  }
+}
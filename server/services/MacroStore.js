@@ -0,0 +1,80 @@
+import { randomUUID } from 'crypto';
+import { JsonStore } from './JsonStore.js';
+
+/**
+ * Persistent named macros. A macro is a key sequence (see RokuService.runSequence)
+ * that can be replayed on any device.
+ */
+export class MacroStore {
+  constructor(filePath) {
+    this.store = new JsonStore(filePath, { macros: {} });
+  }
+
+  /**
+   * List all macros, sorted by name
+   */
+  async list() {
+    const data = await this.store.load();
+    return Object.values(data.macros).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a macro by id
+   */
+  async get(id) {
+    const data = await this.store.load();
+    return data.macros[id] || null;
+  }
+
+  /**
+   * Create a macro
+   */
+  async create({ name, description = null, steps }) {
+    return this.store.update(data => {
+      const now = new Date().toISOString();
+      const macro = {
+        id: randomUUID(),
+        name,
+        description,
+        steps,
+        createdAt: now,
+        updatedAt: now
+      };
+      data.macros[macro.id] = macro;
+      return macro;
+    });
+  }
+
+  /**
+   * Update a macro's name, description or steps
+   */
+  async update(id, patch) {
+    return this.store.update(data => {
+      const macro = data.macros[id];
+      if (!macro) {
+        return null;
+      }
+
+      ['name', 'description', 'steps'].forEach(field => {
+        if (patch[field] !== undefined) {
+          macro[field] = patch[field];
+        }
+      });
+      macro.updatedAt = new Date().toISOString();
+      return macro;
+    });
+  }
+
+  /**
+   * Delete a macro
+   */
+  async remove(id) {
+    return this.store.update(data => {
+      if (!data.macros[id]) {
+        return false;
+      }
+      delete data.macros[id];
+      return true;
+    });
+  }
+}
@@ -0,0 +1,362 @@
+import mqtt from 'mqtt';
+import { matchApp } from './appMatcher.js';
+import { DeviceWatchSet } from './DeviceWatchSet.js';
+
+const DEFAULT_BASE_TOPIC = 'roku';
+const DEFAULT_DISCOVERY_PREFIX = 'homeassistant';
+const DEFAULT_SYNC_INTERVAL = 60000;
+const COMMANDS = ['key', 'launch', 'text', 'power'];
+// Remote buttons exposed to Home Assistant as button entities
+const BUTTON_KEYS = ['Home', 'Back', 'Select', 'Play', 'VolumeUp', 'VolumeDown', 'VolumeMute'];
+
+/**
+ * Bridges registered devices to an MQTT broker. Each device's state (from
+ * DeviceWatcher) is published to retained topics under <base>/<serial>/,
+ * commands are taken from <base>/<serial>/set/<command>, and Home Assistant
+ * discovery config groups a power switch, app and media sensors, a text
+ * input and remote buttons into one device.
+ */
+export class MqttBridge {
+  constructor(rokuService, deviceRegistry, deviceWatcher, powerManager, options = {}) {
+    this.rokuService = rokuService;
+    this.deviceRegistry = deviceRegistry;
+    this.deviceWatcher = deviceWatcher;
+    this.powerManager = powerManager;
+    this.url = options.url ?? process.env.MQTT_URL;
+    this.username = options.username ?? process.env.MQTT_USERNAME;
+    this.password = options.password ?? process.env.MQTT_PASSWORD;
+    this.baseTopic = options.baseTopic || process.env.MQTT_BASE_TOPIC || DEFAULT_BASE_TOPIC;
+    // An empty prefix turns discovery off
+    this.discoveryPrefix = options.discoveryPrefix ?? process.env.MQTT_DISCOVERY_PREFIX ?? DEFAULT_DISCOVERY_PREFIX;
+    this.syncInterval = options.syncInterval || parseInt(process.env.MQTT_SYNC_INTERVAL || DEFAULT_SYNC_INTERVAL);
+    this.client = null;
+    this.syncTimer = null;
+    // Keyed by topic id: { serial, address, device, published }
+    this.devices = new DeviceWatchSet(deviceWatcher, {
+      onState: (entry, state) => {
+        this._publishState(entry.key, state).catch(error => console.error(`MQTT publish failed for ${entry.serial}:`, error.message));
+      },
+      onAdd: async (entry) => {
+        entry.published = new Map();
+        await this._publishDiscovery(entry.key, entry.device);
+      },
+      onUpdate: async (entry, { device }) => {
+        if (this._describe(entry.device) !== this._describe(device)) {
+          entry.device = device;
+          await this._publishDiscovery(entry.key, device);
+        }
+      },
+      onRemove: entry => this._clear(entry.key)
+    });
+  }
+
+  /**
+   * Whether a broker is configured
+   */
+  get enabled() {
+    return Boolean(this.url);
+  }
+
+  /**
+   * Connect to the broker, subscribe to command topics and start
+   * publishing registered devices. Resolves once first connected; the
+   * client keeps reconnecting on its own after that.
+   */
+  start() {
+    if (!this.enabled || this.client) {
+      return Promise.resolve();
+    }
+
+    this.client = mqtt.connect(this.url, {
+      username: this.username || undefined,
+      password: this.password || undefined,
+      will: { topic: this._topic('bridge', 'status'), payload: 'offline', retain: true, qos: 1 }
+    });
+    this.client.on('message', (topic, payload) => this._onMessage(topic, payload.toString()));
+    // The client retries every second while the broker is down; log each error once
+    let lastError = null;
+    this.client.on('error', error => {
+      if (error.message !== lastError) {
+        console.error('MQTT error:', error.message);
+      }
+      lastError = error.message;
+    });
+    this.syncTimer = setInterval(() => this.sync().catch(error => console.error('MQTT sync failed:', error.message)), this.syncInterval);
+
+    // Everything is republished on every (re)connect in case the broker lost retained messages
+    return new Promise(resolve => {
+      this.client.on('connect', () => {
+        lastError = null;
+        resolve(this._onConnect().catch(error => console.error('MQTT setup failed:', error.message)));
+      });
+    });
+  }
+
+  /**
+   * Stop watching devices, mark the bridge offline and disconnect
+   */
+  async stop() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+    this.devices.clear();
+
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      if (client.connected) {
+        await client.publishAsync(this._topic('bridge', 'status'), 'offline', { retain: true, qos: 1 }).catch(() => {});
+      }
+      await client.endAsync(!client.connected);
+    }
+  }
+
+  /**
+   * Match the published devices to the registry: start publishing new
+   * devices, follow address changes and clear topics of removed ones.
+   * Call after changing the registry; it also runs every syncInterval ms.
+   */
+  sync() {
+    return this.devices.sync(async () => {
+      if (!this.client) {
+        return null;
+      }
+      const registered = (await this.deviceRegistry.list()).filter(device => device.serial && device.ip);
+      const targets = new Map();
+      for (const device of registered) {
+        const address = await this.deviceRegistry.resolveAddress(device.serial);
+        targets.set(this._topicId(device.serial), { serial: device.serial, address, device });
+      }
+      return targets;
+    });
+  }
+
+  /**
+   * Announce the bridge, subscribe to commands and (re)publish everything
+   */
+  async _onConnect() {
+    if (!this.client) {
+      return;
+    }
+    await this.client.publishAsync(this._topic('bridge', 'status'), 'online', { retain: true, qos: 1 });
+    await this.client.subscribeAsync(this._topic('+', 'set', '+'), { qos: 1 });
+
+    for (const entry of this.devices) {
+      entry.published.clear();
+      await this._publishDiscovery(entry.key, entry.device);
+      const state = this.deviceWatcher.getState(entry.address);
+      if (state) {
+        await this._publishState(entry.key, state);
+      }
+    }
+    await this.sync();
+  }
+
+  /**
+   * Publish a device's state topics, skipping ones whose payload hasn't changed
+   */
+  async _publishState(id, state) {
+    const app = state.activeApp;
+    const payloads = {
+      availability: state.online ? 'online' : 'offline',
+      power: state.online && state.powerMode === 'PowerOn' ? 'ON' : 'OFF',
+      app: app ? app.name : 'Home',
+      media: state.media?.state || 'close',
+      state: JSON.stringify({
+        online: state.online,
+        powerMode: state.powerMode,
+        activeApp: app || null,
+        media: state.media || null,
+        updatedAt: state.updatedAt
+      })
+    };
+
+    const entry = this.devices.get(id);
+    for (const [name, payload] of Object.entries(payloads)) {
+      if (!entry || !this.client || entry.published.get(name) === payload) {
+        continue;
+      }
+      entry.published.set(name, payload);
+      await this.client.publishAsync(this._topic(id, name), payload, { retain: true, qos: 1 });
+    }
+  }
+
+  /**
+   * Publish Home Assistant discovery config for a device's entities
+   */
+  async _publishDiscovery(id, device) {
+    if (!this.discoveryPrefix || !this.client) {
+      return;
+    }
+    for (const [component, objectId, config] of this._discoveryConfigs(id, device)) {
+      await this.client.publishAsync(this._discoveryTopic(component, id, objectId), JSON.stringify(config), { retain: true, qos: 1 });
+    }
+  }
+
+  /**
+   * [component, objectId, config] for each entity of a device
+   */
+  _discoveryConfigs(id, device) {
+    const uniqueId = `roku_${id}`;
+    const common = {
+      availability: [
+        { topic: this._topic('bridge', 'status') },
+        { topic: this._topic(id, 'availability') }
+      ],
+      availability_mode: 'all',
+      device: {
+        identifiers: [uniqueId],
+        name: device.nickname || device.name || `Roku ${device.serial}`,
+        manufacturer: 'Roku',
+        model: device.model || undefined,
+        serial_number: device.serial,
+        suggested_area: device.room || undefined
+      }
+    };
+    const entity = (objectId, config) => ({ ...common, unique_id: `${uniqueId}_${objectId}`, object_id: `${uniqueId}_${objectId}`, ...config });
+
+    return [
+      ['switch', 'power', entity('power', {
+        name: 'Power',
+        state_topic: this._topic(id, 'power'),
+        command_topic: this._topic(id, 'set', 'power'),
+        payload_on: 'on',
+        payload_off: 'off',
+        state_on: 'ON',
+        state_off: 'OFF',
+        icon: 'mdi:television'
+      })],
+      ['sensor', 'app', entity('app', {
+        name: 'Active app',
+        state_topic: this._topic(id, 'app'),
+        json_attributes_topic: this._topic(id, 'state'),
+        icon: 'mdi:application'
+      })],
+      ['sensor', 'media', entity('media', {
+        name: 'Media state',
+        state_topic: this._topic(id, 'media'),
+        icon: 'mdi:play-pause'
+      })],
+      ['text', 'launch', entity('launch', {
+        name: 'Launch app',
+        command_topic: this._topic(id, 'set', 'launch'),
+        icon: 'mdi:rocket-launch'
+      })],
+      ['text', 'text', entity('text', {
+        name: 'Type text',
+        command_topic: this._topic(id, 'set', 'text'),
+        icon: 'mdi:keyboard'
+      })],
+      ...BUTTON_KEYS.map(key => ['button', `key_${key.toLowerCase()}`, entity(`key_${key.toLowerCase()}`, {
+        name: key.replace(/([a-z])([A-Z])/g, '$1 $2'),
+        command_topic: this._topic(id, 'set', 'key'),
+        payload_press: key
+      })])
+    ];
+  }
+
+  /**
+   * Remove the retained state and discovery topics of a device
+   */
+  async _clear(id) {
+    if (!this.client) {
+      return;
+    }
+    const topics = ['availability', 'power', 'app', 'media', 'state'].map(name => this._topic(id, name));
+    if (this.discoveryPrefix) {
+      this._discoveryConfigs(id, { serial: id }).forEach(([component, objectId]) => {
+        topics.push(this._discoveryTopic(component, id, objectId));
+      });
+    }
+    for (const topic of topics) {
+      await this.client.publishAsync(topic, '', { retain: true, qos: 1 });
+    }
+  }
+
+  /**
+   * Handle a message on <base>/<id>/set/<command>
+   */
+  async _onMessage(topic, payload) {
+    const [id, set, command, ...rest] = topic.slice(this.baseTopic.length + 1).split('/');
+    const entry = this.devices.get(id);
+    if (set !== 'set' || rest.length || !COMMANDS.includes(command)) {
+      return;
+    }
+    if (!entry) {
+      console.warn(`MQTT command for unknown device ${id}`);
+      return;
+    }
+
+    try {
+      await this._runCommand(entry, command, payload.trim());
+    } catch (error) {
+      console.error(`MQTT ${command} command for ${entry.serial} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Carry out a command on a device.
+   * key: a key name; text: text to type; power: on, off or toggle;
+   * launch: an app id or name, or JSON { app, contentId, mediaType }.
+   */
+  async _runCommand(entry, command, payload) {
+    const { address } = entry;
+
+    switch (command) {
+      case 'key':
+        return this.rokuService.keypress(address, payload);
+      case 'text':
+        return this.rokuService.text(address, payload);
+      case 'power': {
+        const state = payload.toLowerCase();
+        if (!this.powerManager.isValidState(state)) {
+          throw new Error(`Unknown power state "${payload}"`);
+        }
+        return this.powerManager.setPower(address, state, { macs: await this.deviceRegistry.knownMacs(address) });
+      }
+      case 'launch': {
+        let query = payload;
+        let params = {};
+        if (payload.startsWith('{')) {
+          ({ app: query, ...params } = JSON.parse(payload));
+          const paramsError = this.rokuService.validateLaunchParams(params);
+          if (paramsError) {
+            throw new Error(paramsError);
+          }
+        }
+        const { app, candidates } = matchApp(await this.rokuService.getApps(address), String(query ?? ''));
+        if (!app) {
+          throw new Error(candidates.length ? `"${query}" matches several apps` : `No app matches "${query}"`);
+        }
+        return this.rokuService.launch(address, app.id, params);
+      }
+    }
+  }
+
+  /**
+   * Fields of a registered device that appear in discovery config
+   */
+  _describe(device) {
+    return JSON.stringify([device.nickname, device.name, device.model, device.room]);
+  }
+
+  /**
+   * Topic under the base topic
+   */
+  _topic(...parts) {
+    return [this.baseTopic, ...parts].join('/');
+  }
+
+  /**
+   * Home Assistant discovery topic for one entity
+   */
+  _discoveryTopic(component, id, objectId) {
+    return `${this.discoveryPrefix}/${component}/roku_${id}/${objectId}/config`;
+  }
+
+  /**
+   * Serial number made safe for use as a topic level
+   */
+  _topicId(serial) {
+    return String(serial).replace(/[^A-Za-z0-9_-]/g, '_');
+  }
+}
@@ -0,0 +1,101 @@
+import { WakeOnLan } from './WakeOnLan.js';
+import { ValidationError, DeviceError } from './errors.js';
+
+const DEFAULT_WAKE_TIMEOUT = 30000;
+const WAKE_POLL_INTERVAL = 1000;
+// A device that doesn't answer device-info this quickly is treated as off
+const PROBE_TIMEOUT = 2000;
+const POWER_STATES = ['on', 'off', 'toggle'];
+
+/**
+ * Explicit power control. Reads power-mode from device-info before acting so
+ * "on" and "off" are idempotent, and falls back to Wake-on-LAN when the device
+ * is unreachable (deep standby turns the network off on most Roku TVs).
+ */
+export class PowerManager {
+  constructor(rokuService, wakeOnLan, options = {}) {
+    this.rokuService = rokuService;
+    this.wakeOnLan = wakeOnLan;
+    this.wakeTimeout = options.wakeTimeout || parseInt(process.env.WAKE_TIMEOUT || DEFAULT_WAKE_TIMEOUT);
+  }
+
+  /**
+   * Whether a requested power state is valid
+   */
+  isValidState(state) {
+    return POWER_STATES.includes(state);
+  }
+
+  /**
+   * Turn a device on or off, or toggle it.
+   * macs are used for Wake-on-LAN if the device doesn't answer.
+   * Resolves to { state, changed, wokeOnLan, previousPowerMode, powerMode }.
+   */
+  async setPower(ip, state, { macs = [] } = {}) {
+    const previousPowerMode = await this._readPowerMode(ip);
+    const isOn = previousPowerMode === 'PowerOn';
+    const target = state === 'toggle' ? (isOn ? 'off' : 'on') : state;
+    const result = { state: target, changed: false, wokeOnLan: false, previousPowerMode, powerMode: previousPowerMode };
+
+    if (target === 'off') {
+      // Unreachable or already in standby counts as off
+      if (isOn) {
+        await this.rokuService.keypress(ip, 'PowerOff');
+        result.changed = true;
+        result.powerMode = await this._readPowerMode(ip);
+      }
+      return result;
+    }
+
+    if (isOn) {
+      return result;
+    }
+
+    if (previousPowerMode === null) {
+      await this.wake(ip, macs);
+      result.wokeOnLan = true;
+    }
+
+    await this.rokuService.keypress(ip, 'PowerOn');
+    result.changed = true;
+    result.powerMode = await this._readPowerMode(ip);
+    return result;
+  }
+
+  /**
+   * Send magic packets to every known MAC and wait for the device to answer.
+   * Throws a ValidationError (NO_MAC_ADDRESS) with no usable MAC, or a
+   * DeviceError (DEVICE_TIMEOUT) if the device never comes up.
+   */
+  async wake(ip, macs) {
+    const targets = [...new Set(macs.filter(mac => WakeOnLan.parseMac(mac)))];
+    if (targets.length === 0) {
+      throw new ValidationError('Device is unreachable and no MAC address is known for Wake-on-LAN. Query its device info while it is on, or pass a mac.', 'NO_MAC_ADDRESS');
+    }
+
+    const deadline = Date.now() + this.wakeTimeout;
+    while (Date.now() < deadline) {
+      // Keep sending: the first packets can be lost while the NIC settles
+      await Promise.all(targets.map(mac => this.wakeOnLan.send(mac)));
+      await new Promise(resolve => setTimeout(resolve, WAKE_POLL_INTERVAL));
+      if (await this._readPowerMode(ip) !== null) {
+        return;
+      }
+    }
+
+    throw new DeviceError(`Device did not wake within ${Math.round(this.wakeTimeout / 1000)}s`, 'DEVICE_TIMEOUT', { address: ip });
+  }
+
+  /**
+   * Current power-mode, or null if the device doesn't answer. One short
+   * attempt, so Wake-on-LAN isn't held up by retries.
+   */
+  async _readPowerMode(ip) {
+    try {
+      const info = await this.rokuService.getDeviceInfo(ip, { fresh: true, retry: false, timeout: PROBE_TIMEOUT });
+      return info.powerMode || 'PowerOn';
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -1,26 +1,156 @@
+import http from 'http';
 import axios from 'axios';
 import { parseStringPromise } from 'xml2js';
+import { DeviceAddressPolicy } from './DeviceAddressPolicy.js';
+import { DeviceCommandQueue } from './DeviceCommandQueue.js';
+import { TtlCache } from './TtlCache.js';
+import { DeviceError, ValidationError } from './errors.js';
+
+// Remote keys ECP accepts (besides Lit_<char>)
+const KEYS = [
+  'Home', 'Rev', 'Fwd', 'Play', 'Pause', 'Select', 'Left', 'Right', 'Down', 'Up', 'Back',
+  'InstantReplay', 'Info', 'Backspace', 'Search', 'Enter', 'FindRemote',
+  'VolumeDown', 'VolumeMute', 'VolumeUp', 'PowerOff', 'PowerOn', 'Power',
+  'ChannelUp', 'ChannelDown', 'InputTuner', 'InputHDMI1', 'InputHDMI2',
+  'InputHDMI3', 'InputHDMI4', 'InputAV1'
+];
+const KEYS_BY_NAME = new Map(KEYS.map(key => [key.toLowerCase(), key]));
+// Channel ids are numeric; built-ins look like "tvinput.hdmi1" or "dev"
+const APP_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const DEFAULT_STEP_DELAY = 100;
+const DEFAULT_TIMEOUT = 5000;
+// Idle keep-alive connections are closed after this long
+const KEEP_ALIVE_TIMEOUT = 3000;
+const DEFAULT_DEVICE_INFO_TTL = 30 * 1000;
+const DEFAULT_APPS_TTL = 5 * 60 * 1000;
+const DEFAULT_CHAR_DELAY = 50;
+// Control characters in text that map to remote keys instead of literals
+const TEXT_CONTROL_KEYS = {
+  '\b': 'Backspace',
+  '\x7f': 'Backspace',
+  '\n': 'Enter',
+  '\r': 'Enter'
+};
+const MAX_SEQUENCE_STEPS = 200;
+
+const MAX_STEP_REPEAT = 100;
+const MAX_STEP_DELAY = 60000;
+const STEP_ACTIONS = ['key', 'keydown', 'keyup', 'text', 'launch', 'wait', 'waitFor'];
+const WAIT_CONDITIONS = ['activeApp', 'media', 'powerMode'];
+const DEFAULT_WAIT_TIMEOUT = 15000;
+const MAX_WAIT_TIMEOUT = 120000;
+const WAIT_POLL_INTERVAL = 500;
+// mediaType values defined by Roku's deep linking spec
+const MEDIA_TYPES = ['movie', 'episode', 'season', 'series', 'shortFormVideo', 'tvSpecial', 'live', 'special'];
+// Content types understood by ECP /search/browse
+const SEARCH_TYPES = ['movie', 'tv-show', 'person', 'channel', 'game'];
+// Input switching keys on Roku TVs
+const TV_INPUT_KEYS = ['InputTuner', 'InputHDMI1', 'InputHDMI2', 'InputHDMI3', 'InputHDMI4', 'InputAV1'];
+// Built-in app that hosts the antenna tuner
+const TUNER_APP_ID = 'tvinput.dtv';
+
+/**
+ * Lit_ key for one character (a single well-formed code point)
+ */
+const literalKey = (char) => `Lit_${encodeURIComponent(char)}`;
+
+/**
+ * @typedef {Object} DeviceInfo
+ * @property {string} serial
+ * @property {string} deviceId
+ * @property {string} vendor
+ * @property {string} modelName
+ * @property {string} modelNumber
+ * @property {string} friendlyModelName
+ * @property {string} friendlyName
+ * @property {string} softwareVersion
+ * @property {string} softwareBuild
+ * @property {number|null} uptime - seconds since boot
+ * @property {boolean} isTv
+ * @property {boolean} isStick
+ * @property {string|null} powerMode - e.g. PowerOn, DisplayOff, Headless
+ * @property {string|null} networkType - wifi or ethernet
+ * @property {string|null} networkName
+ * @property {string|null} wifiMac
+ * @property {string|null} ethernetMac
+ * @property {string[]} capabilities - derived feature flags, see _deriveCapabilities
+ */
+
+/**
+ * @typedef {Object} TvChannel
+ * @property {string} number - e.g. "5.1"
+ * @property {string|null} name
+ * @property {string|null} type - e.g. air-digital, air-analog
+ * @property {boolean} hidden - hidden by the user in the channel guide
+ */
 
 export class RokuService {
-  constructor() {
-    this.timeout = 5000;
+  constructor(options = {}) {
+    this.timeout = options.timeout || parseInt(process.env.DEVICE_TIMEOUT || DEFAULT_TIMEOUT);
+    this.addressPolicy = options.addressPolicy || new DeviceAddressPolicy();
+    this.queue = options.queue || new DeviceCommandQueue();
+    this.agent = new http.Agent({ keepAlive: true, timeout: KEEP_ALIVE_TIMEOUT });
+    this.cache = options.cache || new TtlCache();
+    this.deviceInfoTtl = options.deviceInfoTtl ?? parseInt(process.env.DEVICE_INFO_TTL || DEFAULT_DEVICE_INFO_TTL);
+    this.appsTtl = options.appsTtl ?? parseInt(process.env.APPS_TTL || DEFAULT_APPS_TTL);
+  }
+
+  /**
+   * Command queue stats for a device: depth, counters and last error
+   */
+  queueStats(ip) {
+    return this.queue.stats(this._deviceKey(ip)) ||
+      { device: this._deviceKey(ip), depth: 0, completed: 0, failed: 0, retried: 0, coalesced: 0, lastError: null, lastSuccessAt: null };
   }
 
   /**
-   * Get device information
+   * Unexpired cached device-info, without asking the device
    */
-  async getDeviceInfo(ip) {
+  cachedDeviceInfo(ip) {
+    return this.cache.get(this._cacheKey('device-info', ip));
+  }
+
+  /**
+   * Get device information, cached for deviceInfoTtl ms.
+   * Pass fresh for anything that needs current state (e.g. power-mode), and
+   * retry: false with a short timeout to probe whether the device answers at all.
+   * A new software version also drops the cached app list.
+   * @returns {Promise<DeviceInfo>}
+   */
+  async getDeviceInfo(ip, { fresh = false, retry = true, timeout } = {}) {
+    const key = this._cacheKey('device-info', ip);
+    const cached = !fresh && this.cachedDeviceInfo(ip);
+    if (cached) {
+      return cached;
+    }
+
     const url = this._buildUrl(ip, '/query/device-info');
-    return this._makeRequest('GET', url);
+    const xml = await this._makeRequest('GET', url, null, { retry, timeout });
+    const info = await this._parseDeviceInfoXml(xml);
+
+    const previous = this.cache.peek(key);
+    if (previous && (previous.softwareVersion !== info.softwareVersion || previous.softwareBuild !== info.softwareBuild)) {
+      this.cache.delete(this._cacheKey('apps', ip));
+    }
+    this.cache.set(key, info, this.deviceInfoTtl);
+    return info;
   }
 
   /**
-   * Get list of installed apps
+   * Get list of installed apps, cached for appsTtl ms unless fresh is set
    */
-  async getApps(ip) {
+  async getApps(ip, { fresh = false } = {}) {
+    const key = this._cacheKey('apps', ip);
+    const cached = !fresh && this.cache.get(key);
+    if (cached) {
+      return cached;
+    }
+
     const url = this._buildUrl(ip, '/query/apps');
     const xml = await this._makeRequest('GET', url);
-    return this._parseAppsXml(xml);
+    const apps = await this._parseAppsXml(xml);
+    this.cache.set(key, apps, this.appsTtl);
+    return apps;
   }
 
   /**
@@ -29,41 +159,291 @@ export class RokuService {
   async getActiveApp(ip) {
     const url = this._buildUrl(ip, '/query/active-app');
     const xml = await this._makeRequest('GET', url);
-    return this._parseActiveAppXml(xml);
+    const app = await this._parseActiveAppXml(xml);
+    if (app) {
+      this._noteAppId(ip, app.id);
+    }
+    return app;
+  }
+
+  /**
+   * Drop cached device-info and apps for a device
+   */
+  invalidateCache(ip) {
+    this.cache.delete(this._cacheKey('device-info', ip));
+    this.cache.delete(this._cacheKey('apps', ip));
+  }
+
+  /**
+   * Get the antenna channel lineup of a Roku TV
+   * @returns {Promise<TvChannel[]>}
+   */
+  async getTvChannels(ip) {
+    const url = this._buildUrl(ip, '/query/tv-channels');
+    const xml = await this._makeRequest('GET', url);
+    return this._parseTvChannelsXml(xml);
+  }
+
+  /**
+   * Get the tuned antenna channel and its current program.
+   * activeInput is false when the TV is showing another input.
+   * Returns null if the TV has never been tuned.
+   */
+  async getActiveTvChannel(ip) {
+    const url = this._buildUrl(ip, '/query/tv-active-channel');
+    const xml = await this._makeRequest('GET', url);
+    return this._parseTvActiveChannelXml(xml);
+  }
+
+  /**
+   * Tune a Roku TV to an antenna channel (switches to the tuner input)
+   */
+  async tuneChannel(ip, number) {
+    return this.launch(ip, TUNER_APP_ID, { ch: number });
+  }
+
+  /**
+   * Switch a Roku TV's input. Accepts a tvinput.* app id (as listed in the
+   * apps with type tvin) or one of the Input* keys, e.g. InputHDMI2.
+   */
+  async selectTvInput(ip, input) {
+    if (TV_INPUT_KEYS.includes(input)) {
+      return this.keypress(ip, input);
+    }
+    if (typeof input === 'string' && input.startsWith('tvinput.')) {
+      return this.launch(ip, input);
+    }
+    throw new ValidationError(`Unknown TV input "${input}"`, 'INVALID_INPUT');
+  }
+
+  /**
+   * Whether selectTvInput accepts the value
+   */
+  isValidTvInput(input) {
+    return TV_INPUT_KEYS.includes(input) || (typeof input === 'string' && /^tvinput\.[\w.-]+$/.test(input));
   }
 
   /**
    * Send a keypress to the device
    */
   async keypress(ip, key) {
-    const url = this._buildUrl(ip, `/keypress/${key}`);
+    const normalized = this.normalizeKey(key);
+    const url = this._buildUrl(ip, `/keypress/${normalized}`);
+    const result = await this._makeRequest('POST', url, '');
+    if (normalized.startsWith('Power')) {
+      // Cached power-mode is now wrong
+      this.cache.delete(this._cacheKey('device-info', ip));
+    }
+    return result;
+  }
+
+  /**
+   * Press and hold a key on the device (release with keyup)
+   */
+  async keydown(ip, key) {
+    const url = this._buildUrl(ip, `/keydown/${this.normalizeKey(key)}`);
     return this._makeRequest('POST', url, '');
   }
 
   /**
-   * Send text to the device (character by character keypresses)
+   * Release a key held with keydown
    */
-  async text(ip, text) {
-    // For now, we'll send the text as a single payload
-    // Roku should accept URL-encoded characters
-    const encodedText = encodeURIComponent(text);
-    const url = this._buildUrl(ip, '/keypress/Lit_' + encodedText);
+  async keyup(ip, key) {
+    const url = this._buildUrl(ip, `/keyup/${this.normalizeKey(key)}`);
     return this._makeRequest('POST', url, '');
   }
 
   /**
-   * Launch an app
+   * Send text to the device as one Lit_ keypress per character.
+   * Roku only reads a single character per Lit_ key, so longer strings
+   * must be split. Backspace (\b) and newline (\n) are sent as the
+   * Backspace and Enter keys.
    */
-  async launch(ip, appId) {
-    const url = this._buildUrl(ip, `/launch/${appId}`);
+  async text(ip, text, { delay = DEFAULT_CHAR_DELAY, signal } = {}) {
+    // A lone surrogate can't be percent-encoded, so check before sending anything
+    if (typeof text !== 'string' || !text.isWellFormed()) {
+      throw new ValidationError('text must be a string of well-formed Unicode');
+    }
+    // for...of walks code points, so characters outside the BMP stay whole
+    const chars = Array.from(text.replace(/\r\n/g, '\n'));
+
+    for (const [index, char] of chars.entries()) {
+      this._throwIfAborted(signal);
+
+      const controlKey = TEXT_CONTROL_KEYS[char];
+      const key = controlKey || literalKey(char);
+      await this._makeRequest('POST', this._buildUrl(ip, `/keypress/${key}`), '');
+
+      if (delay > 0 && index < chars.length - 1) {
+        await this._sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Launch an app, optionally deep linking into content.
+   * params are passed through as query parameters, e.g. { contentId, mediaType }.
+   */
+  async launch(ip, appId, params = {}) {
+    const url = this._buildUrl(ip, `/launch/${this._checkAppId(appId)}${this._queryString(params)}`);
+    const result = await this._makeRequest('POST', url, '');
+    this._noteAppId(ip, appId);
+    return result;
+  }
+
+  /**
+   * Send an input event to the running app (ECP /input).
+   * The app receives params through its roInputEvent handler.
+   */
+  async input(ip, params) {
+    const url = this._buildUrl(ip, `/input${this._queryString(params)}`);
     return this._makeRequest('POST', url, '');
   }
 
+  /**
+   * Open Roku's universal search (ECP /search/browse).
+   * With launch set and a providerIds list, Roku starts playback in the
+   * first listed provider that has the match.
+   */
+  async search(ip, { keyword, title, type, tmsid, season, providerIds, launch, matchAny, showUnavailable } = {}) {
+    const params = {
+      keyword,
+      title,
+      type,
+      tmsid,
+      season,
+      'provider-id': Array.isArray(providerIds) ? providerIds.join(',') : providerIds,
+      launch: launch ? 'true' : undefined,
+      'match-any': matchAny ? 'true' : undefined,
+      'show-unavailable': showUnavailable ? 'true' : undefined
+    };
+    const url = this._buildUrl(ip, `/search/browse${this._queryString(params)}`);
+    return this._makeRequest('POST', url, '');
+  }
+
+  /**
+   * Validate a search query. Returns an error message, or null if valid.
+   */
+  validateSearch(query) {
+    if (!query || (!query.keyword && !query.title)) {
+      return 'keyword or title is required';
+    }
+    for (const field of ['keyword', 'title', 'tmsid']) {
+      if (query[field] !== undefined && typeof query[field] !== 'string') {
+        return `${field} must be a string`;
+      }
+    }
+    if (query.type !== undefined && !SEARCH_TYPES.includes(query.type)) {
+      return `type must be one of: ${SEARCH_TYPES.join(', ')}`;
+    }
+    if (query.season !== undefined && !(Number.isInteger(query.season) && query.season >= 1)) {
+      return 'season must be a positive integer';
+    }
+    if (query.season !== undefined && query.type !== 'tv-show') {
+      return 'season requires type "tv-show"';
+    }
+    if (query.providerIds !== undefined &&
+      !(Array.isArray(query.providerIds) && query.providerIds.every(id => typeof id === 'string' && id !== ''))) {
+      return 'providerIds must be an array of app ids';
+    }
+    if (query.launch && !query.providerIds?.length) {
+      return 'launch requires at least one providerId';
+    }
+    return null;
+  }
+
+  /**
+   * Canonical ECP form of a key: a known key name (any case) or Lit_ plus
+   * exactly one character, raw or percent-encoded. Throws a ValidationError otherwise.
+   */
+  normalizeKey(key) {
+    if (typeof key !== 'string') {
+      throw new ValidationError('key must be a string', 'INVALID_KEY');
+    }
+
+    const known = KEYS_BY_NAME.get(key.toLowerCase());
+    if (known) {
+      return known;
+    }
+
+    if (key.startsWith('Lit_')) {
+      let char;
+      try {
+        char = decodeURIComponent(key.slice(4));
+      } catch (error) {
+        char = null;
+      }
+      if (char && char.isWellFormed() && Array.from(char).length === 1) {
+        return literalKey(char);
+      }
+      throw new ValidationError(`"${key}" must be Lit_ followed by a single character`, 'INVALID_KEY');
+    }
+
+    throw new ValidationError(`Unknown key "${key}"`, 'INVALID_KEY');
+  }
+
+  /**
+   * Whether normalizeKey accepts a key
+   */
+  isValidKey(key) {
+    try {
+      this.normalizeKey(key);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether an app id has a valid format
+   */
+  isValidAppId(appId) {
+    return typeof appId === 'string' && APP_ID_PATTERN.test(appId);
+  }
+
+  _checkAppId(appId) {
+    if (!this.isValidAppId(appId)) {
+      throw new ValidationError(`Invalid app id "${appId}"`, 'INVALID_APP_ID');
+    }
+    return appId;
+  }
+
+  /**
+   * Validate deep link / input parameters. Returns an error message, or null if valid.
+   */
+  validateLaunchParams(params) {
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      return 'params must be an object';
+    }
+    for (const [name, value] of Object.entries(params)) {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        return `params.${name} must be a string, number or boolean`;
+      }
+    }
+    if (params.mediaType !== undefined && !MEDIA_TYPES.includes(params.mediaType)) {
+      return `mediaType must be one of: ${MEDIA_TYPES.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Get an app's icon image
+   * @returns {Promise<{data: Buffer, contentType: string}>}
+   */
+  async getAppIcon(ip, appId) {
+    const url = this._buildUrl(ip, `/query/icon/${this._checkAppId(appId)}`);
+    const response = await this._makeRequest('GET', url, null, { responseType: 'arraybuffer', raw: true });
+    return {
+      data: Buffer.from(response.data),
+      contentType: response.headers['content-type'] || 'image/png'
+    };
+  }
+
   /**
    * Get media player state
    */
   async getMediaPlayer(ip) {
-    const url = this._buildUrl(ip, '/query/media-search');
+    const url = this._buildUrl(ip, '/query/media-player');
     try {
       const xml = await this._makeRequest('GET', url);
       return this._parseMediaXml(xml);
@@ -74,46 +454,416 @@ export class RokuService {
   }
 
   /**
-   * Build Roku API URL
+   * Validate a key sequence. Returns an error message, or null if valid.
    */
-  _buildUrl(ip, endpoint) {
-    // Handle IP with or without port
-    const baseUrl = ip.includes(':') ? ip : `${ip}:8060`;
-    return `http://${baseUrl}${endpoint}`;
+  validateSequence(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return 'steps must be a non-empty array';
+    }
+    if (steps.length > MAX_SEQUENCE_STEPS) {
+      return `A sequence can have at most ${MAX_SEQUENCE_STEPS} steps`;
+    }
+
+    for (const [index, step] of steps.entries()) {
+      const actions = STEP_ACTIONS.filter(action => step && step[action] !== undefined);
+      if (actions.length !== 1) {
+        return `Step ${index + 1} must have exactly one of: ${STEP_ACTIONS.join(', ')}`;
+      }
+      if (!this._isValidStepValue(actions[0], step[actions[0]])) {
+        return `Step ${index + 1} has an invalid ${actions[0]} value`;
+      }
+      if (step.params !== undefined) {
+        const paramsError = actions[0] === 'launch' ? this.validateLaunchParams(step.params) : 'params is only allowed on launch steps';
+        if (paramsError) {
+          return `Step ${index + 1}: ${paramsError}`;
+        }
+      }
+      if (step.timeout !== undefined && !(Number.isInteger(step.timeout) && step.timeout > 0 && step.timeout <= MAX_WAIT_TIMEOUT)) {
+        return `Step ${index + 1}: timeout must be an integer from 1 to ${MAX_WAIT_TIMEOUT} ms`;
+      }
+      if (step.repeat !== undefined && !(Number.isInteger(step.repeat) && step.repeat >= 1 && step.repeat <= MAX_STEP_REPEAT)) {
+        return `Step ${index + 1}: repeat must be an integer from 1 to ${MAX_STEP_REPEAT}`;
+      }
+      if (step.delay !== undefined && !(Number.isInteger(step.delay) && step.delay >= 0 && step.delay <= MAX_STEP_DELAY)) {
+        return `Step ${index + 1}: delay must be an integer from 0 to ${MAX_STEP_DELAY} ms`;
+      }
+    }
+
+    return null;
+  }
+
+  _isValidStepValue(action, value) {
+    if (action === 'wait') {
+      return Number.isInteger(value) && value >= 0 && value <= MAX_STEP_DELAY;
+    }
+    if (action === 'waitFor') {
+      return value !== null && typeof value === 'object' &&
+        Object.keys(value).length > 0 &&
+        Object.entries(value).every(([condition, expected]) =>
+          WAIT_CONDITIONS.includes(condition) && (typeof expected === 'string' || expected === null));
+    }
+    if (action === 'key' || action === 'keydown' || action === 'keyup') {
+      return this.isValidKey(value);
+    }
+    if (action === 'launch') {
+      return this.isValidAppId(value);
+    }
+    return typeof value === 'string' && value !== '' && value.isWellFormed();
   }
 
   /**
-   * Make HTTP request with error handling
+   * Number of device commands a sequence will send (repeats included)
    */
-  async _makeRequest(method, url, data = null) {
+  countSequenceCommands(steps) {
+    return steps.reduce((total, step) => total + this._stepRepeat(step), 0);
+  }
+
+  /**
+   * Run a key sequence in order with per-step pacing.
+   * Each step is one of { key }, { keydown }, { keyup }, { text }, { launch, params }, { wait: ms }
+   * or { waitFor: { activeApp, media, powerMode }, timeout }, with optional repeat (count)
+   * and delay (ms after each command).
+   * Keys still held when the sequence stops (cancelled or failed) are released.
+   */
+  async runSequence(ip, steps, { signal, onProgress, defaultDelay = DEFAULT_STEP_DELAY } = {}) {
+    const total = this.countSequenceCommands(steps);
+    const held = new Set();
+    let completed = 0;
+
     try {
-      const config = {
-        method,
-        url,
-        timeout: this.timeout,
-        validateStatus: () => true // Don't throw on any status
-      };
+      for (const [index, step] of steps.entries()) {
+        const repeat = this._stepRepeat(step);
+        // Conditions already pace themselves, so they only delay when asked to
+        const delay = step.delay ?? (step.waitFor !== undefined ? 0 : defaultDelay);
+
+        for (let i = 0; i < repeat; i++) {
+          this._throwIfAborted(signal);
 
-      if (data) {
-        config.data = data;
+          if (step.wait !== undefined) {
+            await this._sleep(step.wait, signal);
+          } else if (step.waitFor !== undefined) {
+            await this._waitForCondition(ip, step.waitFor, step.timeout || DEFAULT_WAIT_TIMEOUT, signal);
+          } else {
+            await this._runStep(ip, step, held, signal);
+          }
+
+          completed++;
+          if (onProgress) {
+            onProgress({ step: index, repeat: i + 1, completed, total });
+          }
+
+          const isLast = index === steps.length - 1 && i === repeat - 1;
+          if (!isLast && step.wait === undefined && delay > 0) {
+            await this._sleep(delay, signal);
+          }
+        }
       }
+    } finally {
+      await Promise.allSettled(Array.from(held).map(key => this.keyup(ip, key)));
+    }
+
+    return { completed, total };
+  }
 
-      const response = await axios(config);
+  _stepRepeat(step) {
+    return step.wait !== undefined || step.waitFor !== undefined ? 1 : step.repeat || 1;
+  }
+
+  /**
+   * Poll the device until every condition matches or the timeout passes.
+   * activeApp matches an app id or name (null means the home screen),
+   * media matches the player state, powerMode matches device-info power-mode.
+   */
+  async _waitForCondition(ip, conditions, timeout, signal) {
+    const deadline = Date.now() + timeout;
 
-      if (response.status >= 400) {
-        throw new Error(`Roku API error: ${response.status} ${response.statusText}`);
+    while (true) {
+      this._throwIfAborted(signal);
+      if (await this._conditionsMet(ip, conditions)) {
+        return;
       }
+      if (Date.now() + WAIT_POLL_INTERVAL > deadline) {
+        throw new Error(`Timed out after ${timeout}ms waiting for ${JSON.stringify(conditions)}`);
+      }
+      await this._sleep(WAIT_POLL_INTERVAL, signal);
+    }
+  }
+
+  async _conditionsMet(ip, conditions) {
+    const matches = (actual, expected) =>
+      String(actual ?? '').toLowerCase() === String(expected ?? '').toLowerCase();
+
+    if (conditions.activeApp !== undefined) {
+      const app = await this.getActiveApp(ip);
+      const ok = conditions.activeApp === null
+        ? app === null
+        : app !== null && (matches(app.id, conditions.activeApp) || matches(app.name, conditions.activeApp));
+      if (!ok) return false;
+    }
+
+    if (conditions.media !== undefined) {
+      const media = await this.getMediaPlayer(ip);
+      if (!matches(media.available ? media.state : null, conditions.media)) return false;
+    }
+
+    if (conditions.powerMode !== undefined) {
+      const info = await this.getDeviceInfo(ip, { fresh: true });
+      if (!matches(info.powerMode, conditions.powerMode)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Execute a single sequence step
+   */
+  async _runStep(ip, step, held, signal) {
+    if (step.key !== undefined) {
+      return this.keypress(ip, step.key);
+    }
+    if (step.keydown !== undefined) {
+      held.add(step.keydown);
+      return this.keydown(ip, step.keydown);
+    }
+    if (step.keyup !== undefined) {
+      held.delete(step.keyup);
+      return this.keyup(ip, step.keyup);
+    }
+    if (step.text !== undefined) {
+      return this.text(ip, step.text, { signal });
+    }
+    if (step.launch !== undefined) {
+      return this.launch(ip, step.launch, step.params);
+    }
+  }
+
+  /**
+   * Wait for a number of milliseconds, rejecting early if aborted
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      this._throwIfAborted(signal);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this._abortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  _throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw this._abortError();
+    }
+  }
+
+  _abortError() {
+    const error = new Error('Sequence cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Build Roku API URL
+   */
+  _buildUrl(ip, endpoint) {
+    // Throws for anything that isn't a private-network device address
+    return `${this.addressPolicy.parse(ip).baseUrl}${endpoint}`;
+  }
+
+  /**
+   * Cache key for a kind of query on a device
+   */
+  _cacheKey(type, ip) {
+    return `${type} ${this._deviceKey(ip)}`;
+  }
+
+  /**
+   * An app id seen on the device that isn't in the cached app list means
+   * something was installed, so the list is stale
+   */
+  _noteAppId(ip, appId) {
+    const key = this._cacheKey('apps', ip);
+    const apps = this.cache.peek(key);
+    if (apps && !apps.some(app => app.id === appId)) {
+      this.cache.delete(key);
+    }
+  }
+
+  /**
+   * Queue key for a device address ("host:port")
+   */
+  _deviceKey(ip) {
+    return new URL(this.addressPolicy.parse(ip).baseUrl).host;
+  }
+
+  /**
+   * Make an HTTP request through the device's command queue. Queries (GET)
+   * are retried on transient failures, and shared with an identical query
+   * that is still last in the queue.
+   */
+  async _makeRequest(method, url, data = null, options = {}) {
+    // Probes (retry: false) are neither retried nor shared with a query that may be
+    const idempotent = method === 'GET' && options.retry !== false;
+    return this.queue.run(new URL(url).host, () => this._send(method, url, data, options), {
+      idempotent,
+      coalesceKey: idempotent ? `${url} ${options.responseType || ''} ${Boolean(options.raw)}` : null,
+      isTransient: error => error instanceof DeviceError && error.transient
+    });
+  }
 
-      return response.data;
+  /**
+   * Send one HTTP request, turning failures into DeviceErrors
+   */
+  async _send(method, url, data, options) {
+    const config = {
+      method,
+      url,
+      timeout: options.timeout || this.timeout,
+      httpAgent: this.agent,
+      responseType: options.responseType,
+      validateStatus: () => true // Don't throw on any status
+    };
+
+    if (data) {
+      config.data = data;
+    }
+
+    let response;
+    try {
+      response = await axios(config);
     } catch (error) {
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error(`Cannot connect to Roku device at ${url}. Check IP address and that device is powered on.`);
-      }
-      if (error.code === 'ETIMEDOUT' || error.code === 'ENOTFOUND') {
-        throw new Error(`Connection timeout to Roku device. Check network connectivity.`);
+      throw this._deviceError(error, new URL(url).host);
+    }
+
+    if (response.status >= 400) {
+      throw new DeviceError(`Roku API error: ${response.status} ${response.statusText}`, 'DEVICE_HTTP_ERROR', {
+        address: new URL(url).host,
+        status: response.status
+      });
+    }
+
+    return options.raw ? response : response.data;
+  }
+
+  /**
+   * Classify a network error
+   */
+  _deviceError(error, address) {
+    switch (error.code) {
+      case 'ECONNABORTED':
+      case 'ETIMEDOUT':
+        return new DeviceError(`Connection timeout to Roku device at ${address}. Check network connectivity.`, 'DEVICE_TIMEOUT', { address });
+      case 'ECONNREFUSED':
+        return new DeviceError(`Cannot connect to Roku device at ${address}. Check IP address and that device is powered on.`, 'DEVICE_REFUSED', { address });
+      case 'EHOSTUNREACH':
+      case 'ENETUNREACH':
+      case 'EHOSTDOWN':
+        return new DeviceError(`Roku device at ${address} is unreachable. Check it's on the same network.`, 'DEVICE_UNREACHABLE', { address });
+      case 'ECONNRESET':
+      case 'EPIPE':
+        return new DeviceError(`Roku device at ${address} closed the connection.`, 'DEVICE_CONNECTION_RESET', { address });
+      default:
+        return error;
+    }
+  }
+
+  /**
+   * Build a query string from params, skipping empty values
+   */
+  _queryString(params = {}) {
+    // Spaces go out as %20 (as in Roku's ECP examples), not URLSearchParams' '+'
+    const query = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(String(value))}`)
+      .join('&');
+    return query ? `?${query}` : '';
+  }
+
+  /**
+   * Parse device-info XML response into a DeviceInfo object
+   */
+  async _parseDeviceInfoXml(xml) {
+    const parsed = await parseStringPromise(xml, { explicitArray: false });
+    const raw = parsed?.['device-info'];
+
+    if (!raw || typeof raw !== 'object') {
+      throw new Error('Invalid device-info response from Roku device');
+    }
+
+    const text = (key) => (typeof raw[key] === 'string' && raw[key].trim() !== '' ? raw[key].trim() : null);
+    const flag = (key) => text(key) === 'true';
+    const number = (key) => (text(key) !== null && !isNaN(Number(text(key))) ? Number(text(key)) : null);
+
+    const info = {
+      serial: text('serial-number'),
+      deviceId: text('device-id'),
+      vendor: text('vendor-name'),
+      modelName: text('model-name'),
+      modelNumber: text('model-number'),
+      modelRegion: text('model-region'),
+      friendlyModelName: text('friendly-model-name') || text('model-name'),
+      friendlyName: text('user-device-name') || text('friendly-device-name') || text('default-device-name'),
+      location: text('user-device-location'),
+      softwareVersion: text('software-version'),
+      softwareBuild: text('software-build'),
+      uptime: number('uptime'),
+      isTv: flag('is-tv'),
+      isStick: flag('is-stick'),
+      screenSize: number('screen-size'),
+      uiResolution: text('ui-resolution'),
+      powerMode: text('power-mode'),
+      networkType: text('network-type'),
+      networkName: text('network-name'),
+      wifiMac: text('wifi-mac'),
+      ethernetMac: text('ethernet-mac'),
+      timeZone: text('time-zone'),
+      language: text('language'),
+      country: text('country'),
+      headphonesConnected: flag('headphones-connected'),
+      developerEnabled: flag('developer-enabled'),
+      supports: {
+        suspend: flag('supports-suspend'),
+        findRemote: flag('supports-find-remote') && text('find-remote-is-possible') !== 'false',
+        audioGuide: flag('supports-audio-guide'),
+        privateListening: flag('supports-private-listening'),
+        ethernet: flag('supports-ethernet'),
+        wakeOnWlan: flag('supports-wake-on-wlan'),
+        textEdit: flag('supports-ecs-textedit'),
+        audioSettings: flag('supports-audio-settings'),
+        voiceSearch: flag('voice-search-enabled'),
+        airplay: flag('supports-airplay')
       }
-      throw error;
+    };
+
+    info.capabilities = this._deriveCapabilities(info);
+    return info;
+  }
+
+  /**
+   * Derive the feature flags the UI uses to decide which controls to show
+   */
+  _deriveCapabilities(info) {
+    const capabilities = new Set(['remote', 'apps', 'text']);
+
+    if (info.isTv) {
+      capabilities.add('tv');
+      capabilities.add('tv-inputs');
     }
+    // Sticks and boxes can't change volume or power over ECP; TVs and soundbars can
+    if (info.isTv || info.supports.audioSettings) capabilities.add('volume');
+    if (info.isTv || info.supports.suspend) capabilities.add('power');
+    if (info.supports.findRemote) capabilities.add('find-remote');
+    if (info.supports.privateListening) capabilities.add('private-listening');
+    if (info.supports.textEdit) capabilities.add('text-edit');
+    if (info.supports.voiceSearch) capabilities.add('voice-search');
+    if (info.supports.wakeOnWlan || info.supports.ethernet) capabilities.add('wake-on-lan');
+
+    return Array.from(capabilities);
   }
 
   /**
@@ -148,7 +898,8 @@ export class RokuService {
       const parsed = await parseStringPromise(xml);
       const app = parsed['active-app']?.app?.[0];
       
-      if (!app) {
+      // Home screen reports a bare <app>Roku</app> with no id
+      if (!app || !app.$?.id) {
         return null; // Home screen active
       }
 
@@ -165,15 +916,125 @@ export class RokuService {
   }
 
   /**
-   * Parse media player XML response
+   * Parse /query/tv-channels into a list of channels
+   * @returns {Promise<TvChannel[]>}
+   */
+  async _parseTvChannelsXml(xml) {
+    const parsed = await parseStringPromise(xml, { explicitArray: false });
+    const channels = parsed?.['tv-channels']?.channel;
+    if (!channels) {
+      return [];
+    }
+    return (Array.isArray(channels) ? channels : [channels]).map(channel => this._parseTvChannel(channel));
+  }
+
+  /**
+   * Parse /query/tv-active-channel into the channel plus signal and program details
+   */
+  async _parseTvActiveChannelXml(xml) {
+    const parsed = await parseStringPromise(xml, { explicitArray: false });
+    const raw = parsed?.['tv-channel']?.channel;
+    if (!raw || typeof raw !== 'object') {
+      return null;
+    }
+
+    const text = (key) => (typeof raw[key] === 'string' && raw[key].trim() !== '' ? raw[key].trim() : null);
+    const quality = Number(text('signal-quality'));
+
+    return {
+      ...this._parseTvChannel(raw),
+      activeInput: text('active-input') === 'true',
+      signalState: text('signal-state'),
+      signalMode: text('signal-mode'),
+      signalQuality: text('signal-quality') !== null && !isNaN(quality) ? quality : null,
+      program: text('program-title') ? {
+        title: text('program-title'),
+        description: text('program-description'),
+        ratings: text('program-ratings'),
+        hasCaptions: text('program-has-cc') === 'true'
+      } : null
+    };
+  }
+
+  /**
+   * Common fields of a <channel> element
+   * @returns {TvChannel}
+   */
+  _parseTvChannel(raw) {
+    const text = (key) => (typeof raw[key] === 'string' && raw[key].trim() !== '' ? raw[key].trim() : null);
+    return {
+      number: text('number'),
+      name: text('name'),
+      type: text('type'),
+      hidden: text('user-hidden') === 'true'
+    };
+  }
+
+  /**
+   * Parse media player XML response into a normalized playback state.
+   * Times are in milliseconds.
    */
   async _parseMediaXml(xml) {
     try {
-      const parsed = await parseStringPromise(xml);
-      return parsed || { available: false };
+      const parsed = await parseStringPromise(xml, { explicitArray: false });
+      const player = parsed?.player;
+
+      if (!player) {
+        return { available: false };
+      }
+
+      const attrs = player.$ || {};
+      const plugin = player.plugin?.$;
+      const format = player.format?.$;
+      // Values look like "12345 ms"
+      const millis = (value) => {
+        const raw = typeof value === 'object' ? value?._ : value;
+        const match = String(raw ?? '').match(/(\d+)/);
+        return match ? parseInt(match[1]) : null;
+      };
+
+      return {
+        available: true,
+        state: this._normalizeMediaState(attrs.state),
+        error: attrs.error === 'true',
+        plugin: plugin ? {
+          id: plugin.id || null,
+          name: plugin.name || null,
+          bandwidth: plugin.bandwidth || null
+        } : null,
+        format: format ? {
+          audio: format.audio || null,
+          video: format.video || null,
+          container: format.container || null,
+          captions: format.captions || null,
+          drm: format.drm || null
+        } : null,
+        position: millis(player.position),
+        duration: millis(player.duration),
+        isLive: player.is_live === 'true' || player.is_live?._ === 'true'
+      };
     } catch (error) {
       console.error('Error parsing media XML:', error);
       return { available: false };
     }
   }
+
+  /**
+   * Map raw player states onto play, pause, buffering, stop or close
+   */
+  _normalizeMediaState(state) {
+    switch (state) {
+      case 'play':
+      case 'pause':
+      case 'stop':
+      case 'close':
+        return state;
+      case 'buffer':
+      case 'buffering':
+      case 'startup':
+        return 'buffering';
+      default:
+        return 'close';
+    }
+  }
 }
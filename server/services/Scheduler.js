@@ -0,0 +1,263 @@
+import { randomUUID } from 'crypto';
+import { JsonStore } from './JsonStore.js';
+import { CronExpression } from './CronExpression.js';
+
+// setTimeout can't wait longer than ~24.8 days; longer waits are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Persistent scheduled actions. Triggers are cron expressions
+ * ({ type: 'cron', cron }) or one-shot times ({ type: 'once', at }).
+ * The action itself is carried out by the runAction callback, which
+ * resolves to { status, error, jobId }.
+ */
+export class Scheduler {
+  constructor(filePath, runAction) {
+    this.store = new JsonStore(filePath, { schedules: {} });
+    this.runAction = runAction;
+    this.timers = new Map();
+  }
+
+  /**
+   * Load persisted schedules and arm their timers.
+   * One-shot schedules that came due while the server was down are marked missed.
+   */
+  async start() {
+    await this.store.update(data => {
+      const now = Date.now();
+      Object.values(data.schedules).forEach(schedule => {
+        if (schedule.enabled && schedule.trigger.type === 'once' && new Date(schedule.trigger.at).getTime() <= now) {
+          schedule.enabled = false;
+          schedule.nextRun = null;
+          schedule.lastRun = { at: new Date().toISOString(), status: 'missed', error: 'Server was not running at the scheduled time' };
+        }
+      });
+    });
+
+    const schedules = await this.list();
+    schedules.forEach(schedule => this._arm(schedule));
+  }
+
+  /**
+   * Clear all timers
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Validate a trigger. Returns an error message, or null if valid.
+   */
+  validateTrigger(trigger) {
+    if (!trigger || typeof trigger !== 'object') {
+      return 'trigger is required';
+    }
+    if (trigger.type === 'cron') {
+      try {
+        // Parsing alone accepts dates that never occur, like 30 February
+        new CronExpression(trigger.cron).next();
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    }
+    if (trigger.type === 'once') {
+      const at = new Date(trigger.at);
+      if (isNaN(at.getTime())) {
+        return 'trigger.at must be a valid date';
+      }
+      if (at.getTime() <= Date.now()) {
+        return 'trigger.at must be in the future';
+      }
+      return null;
+    }
+    return 'trigger.type must be "cron" or "once"';
+  }
+
+  /**
+   * List schedules, soonest first
+   */
+  async list() {
+    const data = await this.store.load();
+    return Object.values(data.schedules).sort((a, b) => {
+      if (!a.nextRun) return 1;
+      if (!b.nextRun) return -1;
+      return a.nextRun.localeCompare(b.nextRun);
+    });
+  }
+
+  /**
+   * Get a schedule by id
+   */
+  async get(id) {
+    const data = await this.store.load();
+    return data.schedules[id] || null;
+  }
+
+  /**
+   * Create a schedule
+   */
+  async create({ name, device, trigger, action, enabled = true, kind = null }) {
+    const schedule = await this.store.update(data => {
+      const now = new Date().toISOString();
+      const record = {
+        id: randomUUID(),
+        name,
+        kind,
+        device,
+        trigger,
+        action,
+        enabled,
+        nextRun: null,
+        lastRun: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      record.nextRun = this._computeNextRun(record);
+      data.schedules[record.id] = record;
+      return record;
+    });
+
+    this._arm(schedule);
+    return schedule;
+  }
+
+  /**
+   * Update a schedule's name, device, trigger, action or enabled flag
+   */
+  async update(id, patch) {
+    const schedule = await this.store.update(data => {
+      const record = data.schedules[id];
+      if (!record) {
+        return null;
+      }
+
+      ['name', 'device', 'trigger', 'action', 'enabled'].forEach(field => {
+        if (patch[field] !== undefined) {
+          record[field] = patch[field];
+        }
+      });
+      record.nextRun = this._computeNextRun(record);
+      record.updatedAt = new Date().toISOString();
+      return record;
+    });
+
+    if (schedule) {
+      this._arm(schedule);
+    }
+    return schedule;
+  }
+
+  /**
+   * Delete a schedule
+   */
+  async remove(id) {
+    this._disarm(id);
+    return this.store.update(data => {
+      if (!data.schedules[id]) {
+        return false;
+      }
+      delete data.schedules[id];
+      return true;
+    });
+  }
+
+  /**
+   * Run a schedule's action immediately (does not change its next run)
+   */
+  async runNow(id) {
+    const schedule = await this.get(id);
+    if (!schedule) {
+      return null;
+    }
+    return this._execute(schedule, false);
+  }
+
+  /**
+   * Next run time for a schedule, or null if it won't run again
+   */
+  _computeNextRun(schedule) {
+    if (!schedule.enabled) {
+      return null;
+    }
+    if (schedule.trigger.type === 'once') {
+      const at = new Date(schedule.trigger.at);
+      return at.getTime() > Date.now() ? at.toISOString() : null;
+    }
+    return new CronExpression(schedule.trigger.cron).next(new Date()).toISOString();
+  }
+
+  /**
+   * Set a timer for the schedule's next run
+   */
+  _arm(schedule) {
+    this._disarm(schedule.id);
+    if (!schedule.enabled || !schedule.nextRun) {
+      return;
+    }
+
+    const delay = new Date(schedule.nextRun).getTime() - Date.now();
+    const timer = delay > MAX_TIMER_DELAY
+      ? setTimeout(() => this._arm(schedule), MAX_TIMER_DELAY)
+      : setTimeout(() => {
+        this._fire(schedule.id).catch(error => console.error(`Error running schedule "${schedule.name}":`, error));
+      }, Math.max(0, delay));
+
+    this.timers.set(schedule.id, timer);
+  }
+
+  _disarm(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+
+  /**
+   * Timer callback: run the action and arm the following occurrence
+   */
+  async _fire(id) {
+    this.timers.delete(id);
+    const schedule = await this.get(id);
+    if (!schedule || !schedule.enabled) {
+      return;
+    }
+    await this._execute(schedule, true);
+  }
+
+  /**
+   * Run the action and record the result (and next run, for timer-driven runs)
+   */
+  async _execute(schedule, advance) {
+    let result;
+    try {
+      result = await this.runAction(schedule);
+    } catch (error) {
+      result = { status: 'failed', error: error.message };
+    }
+
+    const lastRun = { at: new Date().toISOString(), status: result.status, error: result.error || null, jobId: result.jobId || null };
+    if (result.status === 'failed') {
+      console.error(`Schedule "${schedule.name}" failed:`, result.error);
+    }
+
+    const updated = await this.store.update(data => {
+      const record = data.schedules[schedule.id];
+      if (!record) {
+        return null;
+      }
+      record.lastRun = lastRun;
+      if (advance) {
+        if (record.trigger.type === 'once') {
+          record.enabled = false;
+        }
+        record.nextRun = this._computeNextRun(record);
+      }
+      return record;
+    });
+
+    if (updated && advance) {
+      this._arm(updated);
+    }
+    return updated;
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * In-memory cache whose entries expire after a per-entry TTL (ms).
+ * Expired entries are kept until replaced so callers can still compare
+ * against the last known value (see peek).
+ */
+export class TtlCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Value of an unexpired entry, or undefined
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : undefined;
+  }
+
+  /**
+   * Last value stored under a key, expired or not
+   */
+  peek(key) {
+    return this.entries.get(key)?.value;
+  }
+
+  /**
+   * Store a value for ttl ms. A ttl of 0 only keeps it for peek.
+   */
+  set(key, value, ttl) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  /**
+   * Remove an entry; returns whether it existed
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,58 @@
+import dgram from 'dgram';
+
+const DEFAULT_BROADCAST_ADDRESS = '255.255.255.255';
+const DEFAULT_PORT = 9;
+
+/**
+ * Sends Wake-on-LAN magic packets: 6 bytes of 0xFF followed by the
+ * target MAC address repeated 16 times, broadcast over UDP.
+ */
+export class WakeOnLan {
+  constructor(options = {}) {
+    this.address = options.address || process.env.WOL_BROADCAST_ADDRESS || DEFAULT_BROADCAST_ADDRESS;
+    this.port = options.port || DEFAULT_PORT;
+  }
+
+  /**
+   * Parse a MAC address (colon, dash or no separators) into 6 bytes.
+   * Returns null if it isn't a valid MAC.
+   */
+  static parseMac(mac) {
+    const hex = String(mac || '').replace(/[:-]/g, '');
+    if (!/^[0-9a-fA-F]{12}$/.test(hex)) {
+      return null;
+    }
+    return Buffer.from(hex, 'hex');
+  }
+
+  /**
+   * Build the magic packet for a MAC address
+   */
+  buildPacket(mac) {
+    const bytes = WakeOnLan.parseMac(mac);
+    if (!bytes) {
+      throw new Error(`Invalid MAC address "${mac}"`);
+    }
+    return Buffer.concat([Buffer.alloc(6, 0xff), ...Array(16).fill(bytes)]);
+  }
+
+  /**
+   * Broadcast a magic packet for a MAC address
+   */
+  async send(mac) {
+    const packet = this.buildPacket(mac);
+    const socket = dgram.createSocket('udp4');
+
+    try {
+      await new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.bind(() => {
+          socket.setBroadcast(true);
+          socket.send(packet, this.port, this.address, (error) => (error ? reject(error) : resolve()));
+        });
+      });
+    } finally {
+      socket.close();
+    }
+  }
+}
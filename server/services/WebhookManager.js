@@ -0,0 +1,430 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import axios from 'axios';
+import { JsonStore } from './JsonStore.js';
+import { DeviceWatchSet } from './DeviceWatchSet.js';
+
+export const WEBHOOK_EVENTS = [
+  'app.changed',
+  'media.play',
+  'media.pause',
+  'media.stop',
+  'power.changed',
+  'device.online',
+  'device.offline'
+];
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+const DEFAULT_TIMEOUT = 5000;
+// Deliveries kept per webhook for the delivery log
+const DEFAULT_LOG_SIZE = 50;
+const EDITABLE_FIELDS = ['name', 'url', 'events', 'devices', 'enabled', 'secret'];
+
+/**
+ * Outgoing webhooks for device state changes. Devices in any enabled
+ * webhook's scope are watched through DeviceWatcher; state diffs become
+ * events (app.changed, media.play, ...) that are POSTed as JSON, signed with
+ * HMAC-SHA256, and retried with exponential backoff on network errors, 5xx,
+ * 408 and 429. Deliveries to a webhook are sent one at a time, in order.
+ * The delivery log is kept in memory (last logSize per webhook).
+ */
+export class WebhookManager {
+  constructor(filePath, deviceRegistry, deviceWatcher, options = {}) {
+    this.store = new JsonStore(filePath, { webhooks: {} });
+    this.deviceRegistry = deviceRegistry;
+    this.deviceWatcher = deviceWatcher;
+    this.retries = options.retries ?? parseInt(process.env.WEBHOOK_RETRIES || DEFAULT_RETRIES);
+    this.retryDelay = options.retryDelay ?? parseInt(process.env.WEBHOOK_RETRY_DELAY || DEFAULT_RETRY_DELAY);
+    this.timeout = options.timeout || parseInt(process.env.WEBHOOK_TIMEOUT || DEFAULT_TIMEOUT);
+    this.logSize = options.logSize || DEFAULT_LOG_SIZE;
+    // Keyed by address: { serial, name, state }
+    this.devices = new DeviceWatchSet(deviceWatcher, {
+      onState: (entry, state) => this._onState(entry, state),
+      onUpdate: async (entry, { serial, name }) => {
+        Object.assign(entry, { serial, name });
+      }
+    });
+    // webhook id -> deliveries, newest first
+    this.logs = new Map();
+    // webhook id -> promise of the last queued delivery
+    this.chains = new Map();
+  }
+
+  /**
+   * Validate a webhook body. Partial bodies (PATCH) only check the fields given.
+   * Returns an error message, or null if valid.
+   */
+  validate(body, partial = false) {
+    const { name, url, events, devices, enabled, secret } = body || {};
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return 'name must be a non-empty string';
+    }
+    if (!partial || url !== undefined) {
+      let parsed = null;
+      try {
+        parsed = new URL(url);
+      } catch {
+        // Reported below
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        return 'url must be an http or https URL';
+      }
+    }
+    if (!partial || events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0) {
+        return 'events must be a non-empty array';
+      }
+      const unknown = events.find(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+      if (unknown !== undefined) {
+        return `Unknown event "${unknown}". Use "*" or any of: ${WEBHOOK_EVENTS.join(', ')}`;
+      }
+    }
+    if (devices !== undefined && (!Array.isArray(devices) || devices.some(device => typeof device !== 'string' || !device))) {
+      return 'devices must be an array of serial numbers or addresses';
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return 'enabled must be true or false';
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return 'secret must be at least 16 characters';
+    }
+    return null;
+  }
+
+  /**
+   * List webhooks (without secrets)
+   */
+  async list() {
+    const data = await this.store.load();
+    return Object.values(data.webhooks)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(webhook => this._publicWebhook(webhook));
+  }
+
+  /**
+   * Get a webhook by id (without its secret)
+   */
+  async get(id) {
+    const data = await this.store.load();
+    return data.webhooks[id] ? this._publicWebhook(data.webhooks[id]) : null;
+  }
+
+  /**
+   * Create a webhook. A signing secret is generated unless one is given.
+   * Resolves to { webhook, secret }; the secret isn't shown again.
+   */
+  async create({ name, url, events, devices = [], enabled = true, secret = randomBytes(32).toString('base64url') }) {
+    const webhook = await this.store.update(data => {
+      const now = new Date().toISOString();
+      const record = {
+        id: randomUUID(),
+        name: name?.trim() || new URL(url).host,
+        url,
+        events,
+        devices,
+        enabled,
+        secret,
+        createdAt: now,
+        updatedAt: now
+      };
+      data.webhooks[record.id] = record;
+      return record;
+    });
+    await this.sync();
+    return { webhook: this._publicWebhook(webhook), secret };
+  }
+
+  /**
+   * Update a webhook's fields (including a new secret)
+   */
+  async update(id, patch) {
+    const webhook = await this.store.update(data => {
+      const record = data.webhooks[id];
+      if (!record) {
+        return null;
+      }
+
+      EDITABLE_FIELDS.forEach(field => {
+        if (patch[field] !== undefined) {
+          record[field] = field === 'name' ? patch.name.trim() : patch[field];
+        }
+      });
+      record.updatedAt = new Date().toISOString();
+      return record;
+    });
+    if (!webhook) {
+      return null;
+    }
+    await this.sync();
+    return this._publicWebhook(webhook);
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   */
+  async remove(id) {
+    const removed = await this.store.update(data => {
+      if (!data.webhooks[id]) {
+        return false;
+      }
+      delete data.webhooks[id];
+      return true;
+    });
+    if (removed) {
+      this.logs.delete(id);
+      await this.sync();
+    }
+    return removed;
+  }
+
+  /**
+   * Recent deliveries for a webhook, newest first
+   */
+  deliveries(id) {
+    return this.logs.get(id) || [];
+  }
+
+  /**
+   * Send a webhook.test event and resolve to its delivery once finished
+   */
+  async test(id) {
+    const data = await this.store.load();
+    const webhook = data.webhooks[id];
+    if (!webhook) {
+      return null;
+    }
+    return this._enqueue(webhook, 'webhook.test', null, { message: 'Test delivery' });
+  }
+
+  /**
+   * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>"
+   */
+  sign(secret, timestamp, body) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Watch every device in the scope of an enabled webhook, and stop
+   * watching the rest. Call after changing webhooks or the registry.
+   */
+  sync() {
+    return this.devices.sync(() => this._targets());
+  }
+
+  /**
+   * Stop watching all devices
+   */
+  stop() {
+    this.devices.clear();
+  }
+
+  /**
+   * Devices in the scope of any enabled webhook: address -> { address, serial, name }
+   */
+  async _targets() {
+    const data = await this.store.load();
+    const webhooks = Object.values(data.webhooks).filter(webhook => webhook.enabled);
+    const registered = (await this.deviceRegistry.list()).filter(device => device.serial && device.ip);
+    const targets = new Map();
+
+    const addTarget = async (device) => {
+      const record = registered.find(candidate => candidate.serial === device);
+      const address = record ? await this.deviceRegistry.resolveAddress(record.serial) : device;
+      const known = record || await this.deviceRegistry.findByIp(address);
+      targets.set(address, { address, serial: known?.serial || null, name: known?.nickname || known?.name || null });
+    };
+
+    // An empty scope means every registered device
+    if (webhooks.some(webhook => !webhook.devices?.length)) {
+      for (const device of registered) {
+        await addTarget(device.serial);
+      }
+    }
+    for (const webhook of webhooks) {
+      for (const device of webhook.devices || []) {
+        await addTarget(device);
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Turn a device's new state into events and fire matching webhooks
+   */
+  async _onState(entry, state) {
+    const previous = entry.state;
+    entry.state = state;
+    if (!previous) {
+      return;
+    }
+
+    const events = this._events(previous, state);
+    if (events.length === 0) {
+      return;
+    }
+
+    try {
+      const data = await this.store.load();
+      const webhooks = Object.values(data.webhooks).filter(webhook => webhook.enabled && this._inScope(webhook, entry));
+      const device = { serial: entry.serial, name: entry.name, address: entry.address };
+
+      events.forEach(([event, payload]) => {
+        webhooks
+          .filter(webhook => webhook.events.includes('*') || webhook.events.includes(event))
+          .forEach(webhook => this._enqueue(webhook, event, device, payload));
+      });
+    } catch (error) {
+      console.error(`Error firing webhooks for ${entry.address}:`, error.message);
+    }
+  }
+
+  /**
+   * [event, data] pairs for the difference between two device states
+   */
+  _events(previous, state) {
+    const events = [];
+
+    if (previous.online !== state.online) {
+      events.push([state.online ? 'device.online' : 'device.offline', { error: state.error || null }]);
+    }
+    if (!state.online) {
+      return events;
+    }
+
+    if ((previous.activeApp?.id ?? null) !== (state.activeApp?.id ?? null)) {
+      events.push(['app.changed', { app: state.activeApp || null, previousApp: previous.activeApp || null }]);
+    }
+
+    const mediaState = state.media?.state || 'close';
+    const previousMediaState = previous.media?.state || 'close';
+    if (mediaState !== previousMediaState) {
+      const media = { media: state.media || null, app: state.activeApp || null };
+      if (mediaState === 'play' || mediaState === 'pause') {
+        events.push([`media.${mediaState}`, media]);
+      } else if (['stop', 'close'].includes(mediaState) && ['play', 'pause'].includes(previousMediaState)) {
+        events.push(['media.stop', media]);
+      }
+    }
+
+    if (previous.powerMode && state.powerMode && previous.powerMode !== state.powerMode) {
+      events.push(['power.changed', { powerMode: state.powerMode, previousPowerMode: previous.powerMode }]);
+    }
+
+    return events;
+  }
+
+  /**
+   * Whether a device is in a webhook's scope (empty scope: registered devices)
+   */
+  _inScope(webhook, entry) {
+    if (!webhook.devices?.length) {
+      return entry.serial !== null;
+    }
+    return webhook.devices.includes(entry.address) || (entry.serial !== null && webhook.devices.includes(entry.serial));
+  }
+
+  /**
+   * Queue a delivery behind earlier ones to the same webhook.
+   * Resolves to the delivery record once it succeeded or gave up.
+   */
+  _enqueue(webhook, event, device, data) {
+    const delivery = {
+      id: randomUUID(),
+      event,
+      device,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    const log = this.logs.get(webhook.id) || [];
+    log.unshift(delivery);
+    log.length = Math.min(log.length, this.logSize);
+    this.logs.set(webhook.id, log);
+
+    const previous = this.chains.get(webhook.id) || Promise.resolve();
+    const run = previous
+      .then(() => this._deliver(webhook, delivery, data))
+      .catch(error => {
+        console.error(`Error delivering webhook ${webhook.id}:`, error.message);
+        delivery.status = 'failed';
+      });
+    this.chains.set(webhook.id, run);
+    run.then(() => {
+      if (this.chains.get(webhook.id) === run) {
+        this.chains.delete(webhook.id);
+      }
+    });
+    return run.then(() => delivery);
+  }
+
+  /**
+   * POST a delivery, retrying transient failures with exponential backoff
+   */
+  async _deliver(webhook, delivery, data) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      timestamp: new Date(timestamp * 1000).toISOString(),
+      device: delivery.device,
+      data
+    });
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'roku-web-remote',
+      'X-Roku-Remote-Event': delivery.event,
+      'X-Roku-Remote-Delivery': delivery.id,
+      'X-Roku-Remote-Timestamp': String(timestamp),
+      'X-Roku-Remote-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+    };
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(this.retryDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY)));
+      }
+
+      const startedAt = Date.now();
+      const record = { at: new Date(startedAt).toISOString(), status: null, error: null, durationMs: 0 };
+      delivery.attempts.push(record);
+      let transient = true;
+
+      try {
+        const response = await axios.post(webhook.url, body, {
+          headers,
+          timeout: this.timeout,
+          maxRedirects: 0,
+          responseType: 'text',
+          validateStatus: () => true
+        });
+        record.status = response.status;
+        if (response.status >= 200 && response.status < 300) {
+          record.durationMs = Date.now() - startedAt;
+          delivery.status = 'delivered';
+          delivery.completedAt = new Date().toISOString();
+          return;
+        }
+        record.error = `HTTP ${response.status}`;
+        transient = response.status >= 500 || response.status === 408 || response.status === 429;
+      } catch (error) {
+        record.error = error.code === 'ECONNABORTED' ? `Timed out after ${this.timeout}ms` : error.message;
+      }
+      record.durationMs = Date.now() - startedAt;
+
+      if (!transient) {
+        break;
+      }
+    }
+
+    delivery.status = 'failed';
+    delivery.completedAt = new Date().toISOString();
+  }
+
+  _publicWebhook({ secret, ...webhook }) {
+    return webhook;
+  }
+}
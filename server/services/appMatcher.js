@@ -0,0 +1,80 @@
+/**
+ * Lower-case letters and digits only, so "Disney+" matches "disney"
+ */
+const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Whether the letters of query appear in name in order ("ytk" → "youtubekids")
+ */
+const isSubsequence = (query, name) => {
+  let index = 0;
+  for (const char of name) {
+    if (char === query[index]) {
+      index++;
+    }
+  }
+  return index === query.length;
+};
+
+/**
+ * Edits (insert, delete, substitute or swap adjacent letters) to turn a into b
+ */
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+/**
+ * Find the app a user means by an id or (partial, misspelt) name.
+ * Tries, in order: exact id, exact name, name prefix, name containing the
+ * query, letters in order, then names within a couple of typos. The first
+ * rule that matches decides; if it matches several apps the result is
+ * ambiguous. Returns { app, candidates } where app is null unless exactly
+ * one app matched.
+ */
+export const matchApp = (apps, query) => {
+  const exactId = apps.find(app => app.id === query);
+  if (exactId) {
+    return { app: exactId, candidates: [exactId] };
+  }
+
+  const wanted = normalize(query);
+  if (!wanted) {
+    return { app: null, candidates: [] };
+  }
+
+  const named = apps.map(app => ({ app, name: normalize(app.name) }));
+  const rules = [
+    ({ name }) => name === wanted,
+    ({ name }) => name.startsWith(wanted),
+    ({ name }) => name.includes(wanted),
+    ({ name }) => isSubsequence(wanted, name)
+  ];
+
+  for (const rule of rules) {
+    const matches = named.filter(rule).map(({ app }) => app);
+    if (matches.length) {
+      return { app: matches.length === 1 ? matches[0] : null, candidates: matches };
+    }
+  }
+
+  const maxTypos = Math.max(1, Math.floor(wanted.length / 4));
+  const scored = named
+    .map(({ app, name }) => ({ app, distance: editDistance(wanted, name) }))
+    .filter(({ distance }) => distance <= maxTypos);
+  const best = Math.min(...scored.map(({ distance }) => distance));
+  const closest = scored.filter(({ distance }) => distance === best).map(({ app }) => app);
+  return { app: closest.length === 1 ? closest[0] : null, candidates: closest };
+};
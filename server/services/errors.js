@@ -0,0 +1,35 @@
+/**
+ * A request that can't be carried out as given: a bad device address,
+ * an unknown key, a malformed app id and so on. Routes answer these with
+ * a 400 and the machine-readable code.
+ */
+export class ValidationError extends Error {
+  constructor(message, code = 'INVALID_REQUEST') {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = code;
+  }
+}
+
+/**
+ * A device didn't answer properly. The code says how:
+ * DEVICE_TIMEOUT, DEVICE_REFUSED, DEVICE_UNREACHABLE, DEVICE_CONNECTION_RESET
+ * or DEVICE_HTTP_ERROR (with the HTTP status). Routes answer these with a
+ * 502, or 504 for timeouts.
+ */
+export class DeviceError extends Error {
+  constructor(message, code, { address = null, status = null } = {}) {
+    super(message);
+    this.name = 'DeviceError';
+    this.code = code;
+    this.address = address;
+    this.status = status;
+  }
+
+  /**
+   * Whether trying again might succeed (network trouble or a 5xx)
+   */
+  get transient() {
+    return this.code !== 'DEVICE_HTTP_ERROR' || this.status >= 500;
+  }
+}
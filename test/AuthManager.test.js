@@ -0,0 +1,80 @@
+import { describe, test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AuthManager } from '../server/services/AuthManager.js';
+
+describe('AuthManager', () => {
+  let dataDir;
+  let auth;
+
+  beforeEach(async () => {
+    dataDir = await mkdtemp(join(tmpdir(), 'roku-remote-auth-'));
+    auth = new AuthManager(join(dataDir, 'tokens.json'), { adminPassword: 'hunter22', adminToken: 'admin-token' });
+  });
+
+  after(() => rm(dataDir, { recursive: true, force: true }));
+
+  test('is disabled without admin credentials', () => {
+    assert.equal(new AuthManager(join(dataDir, 'none.json'), { adminPassword: '', adminToken: '' }).enabled, false);
+    assert.equal(auth.enabled, true);
+  });
+
+  test('the admin token and signed-in tokens have the admin role', async () => {
+    assert.deepEqual(await auth.authenticate('admin-token'), { type: 'admin', role: 'admin', tokenId: null, name: 'admin' });
+
+    const issued = await auth.login('hunter22', 'Laptop', '10.0.0.2');
+    assert.match(issued.token, /^rrt_[0-9a-f]{12}_/);
+    assert.equal(issued.record.role, 'admin');
+    assert.equal(issued.record.hash, undefined);
+
+    const who = await auth.authenticate(issued.token);
+    assert.equal(who.role, 'admin');
+    assert.equal(who.name, 'Laptop');
+    assert.equal(await auth.authenticate(`${issued.token}x`), null);
+    assert.equal(await auth.authenticate('nonsense'), null);
+  });
+
+  test('paired clients get the client role and a PIN works once', async () => {
+    const pairing = auth.createPairing('admin');
+    const issued = await auth.redeemPairing({ pin: pairing.pin, name: 'Tablet' });
+    assert.equal(issued.record.role, 'client');
+    assert.equal((await auth.authenticate(issued.token)).role, 'client');
+    assert.equal(await auth.redeemPairing({ pin: pairing.pin }), null);
+  });
+
+  test('wrong PINs cancel pending pairings', async () => {
+    const pairing = auth.createPairing('admin');
+    const wrong = pairing.pin === '000000' ? '111111' : '000000';
+    for (let i = 0; i < 5; i++) {
+      assert.equal(await auth.redeemPairing({ pin: wrong }), null);
+    }
+    assert.equal(await auth.redeemPairing({ code: pairing.code }), null);
+  });
+
+  test('locks a client out after repeated wrong passwords', async () => {
+    for (let i = 0; i < 4; i++) {
+      assert.equal(await auth.login('wrong', null, '10.0.0.9'), null);
+    }
+    assert.equal(auth.loginLockedFor('10.0.0.9'), 0);
+    assert.equal(await auth.login('wrong', null, '10.0.0.9'), null);
+    assert.ok(auth.loginLockedFor('10.0.0.9') > 0);
+    // Other clients are unaffected
+    assert.equal(auth.loginLockedFor('10.0.0.3'), 0);
+    assert.ok(await auth.login('hunter22', null, '10.0.0.3'));
+  });
+
+  test('revokes tokens', async () => {
+    const { token, record } = await auth.login('hunter22', 'Laptop');
+    assert.deepEqual((await auth.listTokens()).map(t => t.id), [record.id]);
+    assert.equal(await auth.revokeToken(record.id), true);
+    assert.equal(await auth.authenticate(token), null);
+    assert.equal(await auth.revokeToken(record.id), false);
+  });
+
+  test('tokens stored before roles existed get one from how they were issued', () => {
+    assert.equal(auth._role({ via: 'login' }), 'admin');
+    assert.equal(auth._role({ via: 'pin' }), 'client');
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronExpression } from '../server/services/CronExpression.js';
+
+// Local-time dates, as cron is evaluated in the server's time zone
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('CronExpression', () => {
+  test('parses lists, ranges, steps, names and aliases', () => {
+    const cron = new CronExpression('*/15 9-17 * jan,mar mon-fri');
+    assert.deepEqual([...cron.fields.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.fields.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepEqual([...cron.fields.month], [1, 3]);
+    assert.deepEqual([...cron.fields.dayOfWeek], [1, 2, 3, 4, 5]);
+
+    assert.deepEqual([...new CronExpression('5/20 * * * *').fields.minute], [5, 25, 45]);
+    assert.deepEqual([...new CronExpression('0 0 * * 7').fields.dayOfWeek].sort(), [0, 7]);
+    assert.deepEqual([...new CronExpression('@daily').fields.hour], [0]);
+  });
+
+  test('rejects malformed expressions', () => {
+    for (const expression of ['', '* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '*/0 * * * *', '5-1 * * * *', 'x * * * *']) {
+      assert.throws(() => new CronExpression(expression), undefined, expression);
+    }
+    assert.equal(CronExpression.isValid('0 7 * * *'), true);
+    assert.equal(CronExpression.isValid('0 7 * *'), false);
+  });
+
+  test('finds the next matching minute strictly after a date', () => {
+    const daily = new CronExpression('30 7 * * *');
+    assert.deepEqual(daily.next(at(2026, 3, 10, 6, 0)), at(2026, 3, 10, 7, 30));
+    assert.deepEqual(daily.next(at(2026, 3, 10, 7, 30)), at(2026, 3, 11, 7, 30));
+
+    // 10 March 2026 is a Tuesday
+    assert.deepEqual(new CronExpression('0 9 * * sat').next(at(2026, 3, 10)), at(2026, 3, 14, 9, 0));
+    assert.deepEqual(new CronExpression('@yearly').next(at(2026, 3, 10)), at(2027, 1, 1));
+    assert.deepEqual(new CronExpression('0 0 29 2 *').next(at(2026, 3, 10)), at(2028, 2, 29));
+  });
+
+  test('ORs day-of-month and day-of-week when both are restricted', () => {
+    // The 15th, or any Monday
+    const cron = new CronExpression('0 12 15 * mon');
+    assert.deepEqual(cron.next(at(2026, 3, 10)), at(2026, 3, 15, 12, 0));
+    assert.deepEqual(cron.next(at(2026, 3, 15, 12, 0)), at(2026, 3, 16, 12, 0));
+  });
+
+  test('throws from next() when the expression never fires', () => {
+    assert.throws(() => new CronExpression('0 0 30 2 *').next(), /never matches/);
+  });
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeviceAddressPolicy, splitAddress, formatAddress } from '../server/services/DeviceAddressPolicy.js';
+import { ValidationError } from '../server/services/errors.js';
+
+const policy = new DeviceAddressPolicy({ allowLoopback: false });
+
+const codeOf = (address, target = policy) => {
+  try {
+    target.parse(address);
+    return null;
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error.code;
+  }
+};
+
+test('accepts private IPv4 addresses with and without a port', () => {
+  assert.equal(policy.parse('192.168.1.20').baseUrl, 'http://192.168.1.20:8060');
+  assert.equal(policy.parse('10.0.0.5:8061').baseUrl, 'http://10.0.0.5:8061');
+  assert.equal(policy.parse('172.31.255.1').port, 8060);
+});
+
+test('accepts private IPv6 addresses, bracketed or bare', () => {
+  assert.equal(policy.parse('[fe80::1]:8060').baseUrl, 'http://[fe80::1]:8060');
+  assert.equal(policy.parse('fd12:3456::7').baseUrl, 'http://[fd12:3456::7]:8060');
+});
+
+test('splits and formats addresses without checking them', () => {
+  assert.deepEqual(splitAddress('10.0.0.5:8061'), { host: '10.0.0.5', port: '8061' });
+  assert.deepEqual(splitAddress('fd12::7'), { host: 'fd12::7', port: undefined });
+  assert.deepEqual(splitAddress('[fd12::7]:8061'), { host: 'fd12::7', port: '8061' });
+  assert.equal(splitAddress('a:b:c').host, null);
+  assert.equal(formatAddress('fd12::7', 8061), '[fd12::7]:8061');
+  assert.equal(formatAddress('10.0.0.5', 8061), '10.0.0.5:8061');
+});
+
+test('rejects public addresses', () => {
+  assert.equal(codeOf('8.8.8.8'), 'ADDRESS_NOT_ALLOWED');
+  assert.equal(codeOf('172.32.0.1'), 'ADDRESS_NOT_ALLOWED');
+  assert.equal(codeOf('2001:4860::8888'), 'ADDRESS_NOT_ALLOWED');
+  assert.equal(codeOf('::ffff:8.8.8.8'), 'ADDRESS_NOT_ALLOWED');
+});
+
+test('rejects hostnames, bad ports and junk', () => {
+  assert.equal(codeOf('roku.local'), 'INVALID_ADDRESS');
+  assert.equal(codeOf('192.168.1.20:0'), 'INVALID_ADDRESS');
+  assert.equal(codeOf('192.168.1.20:70000'), 'INVALID_ADDRESS');
+  assert.equal(codeOf('192.168.1.20:80:80'), 'INVALID_ADDRESS');
+  assert.equal(codeOf('192.168.1.20/launch'), 'INVALID_ADDRESS');
+  assert.equal(codeOf(''), 'INVALID_ADDRESS');
+  assert.equal(codeOf(undefined), 'INVALID_ADDRESS');
+});
+
+test('only allows IPv4 link-local when enabled, and never metadata endpoints', () => {
+  assert.equal(codeOf('169.254.10.10'), 'ADDRESS_NOT_ALLOWED');
+  assert.equal(codeOf('169.254.169.254'), 'ADDRESS_NOT_ALLOWED');
+
+  const linkLocal = new DeviceAddressPolicy({ allowLinkLocal: true });
+  assert.equal(linkLocal.parse('169.254.10.10').family, 4);
+  assert.equal(linkLocal.isAllowed('169.254.169.254'), false);
+  assert.equal(linkLocal.isAllowed('[fd00:ec2::254]:80'), false);
+  assert.equal(linkLocal.isAllowed('fd00:ec2::253'), true);
+});
+
+test('only allows loopback when enabled', () => {
+  assert.equal(codeOf('127.0.0.1:8060'), 'ADDRESS_NOT_ALLOWED');
+  assert.equal(codeOf('[::1]:8060'), 'ADDRESS_NOT_ALLOWED');
+
+  const loopback = new DeviceAddressPolicy({ allowLoopback: true });
+  assert.equal(loopback.parse('127.0.0.1:18060').baseUrl, 'http://127.0.0.1:18060');
+  assert.equal(loopback.isAllowed('[::1]:8060'), true);
+  assert.equal(loopback.isAllowed('8.8.8.8'), false);
+});
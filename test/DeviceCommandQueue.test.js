@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeviceCommandQueue } from '../server/services/DeviceCommandQueue.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('runs one task at a time per device, in order', async () => {
+  const queue = new DeviceCommandQueue({ retries: 0 });
+  const log = [];
+  const task = (name, ms) => async () => {
+    log.push(`start ${name}`);
+    await sleep(ms);
+    log.push(`end ${name}`);
+  };
+
+  await Promise.all([
+    queue.run('a', task('a1', 20)),
+    queue.run('a', task('a2', 0)),
+    queue.run('b', task('b1', 5))
+  ]);
+
+  // b runs alongside a, but a2 waits for a1
+  assert.ok(log.indexOf('end a1') < log.indexOf('start a2'));
+  assert.ok(log.indexOf('start b1') < log.indexOf('end a1'));
+});
+
+test('a failure does not stop later tasks', async () => {
+  const queue = new DeviceCommandQueue({ retries: 0 });
+  const first = queue.run('a', async () => {
+    throw new Error('boom');
+  });
+  const second = queue.run('a', async () => 'ok');
+
+  await assert.rejects(first, /boom/);
+  assert.equal(await second, 'ok');
+});
+
+test('retries idempotent tasks with backoff, only when transient', async () => {
+  const queue = new DeviceCommandQueue({ retries: 2, retryDelay: 1 });
+  let calls = 0;
+  const flaky = async () => {
+    calls++;
+    if (calls < 3) {
+      throw Object.assign(new Error('timeout'), { code: 'DEVICE_TIMEOUT' });
+    }
+    return 'ok';
+  };
+
+  assert.equal(await queue.run('a', flaky, { idempotent: true }), 'ok');
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(queue.run('a', flaky), /timeout/);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(queue.run('a', flaky, { idempotent: true, isTransient: () => false }), /timeout/);
+  assert.equal(calls, 1);
+});
+
+test('shares identical pending queries', async () => {
+  const queue = new DeviceCommandQueue({ retries: 0 });
+  let calls = 0;
+  const poll = async () => {
+    calls++;
+    await sleep(10);
+    return calls;
+  };
+
+  const results = await Promise.all([
+    queue.run('a', poll, { coalesceKey: 'active-app' }),
+    queue.run('a', poll, { coalesceKey: 'active-app' }),
+    queue.run('a', poll, { coalesceKey: 'media' })
+  ]);
+  assert.deepEqual(results, [1, 1, 2]);
+  assert.equal(queue.stats('a').coalesced, 1);
+
+  // Once finished, the same query runs again
+  assert.equal(await queue.run('a', poll, { coalesceKey: 'active-app' }), 3);
+});
+
+test('does not share a query with one queued before a command', async () => {
+  const queue = new DeviceCommandQueue();
+  const order = [];
+  let app = 'Home';
+  const query = async () => {
+    order.push('query');
+    await sleep(5);
+    return app;
+  };
+
+  const results = await Promise.all([
+    queue.run('a', query, { coalesceKey: 'active-app' }),
+    queue.run('a', async () => {
+      order.push('launch');
+      app = 'Netflix';
+    }),
+    queue.run('a', query, { coalesceKey: 'active-app' })
+  ]);
+
+  assert.deepEqual(order, ['query', 'launch', 'query']);
+  assert.deepEqual([results[0], results[2]], ['Home', 'Netflix']);
+  assert.equal(queue.stats('a').coalesced, 0);
+});
+
+test('tracks depth and the last error per device', async () => {
+  const queue = new DeviceCommandQueue({ retries: 0 });
+  const slow = queue.run('a', () => sleep(10));
+  const failing = queue.run('a', async () => {
+    throw Object.assign(new Error('refused'), { code: 'DEVICE_REFUSED' });
+  });
+
+  assert.equal(queue.stats('a').depth, 2);
+  await slow;
+  await assert.rejects(failing);
+
+  const stats = queue.stats('a');
+  assert.equal(stats.depth, 0);
+  assert.equal(stats.completed, 1);
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.lastError.code, 'DEVICE_REFUSED');
+  assert.equal(queue.stats('b'), null);
+  assert.deepEqual(queue.list().map(s => s.device), ['a']);
+});
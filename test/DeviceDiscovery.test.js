@@ -0,0 +1,47 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeviceDiscovery } from '../server/services/DeviceDiscovery.js';
+import { startMock, createRokuService } from './helpers.js';
+
+describe('DeviceDiscovery against mock devices', () => {
+  let mock;
+
+  before(async () => {
+    // Unicast SSDP on a random port instead of joining the multicast group
+    mock = await startMock({ serial: 'X00000000001', name: 'Bedroom', ssdp: { port: 0, multicast: false } });
+  });
+
+  after(() => mock.stop());
+
+  test('finds a device over SSDP and confirms it with device-info', async () => {
+    const discovery = new DeviceDiscovery(createRokuService(), {
+      ssdpAddress: '127.0.0.1',
+      ssdpPort: mock.ssdpPort,
+      mdns: false
+    });
+
+    const devices = await discovery.discover(1000);
+    assert.equal(devices.length, 1);
+    assert.equal(devices[0].serial, 'X00000000001');
+    assert.equal(devices[0].name, 'Bedroom');
+    assert.equal(devices[0].port, mock.port);
+    assert.deepEqual(devices[0].sources, ['ssdp']);
+    assert.equal(discovery.hasSeen(mock.address), true);
+  });
+
+  test('probes a single address', async () => {
+    const discovery = new DeviceDiscovery(createRokuService(), { mdns: false });
+    const device = await discovery.probe(mock.address);
+    assert.equal(device.serial, 'X00000000001');
+    assert.equal(device.mac, 'ac:3a:7a:00:00:01');
+    assert.deepEqual(device.sources, ['manual']);
+  });
+
+  test('probing something that is not a Roku returns null', async () => {
+    const other = await startMock();
+    await other.stop();
+
+    const discovery = new DeviceDiscovery(createRokuService(), { mdns: false });
+    assert.equal(await discovery.probe(other.address), null);
+  });
+});
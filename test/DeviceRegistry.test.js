@@ -0,0 +1,41 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DeviceRegistry } from '../server/services/DeviceRegistry.js';
+import { ValidationError } from '../server/services/errors.js';
+
+describe('DeviceRegistry', () => {
+  let dataDir;
+  let registry;
+
+  before(async () => {
+    dataDir = await mkdtemp(join(tmpdir(), 'roku-remote-registry-'));
+    registry = new DeviceRegistry(join(dataDir, 'devices.json'));
+    await registry.upsert({ serial: 'YN00REG00004', ip: '192.168.1.20' });
+    await registry.upsert({ serial: 'YN00REG00006', ip: 'fd12::7', port: 8061 });
+  });
+
+  after(() => rm(dataDir, { recursive: true, force: true }));
+
+  test('finds IPv4 and IPv6 devices by address', async () => {
+    assert.equal((await registry.findByIp('192.168.1.20:8060')).serial, 'YN00REG00004');
+    assert.equal((await registry.findByIp('fd12::7')).serial, 'YN00REG00006');
+    assert.equal((await registry.findByIp('[fd12::7]:8061')).serial, 'YN00REG00006');
+    assert.equal(await registry.findByIp('fd12::8'), null);
+    assert.equal(await registry.resolveAddress('YN00REG00006'), '[fd12::7]:8061');
+  });
+
+  test('validates port and MAC updates', async () => {
+    await assert.rejects(registry.update('YN00REG00004', { port: 0 }), ValidationError);
+    await assert.rejects(registry.update('YN00REG00004', { port: '8061' }), ValidationError);
+    await assert.rejects(registry.update('YN00REG00004', { mac: '00:11:22' }), ValidationError);
+
+    const updated = await registry.update('YN00REG00004', { ip: '192.168.1.21:8061', mac: '00-11-22-33-44-55' });
+    assert.equal(updated.ip, '192.168.1.21');
+    assert.equal(updated.port, 8061);
+    assert.equal((await registry.update('YN00REG00004', { mac: null })).mac, null);
+    assert.equal(await registry.update('YN00NOPE0000', { nickname: 'Nope' }), null);
+  });
+});
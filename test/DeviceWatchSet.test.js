@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeviceWatchSet } from '../server/services/DeviceWatchSet.js';
+
+/**
+ * Watcher stand-in that records which addresses are being watched
+ */
+const fakeWatcher = () => {
+  const watched = [];
+  return {
+    watched,
+    watch(address, listener) {
+      const watch = { address, listener };
+      watched.push(watch);
+      return () => watched.splice(watched.indexOf(watch), 1);
+    }
+  };
+};
+
+test('adds, updates, replaces and removes watched devices', async () => {
+  const watcher = fakeWatcher();
+  const calls = [];
+  const states = [];
+  const set = new DeviceWatchSet(watcher, {
+    onState: (entry, state) => states.push([entry.key, state]),
+    onAdd: async entry => calls.push(['add', entry.key, entry.address]),
+    onUpdate: async (entry, target) => calls.push(['update', entry.key, target.name]),
+    onRemove: async entry => calls.push(['remove', entry.key])
+  });
+
+  await set.sync(async () => new Map([
+    ['a', { address: '10.0.0.1', name: 'A' }],
+    ['b', { address: '10.0.0.2', name: 'B' }]
+  ]));
+  await set.sync(async () => new Map([
+    ['a', { address: '10.0.0.1', name: 'A2' }],
+    ['b', { address: '10.0.0.3', name: 'B' }]
+  ]));
+  await set.sync(async () => new Map([['b', { address: '10.0.0.3', name: 'B' }]]));
+
+  assert.deepEqual(calls, [
+    ['add', 'a', '10.0.0.1'],
+    ['add', 'b', '10.0.0.2'],
+    ['update', 'a', 'A2'],
+    ['add', 'b', '10.0.0.3'],
+    ['remove', 'a'],
+    ['update', 'b', 'B']
+  ]);
+  assert.deepEqual(watcher.watched.map(watch => watch.address), ['10.0.0.3']);
+  assert.equal(set.get('b').name, 'B');
+
+  watcher.watched[0].listener({ state: { online: true } });
+  assert.deepEqual(states, [['b', { online: true }]]);
+
+  set.clear();
+  assert.deepEqual(watcher.watched, []);
+  assert.deepEqual([...set], []);
+});
+
+test('runs one pass at a time and skips passes that return null', async () => {
+  const watcher = fakeWatcher();
+  const set = new DeviceWatchSet(watcher, { onState: () => {} });
+  const slow = new Map([['a', { address: '10.0.0.1' }]]);
+
+  await Promise.all([
+    set.sync(() => new Promise(resolve => setTimeout(() => resolve(slow), 20))),
+    set.sync(async () => slow),
+    set.sync(async () => null)
+  ]);
+  assert.deepEqual(watcher.watched.map(watch => watch.address), ['10.0.0.1']);
+
+  // A failed pass doesn't stop the next one
+  await assert.rejects(set.sync(async () => { throw new Error('registry unreadable'); }));
+  await set.sync(async () => new Map());
+  assert.deepEqual(watcher.watched, []);
+});
@@ -0,0 +1,108 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'net';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Aedes from 'aedes';
+import mqtt from 'mqtt';
+import { MqttBridge } from '../server/services/MqttBridge.js';
+import { DeviceRegistry } from '../server/services/DeviceRegistry.js';
+import { DeviceWatcher } from '../server/services/DeviceWatcher.js';
+import { PowerManager } from '../server/services/PowerManager.js';
+import { WakeOnLan } from '../server/services/WakeOnLan.js';
+import { startMock, createRokuService, eventually } from './helpers.js';
+
+describe('MqttBridge against a local broker', () => {
+  const roku = createRokuService({ retries: 0 });
+  const watcher = new DeviceWatcher(roku, { interval: 50, powerInterval: 50 });
+  const messages = new Map();
+  let broker;
+  let server;
+  let client;
+  let mock;
+  let dataDir;
+  let registry;
+  let bridge;
+
+  before(async () => {
+    broker = Aedes();
+    server = createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    mock = await startMock({ serial: 'YN00MQTT0001', name: 'Lounge TV', isTv: true });
+    dataDir = await mkdtemp(join(tmpdir(), 'roku-remote-mqtt-'));
+    registry = new DeviceRegistry(join(dataDir, 'devices.json'));
+    await registry.upsert({ serial: 'YN00MQTT0001', ip: '127.0.0.1', port: mock.port, nickname: 'Lounge', room: 'Lounge' });
+
+    client = await mqtt.connectAsync(url);
+    client.on('message', (topic, payload) => messages.set(topic, payload.toString()));
+    await client.subscribeAsync(['roku/#', 'homeassistant/#']);
+
+    bridge = new MqttBridge(roku, registry, watcher, new PowerManager(roku, new WakeOnLan()), { url, syncInterval: 60000 });
+    await bridge.start();
+  });
+
+  after(async () => {
+    await bridge?.stop();
+    await client?.endAsync();
+    await new Promise(resolve => broker.close(resolve));
+    server?.close();
+    await mock?.stop();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('publishes retained state for registered devices', async () => {
+    await eventually(() => {
+      assert.equal(messages.get('roku/bridge/status'), 'online');
+      assert.equal(messages.get('roku/YN00MQTT0001/availability'), 'online');
+      assert.equal(messages.get('roku/YN00MQTT0001/power'), 'ON');
+      assert.equal(messages.get('roku/YN00MQTT0001/app'), 'Home');
+      assert.equal(messages.get('roku/YN00MQTT0001/media'), 'close');
+    });
+    assert.equal(JSON.parse(messages.get('roku/YN00MQTT0001/state')).powerMode, 'PowerOn');
+  });
+
+  test('emits Home Assistant discovery config', async () => {
+    const config = await eventually(() => JSON.parse(messages.get('homeassistant/switch/roku_YN00MQTT0001/power/config')));
+    assert.equal(config.command_topic, 'roku/YN00MQTT0001/set/power');
+    assert.equal(config.state_topic, 'roku/YN00MQTT0001/power');
+    assert.equal(config.device.name, 'Lounge');
+    assert.deepEqual(config.device.identifiers, ['roku_YN00MQTT0001']);
+
+    const home = JSON.parse(messages.get('homeassistant/button/roku_YN00MQTT0001/key_home/config'));
+    assert.equal(home.payload_press, 'Home');
+  });
+
+  test('carries out commands and publishes the new state', async () => {
+    await client.publishAsync('roku/YN00MQTT0001/set/launch', 'youtube');
+    await eventually(() => assert.equal(messages.get('roku/YN00MQTT0001/app'), 'YouTube'));
+
+    await client.publishAsync('roku/YN00MQTT0001/set/launch', JSON.stringify({ app: 'Netflix', contentId: 'abc' }));
+    await eventually(() => assert.equal(messages.get('roku/YN00MQTT0001/media'), 'play'));
+    assert.deepEqual(mock.launches.at(-1), { appId: '12', params: { contentId: 'abc' } });
+    const launches = mock.launches.length;
+    // Rejected before it reaches the device
+    await client.publishAsync('roku/YN00MQTT0001/set/launch', JSON.stringify({ app: 'Netflix', contentId: { nested: true } }));
+
+    await client.publishAsync('roku/YN00MQTT0001/set/key', 'Home');
+    await client.publishAsync('roku/YN00MQTT0001/set/text', 'hi');
+    await eventually(() => assert.equal(mock.typedText, 'hi'));
+    assert.deepEqual(mock.keys.at(0), { action: 'keypress', key: 'Home' });
+
+    await client.publishAsync('roku/YN00MQTT0001/set/power', 'off');
+    await eventually(() => assert.equal(messages.get('roku/YN00MQTT0001/power'), 'OFF'));
+    assert.equal(mock.launches.length, launches);
+  });
+
+  test('clears the topics of removed devices', async () => {
+    await registry.remove('YN00MQTT0001');
+    await bridge.sync();
+    await eventually(() => {
+      assert.equal(messages.get('roku/YN00MQTT0001/power'), '');
+      assert.equal(messages.get('homeassistant/switch/roku_YN00MQTT0001/power/config'), '');
+    });
+    assert.deepEqual(watcher.list(), []);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PowerManager } from '../server/services/PowerManager.js';
+import { startMock, createRokuService } from './helpers.js';
+
+describe('PowerManager', () => {
+  // Retries would add seconds to every unreachable probe
+  const roku = createRokuService({ retries: 2, retryDelay: 500 });
+  const sent = [];
+  const wakeOnLan = { send: async (mac) => { sent.push(mac); } };
+  const power = new PowerManager(roku, wakeOnLan, { wakeTimeout: 1500 });
+  let mock;
+  let gone;
+
+  before(async () => {
+    mock = await startMock({ isTv: true });
+    gone = await startMock();
+    await gone.stop();
+  });
+
+  after(() => mock?.stop());
+
+  test('turns a device off and on only when needed', async () => {
+    assert.equal((await power.setPower(mock.address, 'on')).changed, false);
+    const off = await power.setPower(mock.address, 'off');
+    assert.equal(off.changed, true);
+    assert.equal(off.powerMode, 'DisplayOff');
+    assert.equal((await power.setPower(mock.address, 'toggle')).powerMode, 'PowerOn');
+  });
+
+  test('needs a MAC to wake an unreachable device', async () => {
+    await assert.rejects(power.setPower(gone.address, 'on'), { name: 'ValidationError', code: 'NO_MAC_ADDRESS' });
+  });
+
+  test('probes once before falling back to Wake-on-LAN', async () => {
+    const started = Date.now();
+    await assert.rejects(
+      power.setPower(gone.address, 'on', { macs: ['AA:BB:CC:DD:EE:FF', 'bogus'] }),
+      { name: 'DeviceError', code: 'DEVICE_TIMEOUT' }
+    );
+    assert.equal(sent[0], 'AA:BB:CC:DD:EE:FF');
+    assert.ok(!sent.includes('bogus'));
+    assert.equal(roku.queueStats(gone.address).retried, 0);
+    assert.ok(Date.now() - started < 4000);
+  });
+});
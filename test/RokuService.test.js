@@ -0,0 +1,166 @@
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMock, createRokuService } from './helpers.js';
+
+describe('RokuService against a mock device', () => {
+  const roku = createRokuService({ retryDelay: 10 });
+  let mock;
+
+  before(async () => {
+    mock = await startMock({ serial: 'YN00AB123456', name: 'Living Room', isTv: true });
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.reset();
+    roku.invalidateCache(mock.address);
+  });
+
+  test('reads device-info', async () => {
+    const info = await roku.getDeviceInfo(mock.address);
+    assert.equal(info.serial, 'YN00AB123456');
+    assert.equal(info.friendlyName, 'Living Room');
+    assert.equal(info.isTv, true);
+    assert.equal(info.powerMode, 'PowerOn');
+    assert.ok(info.capabilities.includes('tv'));
+  });
+
+  test('lists apps', async () => {
+    const apps = await roku.getApps(mock.address);
+    assert.deepEqual(apps.find(app => app.id === '12'), { id: '12', name: 'Netflix', type: 'appl', version: '4.2.81179' });
+  });
+
+  test('launching changes the active app and Home returns to the home screen', async () => {
+    assert.equal(await roku.getActiveApp(mock.address), null);
+
+    await roku.launch(mock.address, '837');
+    assert.equal((await roku.getActiveApp(mock.address)).name, 'YouTube');
+
+    await roku.keypress(mock.address, 'Home');
+    assert.equal(await roku.getActiveApp(mock.address), null);
+  });
+
+  test('deep links pass params and start playback', async () => {
+    await roku.launch(mock.address, '12', { contentId: 'tt 1/2', mediaType: 'movie' });
+    assert.deepEqual(mock.launches, [{ appId: '12', params: { contentId: 'tt 1/2', mediaType: 'movie' } }]);
+
+    const media = await roku.getMediaPlayer(mock.address);
+    assert.equal(media.state, 'play');
+    assert.equal(media.plugin.name, 'Netflix');
+    assert.equal(media.duration, 3600000);
+
+    await roku.keypress(mock.address, 'Play');
+    assert.equal((await roku.getMediaPlayer(mock.address)).state, 'pause');
+  });
+
+  test('launching an app that is not installed fails', async () => {
+    await assert.rejects(roku.launch(mock.address, '99999'), /404/);
+  });
+
+  test('Power toggles power-mode', async () => {
+    await roku.keypress(mock.address, 'Power');
+    assert.equal((await roku.getDeviceInfo(mock.address)).powerMode, 'DisplayOff');
+    await roku.keypress(mock.address, 'Power');
+    assert.equal((await roku.getDeviceInfo(mock.address)).powerMode, 'PowerOn');
+  });
+
+  test('normalizes key names', async () => {
+    await roku.keypress(mock.address, 'volumeup');
+    await roku.keydown(mock.address, 'right');
+    await roku.keyup(mock.address, 'Right');
+    assert.deepEqual(mock.keys, [
+      { action: 'keypress', key: 'VolumeUp' },
+      { action: 'keydown', key: 'Right' },
+      { action: 'keyup', key: 'Right' }
+    ]);
+  });
+
+  test('rejects unknown keys and malformed app ids before sending anything', async () => {
+    await assert.rejects(roku.keypress(mock.address, '../launch/12'), { code: 'INVALID_KEY' });
+    await assert.rejects(roku.keypress(mock.address, 'Lit_ab'), { code: 'INVALID_KEY' });
+    await assert.rejects(roku.launch(mock.address, '12?x=1'), { code: 'INVALID_APP_ID' });
+    assert.deepEqual(mock.requests, []);
+  });
+
+  test('types text one character at a time', async () => {
+    await roku.text(mock.address, 'héllo wörld/?', { delay: 0 });
+    assert.equal(mock.typedText, 'héllo wörld/?');
+  });
+
+  test('rejects text and keys with lone surrogates before sending anything', async () => {
+    await assert.rejects(roku.text(mock.address, 'a\ud800'), { name: 'ValidationError', code: 'INVALID_REQUEST' });
+    await assert.rejects(roku.keypress(mock.address, 'Lit_\udc00'), { code: 'INVALID_KEY' });
+    assert.equal(roku.validateSequence([{ text: '\ud83d' }]), 'Step 1 has an invalid text value');
+    assert.deepEqual(mock.requests, []);
+  });
+
+  test('fetches app icons', async () => {
+    const icon = await roku.getAppIcon(mock.address, '12');
+    assert.equal(icon.contentType, 'image/png');
+    assert.ok(icon.data.length > 0);
+  });
+
+  test('retries queries but not commands on transient failures', async () => {
+    mock.failNext(2);
+    assert.equal((await roku.getApps(mock.address)).length, 4);
+    assert.equal(mock.requests.length, 3);
+
+    mock.failNext(1);
+    await assert.rejects(roku.keypress(mock.address, 'Home'), { code: 'DEVICE_HTTP_ERROR', status: 503 });
+    assert.deepEqual(mock.keys, []);
+  });
+
+  test('keeps commands to a device in order', async () => {
+    const keys = ['Up', 'Down', 'Left', 'Right', 'Select', 'Back'];
+    await Promise.all(keys.map(key => roku.keypress(mock.address, key)));
+    assert.deepEqual(mock.keys.map(key => key.key), keys);
+  });
+
+  test('classifies connection failures', async () => {
+    const other = await startMock();
+    await other.stop();
+    await assert.rejects(roku.keypress(other.address, 'Home'), { name: 'DeviceError', code: 'DEVICE_REFUSED' });
+  });
+
+  test('caches device-info and apps until fresh is asked for', async () => {
+    await roku.getDeviceInfo(mock.address);
+    await roku.getApps(mock.address);
+    await roku.getDeviceInfo(mock.address);
+    await roku.getApps(mock.address);
+    assert.equal(mock.requests.length, 2);
+
+    await roku.getApps(mock.address, { fresh: true });
+    assert.equal(mock.requests.length, 3);
+  });
+
+  test('an unknown active app or new software version drops the cached apps', async () => {
+    await roku.getApps(mock.address);
+    mock.apps.push({ id: '151908', name: 'The Roku Channel', type: 'appl', version: '1.0.0' });
+    try {
+      await roku.launch(mock.address, '151908');
+      assert.ok((await roku.getApps(mock.address)).some(app => app.id === '151908'));
+
+      await roku.getDeviceInfo(mock.address);
+      mock.apps.pop();
+      mock.softwareVersion = '13.0.0';
+      await roku.getDeviceInfo(mock.address, { fresh: true });
+      assert.ok(!(await roku.getApps(mock.address)).some(app => app.id === '151908'));
+    } finally {
+      mock.apps = mock.apps.filter(app => app.id !== '151908');
+      mock.softwareVersion = '12.5.0';
+    }
+  });
+
+  test('runs key sequences with waitFor conditions', async () => {
+    await roku.runSequence(mock.address, [
+      { launch: '2285' },
+      { waitFor: { activeApp: '2285' }, timeout: 2000 },
+      { key: 'Down', repeat: 2, delay: 0 },
+      { key: 'Select' }
+    ], { defaultDelay: 0 });
+
+    assert.equal(mock.activeAppId, '2285');
+    assert.deepEqual(mock.keys.map(key => key.key), ['Down', 'Down', 'Select']);
+  });
+});
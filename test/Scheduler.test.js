@@ -0,0 +1,81 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Scheduler } from '../server/services/Scheduler.js';
+
+describe('Scheduler', () => {
+  const runs = [];
+  let dataDir;
+  let scheduler;
+  // Resolves with the next schedule the scheduler runs
+  let nextRun;
+
+  before(async () => {
+    dataDir = await mkdtemp(join(tmpdir(), 'roku-remote-schedules-'));
+    scheduler = new Scheduler(join(dataDir, 'schedules.json'), async (schedule) => {
+      runs.push(schedule.id);
+      nextRun?.(schedule);
+      if (schedule.action.fail) {
+        throw new Error('Device unreachable');
+      }
+      return { status: 'completed', jobId: 'job-1' };
+    });
+    await scheduler.start();
+  });
+
+  after(async () => {
+    scheduler.stop();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  const waitForRun = () => new Promise(resolve => { nextRun = resolve; });
+
+  test('validates triggers', () => {
+    assert.equal(scheduler.validateTrigger({ type: 'cron', cron: '0 7 * * mon-fri' }), null);
+    assert.equal(scheduler.validateTrigger({ type: 'once', at: new Date(Date.now() + 60000).toISOString() }), null);
+    assert.match(scheduler.validateTrigger(null), /required/);
+    assert.match(scheduler.validateTrigger({ type: 'cron', cron: '0 7 * *' }), /5 fields/);
+    assert.match(scheduler.validateTrigger({ type: 'cron', cron: '0 0 30 2 *' }), /never matches/);
+    assert.match(scheduler.validateTrigger({ type: 'once', at: 'soon' }), /valid date/);
+    assert.match(scheduler.validateTrigger({ type: 'once', at: '2000-01-01T00:00:00Z' }), /future/);
+    assert.match(scheduler.validateTrigger({ type: 'daily' }), /"cron" or "once"/);
+  });
+
+  test('computes the next run and clears it when disabled', async () => {
+    const schedule = await scheduler.create({ name: 'Morning', device: 'YN00SCHED001', trigger: { type: 'cron', cron: '0 7 * * *' }, action: { type: 'key', key: 'Home' } });
+    const nextRunAt = new Date(schedule.nextRun);
+    assert.ok(nextRunAt > new Date());
+    assert.equal(nextRunAt.getHours(), 7);
+    assert.equal(nextRunAt.getMinutes(), 0);
+
+    const disabled = await scheduler.update(schedule.id, { enabled: false });
+    assert.equal(disabled.nextRun, null);
+    assert.equal((await scheduler.update(schedule.id, { enabled: true })).nextRun, schedule.nextRun);
+    await scheduler.remove(schedule.id);
+  });
+
+  test('fires one-shot schedules when they come due, then disables them', async () => {
+    const fired = waitForRun();
+    const schedule = await scheduler.create({ name: 'Soon', device: 'YN00SCHED001', trigger: { type: 'once', at: new Date(Date.now() + 50).toISOString() }, action: { type: 'key', key: 'PowerOff' } });
+    assert.equal((await fired).id, schedule.id);
+
+    // The result is recorded right after the action resolves
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const done = await scheduler.get(schedule.id);
+    assert.equal(done.enabled, false);
+    assert.equal(done.nextRun, null);
+    assert.equal(done.lastRun.status, 'completed');
+    assert.equal(done.lastRun.jobId, 'job-1');
+  });
+
+  test('records failures from run now without changing the next run', async () => {
+    const schedule = await scheduler.create({ name: 'Broken', device: 'YN00SCHED001', trigger: { type: 'cron', cron: '@daily' }, action: { type: 'key', key: 'Home', fail: true } });
+    const ran = await scheduler.runNow(schedule.id);
+    assert.equal(ran.lastRun.status, 'failed');
+    assert.equal(ran.lastRun.error, 'Device unreachable');
+    assert.equal(ran.nextRun, schedule.nextRun);
+    assert.equal(await scheduler.runNow('missing'), null);
+  });
+});
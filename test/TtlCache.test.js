@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TtlCache } from '../server/services/TtlCache.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('entries expire after their ttl but stay visible to peek', async () => {
+  const cache = new TtlCache();
+  cache.set('a', 1, 20);
+  cache.set('b', 2, 1000);
+  assert.equal(cache.get('a'), 1);
+
+  await sleep(30);
+  assert.equal(cache.get('a'), undefined);
+  assert.equal(cache.peek('a'), 1);
+  assert.equal(cache.get('b'), 2);
+});
+
+test('delete and clear remove entries', () => {
+  const cache = new TtlCache();
+  cache.set('a', 1, 1000);
+  cache.set('b', 2, 1000);
+
+  assert.equal(cache.delete('a'), true);
+  assert.equal(cache.delete('a'), false);
+  assert.equal(cache.peek('a'), undefined);
+
+  cache.clear();
+  assert.equal(cache.get('b'), undefined);
+});
@@ -0,0 +1,114 @@
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createHmac } from 'crypto';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { WebhookManager } from '../server/services/WebhookManager.js';
+import { DeviceRegistry } from '../server/services/DeviceRegistry.js';
+import { DeviceWatcher } from '../server/services/DeviceWatcher.js';
+import { startMock, createRokuService, eventually } from './helpers.js';
+
+const SECRET = 'test-secret-0123456789';
+
+describe('WebhookManager', () => {
+  const roku = createRokuService({ retries: 0 });
+  const watcher = new DeviceWatcher(roku, { interval: 50, powerInterval: 50 });
+  // Receiver answers with the next queued status (200 once they run out)
+  const received = [];
+  const statuses = [];
+  let receiver;
+  let url;
+  let mock;
+  let dataDir;
+  let registry;
+  let webhooks;
+
+  before(async () => {
+    receiver = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(statuses.shift() || 200).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    mock = await startMock({ serial: 'YN00HOOK0001', name: 'Kids TV', isTv: true });
+    dataDir = await mkdtemp(join(tmpdir(), 'roku-remote-webhooks-'));
+    registry = new DeviceRegistry(join(dataDir, 'devices.json'));
+    await registry.upsert({ serial: 'YN00HOOK0001', ip: '127.0.0.1', port: mock.port, nickname: 'Kids' });
+    webhooks = new WebhookManager(join(dataDir, 'webhooks.json'), registry, watcher, { retries: 2, retryDelay: 10 });
+  });
+
+  after(async () => {
+    webhooks.stop();
+    receiver.close();
+    await mock.stop();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    statuses.length = 0;
+  });
+
+  test('validates webhook bodies', () => {
+    assert.match(webhooks.validate({ url: 'ftp://example.com', events: ['*'] }), /http or https/);
+    assert.match(webhooks.validate({ url, events: [] }), /non-empty/);
+    assert.match(webhooks.validate({ url, events: ['media.rewind'] }), /Unknown event "media.rewind"/);
+    assert.match(webhooks.validate({ url, events: ['*'], secret: 'short' }), /16 characters/);
+    assert.equal(webhooks.validate({ url, events: ['app.changed'], devices: ['YN00HOOK0001'] }), null);
+    assert.equal(webhooks.validate({ enabled: false }, true), null);
+  });
+
+  test('sends signed events that match the filter and scope', async () => {
+    const { webhook, secret } = await webhooks.create({ url, events: ['app.changed', 'media.play'], secret: SECRET });
+    assert.equal(secret, SECRET);
+    assert.equal((await webhooks.list())[0].secret, undefined);
+    // Scoped to another device, so it never fires
+    await webhooks.create({ url: `${url}?other`, events: ['*'], devices: ['YN00OTHER000'] });
+
+    // Let the watcher see the starting state first
+    await eventually(() => assert.ok(watcher.getState(mock.address)));
+    await roku.launch(mock.address, '12', { contentId: 'abc' });
+
+    await eventually(() => assert.deepEqual(received.map(({ body }) => JSON.parse(body).event).sort(), ['app.changed', 'media.play']));
+    const { headers, body } = received.find(({ headers }) => headers['x-roku-remote-event'] === 'app.changed');
+    const payload = JSON.parse(body);
+    assert.equal(payload.device.serial, 'YN00HOOK0001');
+    assert.equal(payload.device.name, 'Kids');
+    assert.equal(payload.data.app.name, 'Netflix');
+    assert.equal(payload.data.previousApp, null);
+
+    const expected = createHmac('sha256', SECRET).update(`${headers['x-roku-remote-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-roku-remote-signature'], `sha256=${expected}`);
+
+    await eventually(() => assert.ok(webhooks.deliveries(webhook.id).every(delivery => delivery.status === 'delivered')));
+    for (const { id } of await webhooks.list()) {
+      await webhooks.remove(id);
+    }
+    assert.deepEqual(watcher.list(), []);
+  });
+
+  test('retries server errors but not client errors, and logs each attempt', async () => {
+    const { webhook } = await webhooks.create({ url, events: ['*'], devices: [mock.address] });
+
+    statuses.push(500, 503);
+    const retried = await webhooks.test(webhook.id);
+    assert.equal(retried.status, 'delivered');
+    assert.deepEqual(retried.attempts.map(attempt => attempt.status), [500, 503, 200]);
+
+    statuses.push(410);
+    const rejected = await webhooks.test(webhook.id);
+    assert.equal(rejected.status, 'failed');
+    assert.deepEqual(rejected.attempts.map(attempt => attempt.error), ['HTTP 410']);
+
+    assert.deepEqual(webhooks.deliveries(webhook.id).map(delivery => delivery.id), [rejected.id, retried.id]);
+    assert.equal(received.length, 4);
+    await webhooks.remove(webhook.id);
+  });
+});
@@ -0,0 +1,266 @@
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { startMock, startServer } from './helpers.js';
+
+describe('HTTP API end to end', () => {
+  let mock;
+  let server;
+  let device;
+
+  before(async () => {
+    mock = await startMock({ serial: 'YN00AB000001', name: 'Den TV', isTv: true });
+    server = await startServer();
+    device = `/api/device/${mock.address}`;
+  });
+
+  after(async () => {
+    await server?.stop();
+    await mock?.stop();
+  });
+
+  beforeEach(() => mock.reset());
+
+  test('health check', async () => {
+    const { status, body } = await server.request('GET', '/api/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+  });
+
+  test('device info and apps', async () => {
+    const info = await server.request('GET', `${device}/info`);
+    assert.equal(info.body.data.friendlyName, 'Den TV');
+
+    const apps = await server.request('GET', `${device}/apps`);
+    assert.deepEqual(apps.body.data.map(app => app.name), ['Netflix', 'YouTube', 'Hulu', 'HDMI 1']);
+  });
+
+  test('cached responses carry an ETag and revalidate with a 304', async () => {
+    const first = await fetch(`${server.baseUrl}${device}/apps?fresh=1`);
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    assert.equal(first.headers.get('cache-control'), 'private, no-cache');
+
+    const again = await fetch(`${server.baseUrl}${device}/apps`, { headers: { 'If-None-Match': etag } });
+    assert.equal(again.status, 304);
+    assert.equal(mock.requests.length, 1);
+  });
+
+  test('keypress and launch reach the device', async () => {
+    assert.equal((await server.request('POST', `${device}/keypress`, { key: 'Home' })).status, 200);
+    assert.equal((await server.request('POST', `${device}/launch`, { appId: '12', contentId: 'abc' })).status, 200);
+
+    const active = await server.request('GET', `${device}/active`);
+    assert.equal(active.body.data.id, '12');
+    assert.deepEqual(mock.keys, [{ action: 'keypress', key: 'Home' }]);
+    assert.deepEqual(mock.launches, [{ appId: '12', params: { contentId: 'abc' } }]);
+
+    const media = await server.request('GET', `${device}/media`);
+    assert.equal(media.body.data.state, 'play');
+  });
+
+  test('power off and on', async () => {
+    const off = await server.request('POST', `${device}/power`, { state: 'off' });
+    assert.equal(off.body.data.powerMode, 'DisplayOff');
+    assert.equal(mock.powerMode, 'DisplayOff');
+
+    const on = await server.request('POST', `${device}/power`, { state: 'on' });
+    assert.equal(on.body.data.powerMode, 'PowerOn');
+  });
+
+  test('text input', async () => {
+    const { status } = await server.request('POST', `${device}/text`, { text: 'abc 123', delay: 0 });
+    assert.equal(status, 200);
+    assert.equal(mock.typedText, 'abc 123');
+  });
+
+  test('invalid input gets a 400 with a code', async () => {
+    const cases = [
+      [`${device}/keypress`, { key: 'Lit_xyz' }, 'INVALID_KEY'],
+      [`${device}/launch`, { appId: '../12' }, 'INVALID_APP_ID'],
+      ['/api/device/8.8.8.8/keypress', { key: 'Home' }, 'ADDRESS_NOT_ALLOWED'],
+      ['/api/device/example.com/keypress', { key: 'Home' }, 'INVALID_ADDRESS'],
+      [`${device}/keypress`, '{not json', 'INVALID_JSON'],
+      [`${device}/keypress`, {}, 'INVALID_REQUEST'],
+      [`${device}/text`, { text: '\ud800' }, 'INVALID_REQUEST'],
+      [`${device}/launch`, { appId: '12', params: 'abc' }, 'INVALID_REQUEST'],
+      [`${device}/launch`, { appId: '12', params: ['a'] }, 'INVALID_REQUEST'],
+      [`${device}/launch`, { appId: '12', params: null }, 'INVALID_REQUEST'],
+      ['/api/bookmarks', { name: 'Show', appId: '12', params: 'abc' }, 'INVALID_REQUEST']
+    ];
+
+    for (const [path, body, code] of cases) {
+      const response = await server.request('POST', path, body);
+      assert.equal(response.status, 400, path);
+      assert.equal(response.body.success, false);
+      assert.equal(response.body.code, code);
+    }
+    for (const timeout of ['abc', '1.5', '-1']) {
+      const response = await server.request('GET', `/api/devices/discover?timeout=${timeout}`);
+      assert.equal(response.status, 400, timeout);
+      assert.equal(response.body.code, 'INVALID_REQUEST');
+    }
+    assert.deepEqual(mock.requests, []);
+  });
+
+  test('registering a device probes it', async () => {
+    const created = await server.request('POST', '/api/devices', { ip: mock.address, nickname: 'Den' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.device.serial, 'YN00AB000001');
+    assert.equal(created.body.device.port, mock.port);
+
+    for (const patch of [{ port: 'abc' }, { port: 70000 }, { mac: 'not-a-mac' }]) {
+      const rejected = await server.request('PATCH', '/api/devices/YN00AB000001', patch);
+      assert.equal(rejected.status, 400, JSON.stringify(patch));
+      assert.equal(rejected.body.code, 'INVALID_REQUEST');
+    }
+    const updated = await server.request('PATCH', '/api/devices/YN00AB000001', { mac: 'AA:BB:CC:DD:EE:FF', nickname: 'Den TV' });
+    assert.equal(updated.body.device.mac, 'AA:BB:CC:DD:EE:FF');
+    assert.equal(updated.body.device.port, mock.port);
+
+    const removed = await server.request('DELETE', '/api/devices/YN00AB000001');
+    assert.equal(removed.status, 200);
+  });
+
+  test('only fresh device-info reads mark a registered device as seen', async () => {
+    await server.request('POST', '/api/devices', { ip: mock.address });
+    const lastSeen = async () => (await server.request('GET', '/api/devices')).body.devices[0].lastSeen;
+    const sleep = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    await server.request('GET', `${device}/info?fresh=1`);
+    const seen = await lastSeen();
+    await sleep();
+    await server.request('GET', `${device}/info`);
+    assert.equal(await lastSeen(), seen);
+
+    await sleep();
+    await server.request('GET', `${device}/info?fresh=1`);
+    assert.notEqual(await lastSeen(), seen);
+    await server.request('DELETE', '/api/devices/YN00AB000001');
+  });
+
+  test('broadcast reports each device separately', async () => {
+    const { body } = await server.request('POST', '/api/broadcast/keypress', {
+      devices: [mock.address, '8.8.8.8'],
+      key: 'Select'
+    });
+    assert.equal(body.succeeded, 1);
+    assert.equal(body.failed, 1);
+    assert.equal(body.results[1].code, 'ADDRESS_NOT_ALLOWED');
+    assert.deepEqual(mock.keys, [{ action: 'keypress', key: 'Select' }]);
+  });
+
+  test('bookmarks launch with their deep link', async () => {
+    const created = await server.request('POST', '/api/bookmarks', {
+      name: 'Show',
+      appId: '837',
+      contentId: 'dQw4w9WgXcQ',
+      mediaType: 'episode'
+    });
+    assert.equal(created.status, 201);
+
+    const id = created.body.bookmark.id;
+    const launched = await server.request('POST', `/api/bookmarks/${id}/launch?device=${mock.address}`);
+    assert.equal(launched.status, 200);
+    assert.deepEqual(mock.launches, [{ appId: '837', params: { contentId: 'dQw4w9WgXcQ', mediaType: 'episode' } }]);
+  });
+
+  test('schedules reject triggers that never fire and outside devices', async () => {
+    const action = { type: 'key', key: 'Home' };
+    const never = await server.request('POST', '/api/schedules', { name: 'Leap', device: mock.address, trigger: { type: 'cron', cron: '0 0 30 2 *' }, action });
+    assert.equal(never.status, 400);
+    assert.equal(never.body.code, 'INVALID_REQUEST');
+
+    for (const name of [5, {}, '   ']) {
+      assert.equal((await server.request('POST', '/api/schedules', { name, device: mock.address, trigger: { type: 'cron', cron: '@daily' }, action })).status, 400);
+    }
+
+    const outside = await server.request('POST', '/api/schedules', { name: 'Evil', device: 'evil.example.com', trigger: { type: 'cron', cron: '@daily' }, action });
+    assert.equal(outside.status, 400);
+    assert.equal(outside.body.code, 'INVALID_ADDRESS');
+
+    const created = await server.request('POST', '/api/schedules', { name: 'Daily', device: mock.address, trigger: { type: 'cron', cron: '@daily' }, action });
+    assert.equal(created.status, 201);
+    const id = created.body.schedule.id;
+    assert.equal((await server.request('PATCH', `/api/schedules/${id}`, { enabled: 'no' })).status, 400);
+    assert.equal((await server.request('PATCH', `/api/schedules/${id}`, { name: '  ' })).status, 400);
+    assert.equal((await server.request('PATCH', `/api/schedules/${id}`, { name: ' Nightly ' })).body.schedule.name, 'Nightly');
+    assert.equal((await server.request('PATCH', `/api/schedules/${id}`, { device: '8.8.8.8' })).body.code, 'ADDRESS_NOT_ALLOWED');
+    assert.equal((await server.request('PATCH', `/api/schedules/${id}`, { enabled: false })).body.schedule.nextRun, null);
+    assert.equal((await server.request('DELETE', `/api/schedules/${id}`)).status, 200);
+  });
+
+  test('the sleep timer powers off through the power manager', async () => {
+    const created = await server.request('POST', '/api/schedules/sleep', { device: mock.address, minutes: 30 });
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.schedule.action, { type: 'power', state: 'off' });
+
+    const id = created.body.schedule.id;
+    const ran = await server.request('POST', `/api/schedules/${id}/run`);
+    assert.equal(ran.body.schedule.lastRun.status, 'completed');
+    assert.equal(mock.powerMode, 'DisplayOff');
+
+    // Already off: nothing else is sent
+    mock.keys.length = 0;
+    await server.request('POST', `/api/schedules/${id}/run`);
+    assert.deepEqual(mock.keys, []);
+    await server.request('DELETE', `/api/schedules/${id}`);
+  });
+
+  test('webhooks keep their secret private and log test deliveries', async () => {
+    const receiver = createServer((req, res) => res.writeHead(204).end());
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const invalid = await server.request('POST', '/api/webhooks', { url: 'http://127.0.0.1/', events: ['tv.exploded'] });
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.code, 'INVALID_REQUEST');
+
+      const created = await server.request('POST', '/api/webhooks', {
+        url: `http://127.0.0.1:${receiver.address().port}/`,
+        events: ['app.changed'],
+        devices: [mock.address]
+      });
+      assert.equal(created.status, 201);
+      assert.ok(created.body.secret);
+      const { id } = created.body.webhook;
+
+      const listed = await server.request('GET', '/api/webhooks');
+      assert.equal(listed.body.webhooks[0].secret, undefined);
+
+      const tested = await server.request('POST', `/api/webhooks/${id}/test`);
+      assert.equal(tested.body.delivery.status, 'delivered');
+
+      const log = await server.request('GET', `/api/webhooks/${id}/deliveries`);
+      assert.deepEqual(log.body.deliveries.map(delivery => delivery.event), ['webhook.test']);
+
+      assert.equal((await server.request('DELETE', `/api/webhooks/${id}`)).status, 200);
+      assert.equal((await server.request('GET', `/api/webhooks/${id}/deliveries`)).status, 404);
+    } finally {
+      receiver.close();
+    }
+  });
+
+  test('waking an unreachable device with no known MAC is a 400', async () => {
+    const other = await startMock();
+    await other.stop();
+
+    const { status, body } = await server.request('POST', `/api/device/${other.address}/power`, { state: 'on' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'NO_MAC_ADDRESS');
+  });
+
+  test('devices that refuse connections are a 502', async () => {
+    const other = await startMock();
+    await other.stop();
+
+    const { status, body } = await server.request('GET', `/api/device/${other.address}/info`);
+    assert.equal(status, 502);
+    assert.equal(body.code, 'DEVICE_REFUSED');
+
+    const queue = await server.request('GET', `/api/device/${other.address}/queue`);
+    assert.equal(queue.body.data.depth, 0);
+    assert.equal(queue.body.data.failed, 1);
+    assert.equal(queue.body.data.lastError.code, 'DEVICE_REFUSED');
+  });
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchApp } from '../server/services/appMatcher.js';
+
+const apps = [
+  { id: '12', name: 'Netflix' },
+  { id: '837', name: 'YouTube' },
+  { id: '2213', name: 'YouTube Kids' },
+  { id: '291097', name: 'Disney+' },
+  { id: '13', name: 'Prime Video' }
+];
+
+const nameOf = (query) => matchApp(apps, query).app?.name ?? null;
+
+test('matches ids and exact names first', () => {
+  assert.equal(nameOf('12'), 'Netflix');
+  assert.equal(nameOf('youtube'), 'YouTube');
+  assert.equal(nameOf('DISNEY+'), 'Disney+');
+});
+
+test('matches prefixes, substrings and initials', () => {
+  assert.equal(nameOf('disney'), 'Disney+');
+  assert.equal(nameOf('video'), 'Prime Video');
+  assert.equal(nameOf('ytk'), 'YouTube Kids');
+});
+
+test('tolerates typos', () => {
+  assert.equal(nameOf('netflx'), 'Netflix');
+  assert.equal(nameOf('nteflix'), 'Netflix');
+});
+
+test('reports ambiguous and missing matches', () => {
+  assert.deepEqual(matchApp(apps, 'you').candidates.map(app => app.id), ['837', '2213']);
+  assert.equal(nameOf('you'), null);
+  assert.deepEqual(matchApp(apps, 'spotify'), { app: null, candidates: [] });
+});
@@ -0,0 +1,73 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+describe('API authentication', () => {
+  let server;
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+  before(async () => {
+    server = await startServer({ ADMIN_PASSWORD: 'hunter22' });
+  });
+
+  after(() => server?.stop());
+
+  test('requires a credential except on public routes', async () => {
+    assert.equal((await server.request('GET', '/api/health')).status, 200);
+    const status = await server.request('GET', '/api/auth/status');
+    assert.equal(status.body.enabled, true);
+    assert.equal(status.body.authenticated, false);
+
+    const denied = await server.request('GET', '/api/devices');
+    assert.equal(denied.status, 401);
+    assert.equal(denied.body.code, 'UNAUTHORIZED');
+  });
+
+  test('paired clients can use the remote but not manage access or webhooks', async () => {
+    const login = await server.request('POST', '/api/auth/login', { password: 'hunter22', name: 'Admin' });
+    assert.equal(login.status, 201);
+    const admin = bearer(login.body.token);
+
+    const pairing = await server.request('POST', '/api/auth/pairings', undefined, admin);
+    assert.equal(pairing.status, 201);
+    const paired = await server.request('POST', '/api/auth/pair', { pin: pairing.body.pairing.pin, name: 'Kid' });
+    assert.equal(paired.status, 201);
+    const kid = bearer(paired.body.token);
+
+    assert.equal((await server.request('GET', '/api/devices', undefined, kid)).status, 200);
+    assert.equal((await server.request('GET', '/api/auth/status', undefined, kid)).body.client.role, 'client');
+
+    const adminId = login.body.client.id;
+    for (const [method, path] of [
+      ['GET', '/api/auth/tokens'],
+      ['DELETE', `/api/auth/tokens/${adminId}`],
+      ['POST', '/api/auth/pairings'],
+      ['GET', '/api/webhooks'],
+      ['POST', '/api/webhooks'],
+      ['PATCH', '/api/webhooks/some-id'],
+      ['DELETE', '/api/webhooks/some-id'],
+      ['POST', '/api/webhooks/some-id/test'],
+      ['GET', '/api/webhooks/some-id/deliveries']
+    ]) {
+      const response = await server.request(method, path, undefined, kid);
+      assert.equal(response.status, 403, `${method} ${path}`);
+      assert.equal(response.body.code, 'FORBIDDEN');
+    }
+
+    // The admin still works and can revoke the kid
+    assert.equal((await server.request('GET', '/api/webhooks', undefined, admin)).status, 200);
+    const tokens = await server.request('GET', '/api/auth/tokens', undefined, admin);
+    assert.equal(tokens.status, 200);
+    assert.equal((await server.request('DELETE', `/api/auth/tokens/${paired.body.client.id}`, undefined, admin)).status, 200);
+    assert.equal((await server.request('GET', '/api/devices', undefined, kid)).status, 401);
+  });
+
+  test('too many wrong passwords are a 429', async () => {
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await server.request('POST', '/api/auth/login', { password: 'nope' })).status, 401);
+    }
+    const locked = await server.request('POST', '/api/auth/login', { password: 'hunter22' });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'TOO_MANY_ATTEMPTS');
+  });
+});
@@ -0,0 +1,115 @@
+import { spawn } from 'child_process';
+import { mkdtemp, rm } from 'fs/promises';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { MockRokuDevice } from '../server/mock/MockRokuDevice.js';
+import { RokuService } from '../server/services/RokuService.js';
+import { DeviceAddressPolicy } from '../server/services/DeviceAddressPolicy.js';
+import { DeviceCommandQueue } from '../server/services/DeviceCommandQueue.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Start a mock Roku on a random loopback port
+ */
+export const startMock = (options = {}) => new MockRokuDevice(options).start();
+
+/**
+ * RokuService that may talk to loopback mocks. Options go to its command queue.
+ */
+export const createRokuService = (queueOptions = {}) => new RokuService({
+  addressPolicy: new DeviceAddressPolicy({ allowLoopback: true }),
+  queue: new DeviceCommandQueue(queueOptions)
+});
+
+/**
+ * Resolve once check() passes, polling every 20ms
+ */
+export const eventually = async (check, timeout = 3000) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    try {
+      return check();
+    } catch (error) {
+      if (Date.now() > deadline) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+};
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+/**
+ * Run server/index.js in a child process with a throwaway DATA_DIR.
+ * Returns { baseUrl, request(method, path, body, headers), stop() }.
+ */
+export const startServer = async (env = {}) => {
+  const port = await freePort();
+  const dataDir = await mkdtemp(join(tmpdir(), 'roku-remote-test-'));
+  const child = spawn(process.execPath, ['server/index.js'], {
+    cwd: root,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      ALLOW_LOOPBACK_DEVICES: 'true',
+      ADMIN_PASSWORD: '',
+      ADMIN_TOKEN: '',
+      DEVICE_ALLOWLIST: '',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), 10000);
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  return {
+    baseUrl,
+    async request(method, path, body, headers = {}) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        await new Promise(resolve => {
+          child.once('exit', resolve);
+          child.kill('SIGTERM');
+        });
+      }
+      await rm(dataDir, { recursive: true, force: true });
+    }
+  };
+};